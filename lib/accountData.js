@@ -0,0 +1,209 @@
+// Everything tied to one user, for personal data exports and account deletion
+const { lockEvent, promoteWaitlisted } = require('./eventCapacity');
+const { publish, notifyPromotedRegistrations } = require('./notifications');
+const { expandImageFiles } = require('./media');
+
+// ACCOUNT_DELETION_REVIEW_POLICY: "anonymize" keeps a deleted user's reviews without an
+// author, "delete" removes them.
+const REVIEW_POLICIES = ['anonymize', 'delete'];
+
+// Credentials that never leave the server, not even to their owner
+const SECRET_USER_COLUMNS = [
+  'password_hash', 'totp_secret', 'totp_pending_secret', 'totp_last_counter', 'calendar_token_hash'
+];
+
+function getReviewPolicy() {
+  const policy = process.env.ACCOUNT_DELETION_REVIEW_POLICY || 'anonymize';
+  if (!REVIEW_POLICIES.includes(policy)) {
+    throw new Error(`Unknown ACCOUNT_DELETION_REVIEW_POLICY "${policy}"`);
+  }
+  return policy;
+}
+
+// Gathers a user's data as plain objects, one key per file in the export
+async function collectUserData(db, userId) {
+  const [[user]] = await db.execute('SELECT * FROM users WHERE id = ?', [userId]);
+  const profile = { ...user };
+  for (const secret of SECRET_USER_COLUMNS) delete profile[secret];
+
+  const [builds] = await db.execute('SELECT * FROM builds WHERE user_id = ?', [userId]);
+  for (const build of builds) {
+    delete build.share_token_hash;
+    const [gallery] = await db.execute('SELECT * FROM build_gallery WHERE build_id = ?', [build.id]);
+    const [mods] = await db.execute('SELECT * FROM build_mods WHERE build_id = ?', [build.id]);
+    const [revisions] = await db.execute(
+      'SELECT revision_number, snapshot, diff, restored_from, created_at FROM build_revisions WHERE build_id = ?',
+      [build.id]
+    );
+    build.gallery = gallery;
+    build.mods = mods;
+    build.revisions = revisions;
+  }
+
+  const [following] = await db.execute(
+    `SELECT u.id, u.username FROM follows f JOIN users u ON u.id = f.followed_id WHERE f.follower_id = ?`,
+    [userId]
+  );
+  const [followers] = await db.execute(
+    `SELECT u.id, u.username FROM follows f JOIN users u ON u.id = f.follower_id WHERE f.followed_id = ?`,
+    [userId]
+  );
+
+  const [reviews] = await db.execute(
+    `SELECT br.*, b.name AS business_name
+       FROM business_reviews br
+       LEFT JOIN businesses b ON b.id = br.business_id
+      WHERE br.user_id = ?`,
+    [userId]
+  );
+
+  const [registrations] = await db.execute(
+    `SELECT er.id, er.event_id, e.title AS event_title, er.name, er.email, er.phone, er.status,
+            er.registered_at, er.checked_in_at, er.cancelled_at
+       FROM event_registrations er
+       JOIN Events e ON e.id = er.event_id
+      WHERE er.user_id = ?`,
+    [userId]
+  );
+  for (const registration of registrations) {
+    const [cars] = await db.execute(
+      'SELECT id, make, model, year, color, mileage, modifications, checked_in_at FROM registered_cars WHERE registration_id = ?',
+      [registration.id]
+    );
+    registration.cars = cars;
+  }
+
+  const [activities] = await db.execute(
+    'SELECT id, type, build_id, business_id, review_id, data, created_at FROM activities WHERE actor_id = ?',
+    [userId]
+  );
+
+  const [comments] = await db.execute(
+    `SELECT id, build_id, mod_id, parent_id, body, created_at, edited_at
+       FROM build_comments
+      WHERE user_id = ? AND deleted_at IS NULL`,
+    [userId]
+  );
+  const [likes] = await db.execute(
+    'SELECT build_id, created_at FROM build_likes WHERE user_id = ?',
+    [userId]
+  );
+
+  const [notificationPreferences] = await db.execute(
+    'SELECT type, enabled FROM notification_preferences WHERE user_id = ?',
+    [userId]
+  );
+
+  const [media] = await db.execute(
+    'SELECT kind, url, medium_url, thumb_url, width, height, bytes, created_at FROM media WHERE owner_id = ?',
+    [userId]
+  );
+
+  return {
+    profile,
+    builds,
+    follows: { following, followers },
+    reviews,
+    event_registrations: registrations,
+    activities,
+    build_comments: comments,
+    build_likes: likes,
+    notification_preferences: notificationPreferences,
+    media
+  };
+}
+
+// Every image the user uploaded, as stored in their rows
+function collectUploadedFiles(data) {
+  const urls = [data.profile && data.profile.avatar_url];
+  for (const build of data.builds) {
+    urls.push(build.cover_image, build.cover_image2);
+    urls.push(...build.gallery.map(g => g.image_url));
+    urls.push(...build.mods.map(m => m.image_url));
+  }
+  return [...new Set(urls.filter(Boolean))];
+}
+
+// Deletes the user and everything that belongs to them inside one transaction.
+// Active event registrations are withdrawn first so waitlisted people move up.
+// Returns the storage keys of the user's uploaded files and their variants; the caller
+// schedules them for deletion after commit.
+async function deleteUserAccount(pool, userId, { reviewPolicy = getReviewPolicy() } = {}) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const files = await expandImageFiles(conn, collectUploadedFiles(await collectUserData(conn, userId)));
+
+    const [activeRegistrations] = await conn.execute(
+      `SELECT DISTINCT event_id FROM event_registrations
+        WHERE user_id = ? AND status IN ('confirmed', 'waitlisted', 'pending')`,
+      [userId]
+    );
+    const notifications = [];
+    for (const { event_id } of activeRegistrations) {
+      const event = await lockEvent(conn, event_id);
+      await conn.execute(
+        `UPDATE event_registrations
+            SET status = 'cancelled', cancel_reason = 'withdrawn', cancelled_at = NOW()
+          WHERE user_id = ? AND event_id = ? AND status <> 'cancelled'`,
+        [userId, event_id]
+      );
+      const promoted = await promoteWaitlisted(conn, event);
+      notifications.push(...await notifyPromotedRegistrations(conn, event, promoted));
+    }
+    await conn.execute(
+      `DELETE rc FROM registered_cars rc
+         JOIN event_registrations er ON er.id = rc.registration_id
+        WHERE er.user_id = ?`,
+      [userId]
+    );
+    await conn.execute('DELETE FROM event_registrations WHERE user_id = ?', [userId]);
+
+    await conn.execute(
+      'DELETE bm FROM build_mods bm JOIN builds b ON b.id = bm.build_id WHERE b.user_id = ?',
+      [userId]
+    );
+    await conn.execute(
+      'DELETE bg FROM build_gallery bg JOIN builds b ON b.id = bg.build_id WHERE b.user_id = ?',
+      [userId]
+    );
+    await conn.execute('DELETE FROM builds WHERE user_id = ?', [userId]);
+
+    // Comments on other people's builds are blanked rather than removed so replies keep
+    // their place in the thread
+    await conn.execute(
+      'UPDATE build_comments SET body = NULL, deleted_at = NOW(), user_id = NULL WHERE user_id = ?',
+      [userId]
+    );
+
+    await conn.execute('DELETE FROM media WHERE owner_id = ?', [userId]);
+
+    await conn.execute('DELETE FROM follows WHERE follower_id = ? OR followed_id = ?', [userId, userId]);
+
+    if (reviewPolicy === 'delete') {
+      await conn.execute('DELETE FROM business_reviews WHERE user_id = ?', [userId]);
+    } else {
+      await conn.execute('UPDATE business_reviews SET user_id = NULL WHERE user_id = ?', [userId]);
+    }
+
+    await conn.execute(
+      'UPDATE login_attempts SET user_id = NULL, email = NULL WHERE user_id = ?',
+      [userId]
+    );
+
+    // Sessions, roles, tokens, recovery codes, feed activity, notifications and likes go with the user row (ON DELETE CASCADE)
+    await conn.execute('DELETE FROM users WHERE id = ?', [userId]);
+
+    await conn.commit();
+    publish(notifications);
+    return files;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = { collectUserData, collectUploadedFiles, deleteUserAccount, getReviewPolicy };
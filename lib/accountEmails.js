@@ -0,0 +1,31 @@
+// Account emails that carry a single-use link
+const { sendMail, clientUrl } = require('./mailer');
+const { issueUserToken } = require('./userTokens');
+
+// Sends a verification link for `email`, which may differ from the user's current
+// address when they are changing it
+async function sendVerificationEmail(db, user, email) {
+  const token = await issueUserToken(db, user.id, 'email_verification', { email });
+  await sendMail({
+    to: email,
+    subject: 'Verify your GearGrid email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm this email address for your GearGrid account:\n` +
+      `${clientUrl(`/verify-email?token=${token}`)}\n\n` +
+      'The link expires in 24 hours. If you did not ask for this, you can ignore this email.'
+  });
+}
+
+async function sendPasswordResetEmail(db, user) {
+  const token = await issueUserToken(db, user.id, 'password_reset');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your GearGrid password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password for your GearGrid account. To choose a new one, open:\n` +
+      `${clientUrl(`/reset-password?token=${token}`)}\n\n` +
+      'The link expires in 1 hour and can only be used once. If this was not you, you can ignore this email.'
+  });
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,46 @@
+// Records activity for the following feed (see routes/feed.js)
+
+// How many added mods / photos are kept in an activity's snapshot for the card
+const SNAPSHOT_LIMIT = 6;
+
+async function recordActivity(db, { actorId, type, buildId = null, businessId = null, reviewId = null, data = null }) {
+  await db.execute(
+    `INSERT INTO activities (actor_id, type, build_id, business_id, review_id, data)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [actorId, type, buildId, businessId, reviewId, data === null ? null : JSON.stringify(data)]
+  );
+}
+
+// Records what changed in a build edit: newly added mods, new gallery photos and
+// ownership status changes (e.g. current -> previous). One activity per kind of change.
+async function recordBuildEditActivity(db, { actorId, buildId, previousOwnership, ownership, addedMods, addedPhotos }) {
+  if (addedMods.length > 0) {
+    await recordActivity(db, {
+      actorId,
+      buildId,
+      type: 'build_mods_added',
+      data: {
+        count: addedMods.length,
+        mods: addedMods.slice(0, SNAPSHOT_LIMIT).map(m => ({ category: m.category, name: m.mod_name }))
+      }
+    });
+  }
+  if (addedPhotos.length > 0) {
+    await recordActivity(db, {
+      actorId,
+      buildId,
+      type: 'build_photos_added',
+      data: { count: addedPhotos.length, images: addedPhotos.slice(0, SNAPSHOT_LIMIT) }
+    });
+  }
+  if (ownership && previousOwnership && ownership !== previousOwnership) {
+    await recordActivity(db, {
+      actorId,
+      buildId,
+      type: 'build_ownership_changed',
+      data: { from: previousOwnership, to: ownership }
+    });
+  }
+}
+
+module.exports = { recordActivity, recordBuildEditActivity };
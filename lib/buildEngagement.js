@@ -0,0 +1,17 @@
+// Like and comment counts shown with a build
+
+async function getBuildEngagement(db, buildId, viewerId) {
+  const [[row]] = await db.execute(
+    `SELECT (SELECT COUNT(*) FROM build_likes WHERE build_id = ?) AS like_count,
+            (SELECT COUNT(*) FROM build_likes WHERE build_id = ? AND user_id = ?) AS liked_by_me,
+            (SELECT COUNT(*) FROM build_comments WHERE build_id = ? AND deleted_at IS NULL) AS comment_count`,
+    [buildId, buildId, viewerId ?? 0, buildId]
+  );
+  return {
+    likeCount:    Number(row.like_count),
+    likedByMe:    Number(row.liked_by_me) > 0,
+    commentCount: Number(row.comment_count)
+  };
+}
+
+module.exports = { getBuildEngagement };
@@ -0,0 +1,95 @@
+// HTML for sharing public builds outside the app: a page carrying Open Graph and Twitter
+// card tags for link previews, and the compact card returned by oEmbed.
+
+const SITE_NAME = 'GearGrid';
+const DESCRIPTION_LENGTH = 200;
+const CARD_IMAGE_SIZE = 120;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Whitespace collapsed and cut at a word boundary so it fits in a preview
+function summarize(text, maxLength = DESCRIPTION_LENGTH) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxLength) return flat;
+  const cut = flat.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+// Title and description shown in previews, from a builds row
+function describeBuild(build) {
+  const title = [build.car_name, build.model].filter(Boolean).join(' · ') || `Build #${build.id}`;
+  const description = summarize(build.description) ||
+    `${build.car_name || 'A build'} by ${build.owner_username} on ${SITE_NAME}`;
+  return { title, description };
+}
+
+// The share page. Link preview crawlers read the meta tags; browsers are sent on to the
+// build in the web client. og:url points back at this page, because crawlers re-fetch the
+// canonical URL and the client cannot serve the tags.
+function renderBuildPage(build, { pageUrl, appUrl, imageUrl, oembedUrl }) {
+  const { title, description } = describeBuild(build);
+  const meta = [
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', pageUrl],
+    ...(imageUrl ? [['property', 'og:image', imageUrl], ['property', 'og:image:alt', title]] : []),
+    ['name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ...(imageUrl ? [['name', 'twitter:image', imageUrl]] : [])
+  ];
+  // JSON.stringify alone would let "</script>" in the URL end the script early
+  const redirect = JSON.stringify(appUrl).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} | ${SITE_NAME}</title>
+<meta name="description" content="${escapeHtml(description)}">
+${meta.map(([attr, name, content]) => `<meta ${attr}="${name}" content="${escapeHtml(content)}">`).join('\n')}
+<link rel="canonical" href="${escapeHtml(pageUrl)}">
+<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="${escapeHtml(title)}">
+<script>window.location.replace(${redirect});</script>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(description)}</p>
+<p><a href="${escapeHtml(appUrl)}">View this build on ${SITE_NAME}</a></p>
+</body>
+</html>
+`;
+}
+
+// Self-contained card markup for oEmbed consumers; styles are inline because the card is
+// dropped into other sites' pages
+function renderBuildCard(build, { appUrl, imageUrl, width }) {
+  const { title, description } = describeBuild(build);
+  const image = imageUrl
+    ? `<img src="${escapeHtml(imageUrl)}" alt="" width="${CARD_IMAGE_SIZE}" height="${CARD_IMAGE_SIZE}" ` +
+      `style="flex:none;width:${CARD_IMAGE_SIZE}px;height:${CARD_IMAGE_SIZE}px;object-fit:cover">`
+    : '';
+  return (
+    `<a href="${escapeHtml(appUrl)}" target="_blank" rel="noopener" ` +
+    `style="display:flex;box-sizing:border-box;max-width:${width}px;height:${CARD_IMAGE_SIZE}px;overflow:hidden;` +
+    'border:1px solid #d0d4d9;border-radius:8px;color:#1c1e21;text-decoration:none;font-family:sans-serif">' +
+    image +
+    '<span style="padding:10px 12px;overflow:hidden">' +
+    `<strong style="display:block">${escapeHtml(title)}</strong>` +
+    `<span style="display:block;margin-top:4px;font-size:13px;color:#606770">${escapeHtml(summarize(description, 120))}</span>` +
+    `<span style="display:block;margin-top:6px;font-size:12px;color:#8a8d91">${escapeHtml(build.owner_username)} on ${SITE_NAME}</span>` +
+    '</span></a>'
+  );
+}
+
+module.exports = { SITE_NAME, CARD_IMAGE_SIZE, describeBuild, renderBuildPage, renderBuildCard };
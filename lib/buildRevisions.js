@@ -0,0 +1,357 @@
+// Build state, edits and revision history.
+//
+// A build's state is { fields, covers, gallery, mods }. Edits and restores both go through
+// applyBuildState(), which updates mods in place (by id, or by category/sub-category/name
+// when the client did not send one) and soft-removes whatever is no longer listed, so mod
+// ids stay stable and old images remain available to restore. Each save then records a
+// revision holding the new snapshot and its diff against the previous revision.
+//
+// Images that drop out of a build are scheduled for deletion (see lib/uploadCleanup.js).
+//
+// Every function takes a connection inside a transaction that has locked the builds row.
+const { getStorage, isExternalUrl, toStorageKey } = require('./storage');
+const { scheduleFileDeletion } = require('./uploadCleanup');
+
+const BUILD_FIELDS = {
+  ownership:      'ownership_status',
+  carName:        'car_name',
+  model:          'model',
+  bodyStyle:      'body_style',
+  description:    'description',
+  vehicleYear:    'vehicle_year',
+  vehicleMakeId:  'vehicle_make_id',
+  vehicleModelId: 'vehicle_model_id',
+  vehicleTrimId:  'vehicle_trim_id',
+  vin:            'vin'
+};
+
+// Fields only the owner gets to see in a build's history
+const PRIVATE_FIELDS = ['vin'];
+
+const MOD_FIELDS = [
+  'category', 'sub_category', 'mod_name', 'mod_note', 'image_url',
+  'part_id', 'price_paid', 'install_date'
+];
+
+// price_paid comes back from MySQL as a DECIMAL string and install_date is kept as
+// YYYY-MM-DD so snapshots compare equal to what the client sent
+const MOD_SELECT = MOD_FIELDS
+  .map(field => field === 'install_date' ? "DATE_FORMAT(install_date, '%Y-%m-%d') AS install_date" : field)
+  .join(', ');
+
+function modKey(mod) {
+  return [mod.category || '', mod.sub_category || '', mod.mod_name || ''].join('\u0000');
+}
+
+// Current (not removed) state of a build, or undefined if it does not exist
+async function snapshotBuild(conn, buildId) {
+  const [[build]] = await conn.execute('SELECT * FROM builds WHERE id = ?', [buildId]);
+  if (!build) return undefined;
+
+  const [gallery] = await conn.execute(
+    'SELECT image_url FROM build_gallery WHERE build_id = ? AND removed_at IS NULL ORDER BY id',
+    [buildId]
+  );
+  const [mods] = await conn.execute(
+    `SELECT id, ${MOD_SELECT}
+       FROM build_mods
+      WHERE build_id = ? AND removed_at IS NULL
+      ORDER BY id`,
+    [buildId]
+  );
+
+  const fields = {};
+  for (const [key, column] of Object.entries(BUILD_FIELDS)) fields[key] = build[column];
+
+  return {
+    fields,
+    covers:  [build.cover_image, build.cover_image2].filter(Boolean),
+    gallery: gallery.map(g => g.image_url),
+    mods
+  };
+}
+
+// What changed between two snapshots; null for a build's first revision
+function diffSnapshots(before, after) {
+  if (!before) return null;
+
+  const fields = {};
+  for (const key of Object.keys(BUILD_FIELDS)) {
+    if ((before.fields[key] ?? null) !== (after.fields[key] ?? null)) {
+      fields[key] = { from: before.fields[key] ?? null, to: after.fields[key] ?? null };
+    }
+  }
+
+  const covers = before.covers.join('\n') === after.covers.join('\n')
+    ? null
+    : { from: before.covers, to: after.covers };
+
+  const gallery = {
+    added:   after.gallery.filter(url => !before.gallery.includes(url)),
+    removed: before.gallery.filter(url => !after.gallery.includes(url))
+  };
+
+  const beforeMods = new Map(before.mods.map(m => [m.id, m]));
+  const afterMods = new Map(after.mods.map(m => [m.id, m]));
+  const mods = {
+    added:   after.mods.filter(m => !beforeMods.has(m.id)),
+    removed: before.mods.filter(m => !afterMods.has(m.id)),
+    changed: []
+  };
+  for (const mod of after.mods) {
+    const old = beforeMods.get(mod.id);
+    if (!old) continue;
+    const changes = {};
+    for (const field of MOD_FIELDS) {
+      if ((old[field] ?? null) !== (mod[field] ?? null)) {
+        changes[field] = { from: old[field] ?? null, to: mod[field] ?? null };
+      }
+    }
+    if (Object.keys(changes).length) mods.changed.push({ id: mod.id, mod_name: mod.mod_name, changes });
+  }
+
+  return { fields, covers, gallery, mods };
+}
+
+function isEmptyDiff(diff) {
+  return !!diff &&
+    Object.keys(diff.fields).length === 0 &&
+    !diff.covers &&
+    diff.gallery.added.length === 0 && diff.gallery.removed.length === 0 &&
+    diff.mods.added.length === 0 && diff.mods.removed.length === 0 && diff.mods.changed.length === 0;
+}
+
+async function getLatestRevision(conn, buildId) {
+  const [[revision]] = await conn.execute(
+    `SELECT id, revision_number, snapshot FROM build_revisions
+      WHERE build_id = ?
+      ORDER BY revision_number DESC
+      LIMIT 1`,
+    [buildId]
+  );
+  return revision;
+}
+
+// Records the build's current state as its next revision. Returns the revision number,
+// or null when nothing changed since the last one.
+async function recordRevision(conn, buildId, userId, { restoredFrom = null } = {}) {
+  const snapshot = await snapshotBuild(conn, buildId);
+  const latest = await getLatestRevision(conn, buildId);
+  const diff = diffSnapshots(latest && latest.snapshot, snapshot);
+  if (isEmptyDiff(diff) && !restoredFrom) return null;
+
+  const revisionNumber = latest ? latest.revision_number + 1 : 1;
+  await conn.execute(
+    `INSERT INTO build_revisions (build_id, revision_number, user_id, snapshot, diff, restored_from)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [buildId, revisionNumber, userId, JSON.stringify(snapshot), diff && JSON.stringify(diff), restoredFrom]
+  );
+  return revisionNumber;
+}
+
+// Builds from before revision history have no baseline to diff their first edit against,
+// so their current state is recorded first
+async function ensureBaselineRevision(conn, buildId, userId) {
+  if (!(await getLatestRevision(conn, buildId))) {
+    await recordRevision(conn, buildId, userId);
+  }
+}
+
+function snapshotImages(snapshot) {
+  return [...snapshot.covers, ...snapshot.gallery, ...snapshot.mods.map(m => m.image_url)]
+    .filter(Boolean)
+    .map(value => toStorageKey(value));
+}
+
+// Makes the build match `state`. Mods may carry the id of one of the build's mods,
+// including a removed one, which brings it back. Returns the mods that are new to the build.
+async function applyBuildState(conn, buildId, state) {
+  const before = await snapshotBuild(conn, buildId);
+
+  const setClauses = Object.values(BUILD_FIELDS).map(column => `${column} = ?`);
+  await conn.execute(
+    `UPDATE builds SET ${setClauses.join(', ')}, cover_image = ?, cover_image2 = ? WHERE id = ?`,
+    [
+      ...Object.keys(BUILD_FIELDS).map(key => state.fields[key] ?? null),
+      state.covers[0] || null,
+      state.covers[1] || null,
+      buildId
+    ]
+  );
+
+  // Gallery: bring back or add listed photos, soft-remove the rest
+  const [galleryRows] = await conn.execute(
+    'SELECT id, image_url, removed_at FROM build_gallery WHERE build_id = ?',
+    [buildId]
+  );
+  for (const url of new Set(state.gallery)) {
+    const existing = galleryRows.find(g => g.image_url === url);
+    if (existing) {
+      if (existing.removed_at) {
+        await conn.execute('UPDATE build_gallery SET removed_at = NULL WHERE id = ?', [existing.id]);
+      }
+    } else {
+      await conn.execute('INSERT INTO build_gallery (build_id, image_url) VALUES (?, ?)', [buildId, url]);
+    }
+  }
+  const keptUrls = new Set(state.gallery);
+  for (const row of galleryRows) {
+    if (!row.removed_at && !keptUrls.has(row.image_url)) {
+      await conn.execute('UPDATE build_gallery SET removed_at = NOW() WHERE id = ?', [row.id]);
+    }
+  }
+
+  // Mods: match by id first, then by name among the active mods nobody claimed
+  const [modRows] = await conn.execute(
+    'SELECT id, category, sub_category, mod_name, part_id, part_matched_by, removed_at FROM build_mods WHERE build_id = ?',
+    [buildId]
+  );
+  const byId = new Map(modRows.map(m => [m.id, m]));
+  const claimed = new Set();
+  const matches = state.mods.map(mod => {
+    const row = byId.get(Number(mod.id));
+    if (row && !claimed.has(row.id)) {
+      claimed.add(row.id);
+      return row;
+    }
+    return null;
+  });
+  state.mods.forEach((mod, i) => {
+    if (matches[i]) return;
+    const row = modRows.find(m => !m.removed_at && !claimed.has(m.id) && modKey(m) === modKey(mod));
+    if (row) {
+      claimed.add(row.id);
+      matches[i] = row;
+    }
+  });
+
+  const added = [];
+  for (const [i, mod] of state.mods.entries()) {
+    const values = MOD_FIELDS.map(field => mod[field] ?? null);
+    const row = matches[i];
+    const partId = mod.part_id ?? null;
+    // A part the matching script guessed stays marked as a guess until the owner changes it
+    const matchedBy = partId == null ? null
+      : row && row.part_id === Number(partId) && row.part_matched_by ? row.part_matched_by : 'owner';
+    if (row) {
+      await conn.execute(
+        `UPDATE build_mods
+            SET ${MOD_FIELDS.map(field => `${field} = ?`).join(', ')}, part_matched_by = ?, removed_at = NULL
+          WHERE id = ?`,
+        [...values, matchedBy, row.id]
+      );
+      if (row.removed_at) added.push(mod);
+    } else {
+      await conn.execute(
+        `INSERT INTO build_mods (build_id, ${MOD_FIELDS.join(', ')}, part_matched_by)
+         VALUES (?, ${MOD_FIELDS.map(() => '?').join(', ')}, ?)`,
+        [buildId, ...values, matchedBy]
+      );
+      added.push(mod);
+    }
+  }
+  for (const row of modRows) {
+    if (!row.removed_at && !claimed.has(row.id)) {
+      await conn.execute('UPDATE build_mods SET removed_at = NOW() WHERE id = ?', [row.id]);
+    }
+  }
+
+  const kept = new Set(snapshotImages(state));
+  await scheduleFileDeletion(conn, snapshotImages(before).filter(key => !kept.has(key)));
+
+  return { addedMods: added };
+}
+
+// Every image the build has used that may still be stored: the current ones plus those of
+// removed gallery photos and mods
+async function listBuildImages(conn, buildId) {
+  const [[build]] = await conn.execute('SELECT cover_image, cover_image2 FROM builds WHERE id = ?', [buildId]);
+  const [gallery] = await conn.execute('SELECT image_url FROM build_gallery WHERE build_id = ?', [buildId]);
+  const [mods] = await conn.execute('SELECT image_url FROM build_mods WHERE build_id = ?', [buildId]);
+  return [
+    build && build.cover_image,
+    build && build.cover_image2,
+    ...gallery.map(g => g.image_url),
+    ...mods.map(m => m.image_url)
+  ].filter(Boolean);
+}
+
+// Copy of a snapshot without the images whose files have been deleted since, so restoring
+// an old revision does not bring back broken images
+async function withoutMissingImages(snapshot) {
+  const stored = new Map();
+  for (const value of snapshotImages(snapshot)) {
+    if (!stored.has(value)) stored.set(value, isExternalUrl(value) || await getStorage().exists(value));
+  }
+  const isStored = value => stored.get(toStorageKey(value));
+  return {
+    ...snapshot,
+    covers:  snapshot.covers.filter(isStored),
+    gallery: snapshot.gallery.filter(isStored),
+    mods:    snapshot.mods.map(mod => (mod.image_url && !isStored(mod.image_url) ? { ...mod, image_url: null } : mod))
+  };
+}
+
+// Copy of a snapshot or diff without PRIVATE_FIELDS, for showing history to non-owners
+function redactPrivateFields(value) {
+  if (!value || !value.fields) return value;
+  const fields = { ...value.fields };
+  for (const field of PRIVATE_FIELDS) delete fields[field];
+  return { ...value, fields };
+}
+
+// Applies fn to every image in a snapshot, e.g. publicUrl() for a response or
+// toStorageKey() for snapshots saved before uploads were stored by key
+function mapSnapshotImages(snapshot, fn) {
+  return {
+    ...snapshot,
+    covers:  snapshot.covers.map(value => fn(value)),
+    gallery: snapshot.gallery.map(value => fn(value)),
+    mods:    snapshot.mods.map(mod => ({ ...mod, image_url: mod.image_url && fn(mod.image_url) }))
+  };
+}
+
+// Same for a diff from diffSnapshots()
+function mapDiffImages(diff, fn) {
+  if (!diff) return diff;
+  const mapMod = mod => ({ ...mod, image_url: mod.image_url && fn(mod.image_url) });
+  return {
+    ...diff,
+    covers: diff.covers && {
+      from: diff.covers.from.map(value => fn(value)),
+      to:   diff.covers.to.map(value => fn(value))
+    },
+    gallery: {
+      added:   diff.gallery.added.map(value => fn(value)),
+      removed: diff.gallery.removed.map(value => fn(value))
+    },
+    mods: {
+      added:   diff.mods.added.map(mapMod),
+      removed: diff.mods.removed.map(mapMod),
+      changed: diff.mods.changed.map(change => {
+        const image = change.changes.image_url;
+        if (!image) return change;
+        return {
+          ...change,
+          changes: {
+            ...change.changes,
+            image_url: { from: image.from && fn(image.from), to: image.to && fn(image.to) }
+          }
+        };
+      })
+    }
+  };
+}
+
+module.exports = {
+  redactPrivateFields,
+  mapSnapshotImages,
+  mapDiffImages,
+  listBuildImages,
+  withoutMissingImages,
+  snapshotBuild,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision,
+  applyBuildState
+};
@@ -0,0 +1,92 @@
+// Who may see a build:
+//   public    - everyone, including visitors who are not logged in
+//   followers - the owner's followers
+//   private   - only the owner
+//   unlisted  - anyone with the build's share link; never shown in listings
+// Owners always see their own builds. Listings, search and the feed filter with
+// visibleBuildsSql(); single-build endpoints check canViewBuild().
+const crypto = require('crypto');
+
+const BUILD_VISIBILITIES = ['public', 'followers', 'private', 'unlisted'];
+
+function hashShareToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns { visibility } or { error }; undefined when the field was not sent
+function readVisibility(value) {
+  if (value === undefined) return undefined;
+  if (!BUILD_VISIBILITIES.includes(value)) {
+    return { error: `visibility must be one of ${BUILD_VISIBILITIES.join(', ')}.` };
+  }
+  return { visibility: value };
+}
+
+// SQL condition (with its params) matching the builds aliased `alias` that viewerId may
+// find in listings. viewerId is null for visitors who are not logged in.
+function visibleBuildsSql(alias, viewerId) {
+  if (viewerId == null) {
+    return { sql: `${alias}.visibility = 'public'`, params: [] };
+  }
+  return {
+    sql: `(${alias}.visibility = 'public'
+           OR ${alias}.user_id = ?
+           OR (${alias}.visibility = 'followers'
+               AND EXISTS (SELECT 1 FROM follows vf
+                            WHERE vf.follower_id = ? AND vf.followed_id = ${alias}.user_id)))`,
+    params: [viewerId, viewerId]
+  };
+}
+
+// Whether viewerId (or anyone holding shareToken) may open `build`, a row with user_id,
+// visibility and share_token_hash
+async function canViewBuild(db, build, viewerId, shareToken) {
+  if (viewerId != null && build.user_id === viewerId) return true;
+
+  switch (build.visibility) {
+    case 'public':
+      return true;
+    case 'unlisted': {
+      if (!shareToken || !build.share_token_hash) return false;
+      const given = Buffer.from(hashShareToken(String(shareToken)));
+      return crypto.timingSafeEqual(given, Buffer.from(build.share_token_hash));
+    }
+    case 'followers': {
+      if (viewerId == null) return false;
+      const [[follow]] = await db.execute(
+        'SELECT 1 AS found FROM follows WHERE follower_id = ? AND followed_id = ?',
+        [viewerId, build.user_id]
+      );
+      return !!follow;
+    }
+    default:
+      return false;
+  }
+}
+
+// Gives the build a new share link token, replacing (and so revoking) any earlier one.
+// Returns the raw token; only its hash is stored.
+async function issueShareToken(db, buildId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.execute(
+    'UPDATE builds SET share_token_hash = ?, share_token_created_at = NOW() WHERE id = ?',
+    [hashShareToken(token), buildId]
+  );
+  return token;
+}
+
+async function revokeShareToken(db, buildId) {
+  await db.execute(
+    'UPDATE builds SET share_token_hash = NULL, share_token_created_at = NULL WHERE id = ?',
+    [buildId]
+  );
+}
+
+module.exports = {
+  BUILD_VISIBILITIES,
+  readVisibility,
+  visibleBuildsSql,
+  canViewBuild,
+  issueShareToken,
+  revokeShareToken
+};
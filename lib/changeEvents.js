@@ -0,0 +1,19 @@
+// In-process signal that rows of a kind changed ('users', 'builds' or 'businesses'), for
+// caches that should drop what they hold. Only reaches this instance, so those caches
+// must also expire on their own.
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function emitChange(entity) {
+  bus.emit('change', entity);
+}
+
+// listener(entity); returns a function that unsubscribes
+function onChange(listener) {
+  bus.on('change', listener);
+  return () => bus.off('change', listener);
+}
+
+module.exports = { emitChange, onChange };
@@ -0,0 +1,35 @@
+// Signed check-in tokens for confirmed event registrations.
+// The token is what the registrant's QR code encodes. It is only valid while its nonce
+// matches the one stored on the registration, and a registration can be checked in once.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TYPE = 'event_check_in';
+
+function getSecret() {
+  return process.env.CHECK_IN_TOKEN_SECRET || process.env.JWT_SECRET;
+}
+
+function createNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function signCheckInToken({ registrationId, eventId, nonce }) {
+  return jwt.sign(
+    { typ: TOKEN_TYPE, rid: registrationId, eid: eventId, nonce },
+    getSecret()
+  );
+}
+
+// Returns { registrationId, eventId, nonce } or null if the token is not a valid check-in token
+function verifyCheckInToken(token) {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    if (payload.typ !== TOKEN_TYPE) return null;
+    return { registrationId: payload.rid, eventId: payload.eid, nonce: payload.nonce };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { createNonce, signCheckInToken, verifyCheckInToken };
@@ -0,0 +1,17 @@
+// CSV helpers for streamed exports
+
+// Quotes a value when needed and neutralizes leading characters that spreadsheet
+// apps would otherwise evaluate as a formula.
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+function formatRow(values) {
+  return values.map(formatCell).join(',') + '\r\n';
+}
+
+module.exports = { formatCell, formatRow };
@@ -0,0 +1,14 @@
+// Opaque cursors for newest-first lists paged by id. Clients pass back the nextCursor
+// they were given; internally it is the id of the last item served.
+
+function encodeCursor(id) {
+  return Buffer.from(String(id)).toString('base64url');
+}
+
+// Returns the id, or null if the cursor is malformed
+function decodeCursor(cursor) {
+  const id = Number(Buffer.from(String(cursor), 'base64url').toString());
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+module.exports = { encodeCursor, decodeCursor };
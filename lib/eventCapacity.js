@@ -0,0 +1,116 @@
+// Capacity and waitlist bookkeeping for event registrations.
+// Every function takes a connection that is already inside a transaction, and callers
+// must lock the event row with lockEvent() first so concurrent registrations queue up
+// behind each other instead of overbooking.
+
+// Locks and returns the Events row, or undefined if it does not exist
+async function lockEvent(conn, eventId) {
+  const [[event]] = await conn.execute(
+    `SELECT id, organizer_id, title, status, registration_opens_at, registration_closes_at,
+            max_registrants, max_cars
+       FROM Events
+      WHERE id = ?
+      FOR UPDATE`,
+    [eventId]
+  );
+  return event;
+}
+
+// Counts confirmed registrants and their cars, optionally leaving one registration out
+async function getConfirmedUsage(conn, eventId, excludeRegistrationId = null) {
+  const [[usage]] = await conn.execute(
+    `SELECT COUNT(*) AS registrants,
+            COALESCE(SUM((SELECT COUNT(*) FROM registered_cars rc
+                            WHERE rc.registration_id = er.id)), 0) AS cars
+       FROM event_registrations er
+      WHERE er.event_id = ?
+        AND er.status = 'confirmed'
+        AND er.id <> ?`,
+    [eventId, excludeRegistrationId ?? 0]
+  );
+  return { registrants: Number(usage.registrants), cars: Number(usage.cars) };
+}
+
+// Whether one more registrant bringing carCount cars fits under the event's caps
+function fitsCapacity(event, usage, carCount) {
+  if (event.max_registrants != null && usage.registrants + 1 > event.max_registrants) {
+    return false;
+  }
+  if (event.max_cars != null && usage.cars + carCount > event.max_cars) {
+    return false;
+  }
+  return true;
+}
+
+async function hasWaitlist(conn, eventId) {
+  const [[row]] = await conn.execute(
+    `SELECT 1 AS waiting FROM event_registrations
+      WHERE event_id = ? AND status = 'waitlisted'
+      LIMIT 1`,
+    [eventId]
+  );
+  return !!row;
+}
+
+// Decides whether a new registration is confirmed or has to wait.
+// Anyone already waiting keeps their place, so newcomers join the back of the line
+// even if their smaller car count would squeeze in.
+async function placeRegistration(conn, event, carCount) {
+  if (await hasWaitlist(conn, event.id)) return 'waitlisted';
+  const usage = await getConfirmedUsage(conn, event.id);
+  return fitsCapacity(event, usage, carCount) ? 'confirmed' : 'waitlisted';
+}
+
+// Confirms waitlisted registrations in queue order for as long as the head of the
+// queue fits. Returns the ids of the promoted registrations.
+async function promoteWaitlisted(conn, event) {
+  const promoted = [];
+  const usage = await getConfirmedUsage(conn, event.id);
+
+  const [queue] = await conn.execute(
+    `SELECT er.id,
+            (SELECT COUNT(*) FROM registered_cars rc WHERE rc.registration_id = er.id) AS car_count
+       FROM event_registrations er
+      WHERE er.event_id = ? AND er.status = 'waitlisted'
+      ORDER BY er.waitlisted_at, er.id`,
+    [event.id]
+  );
+
+  for (const entry of queue) {
+    const carCount = Number(entry.car_count);
+    if (!fitsCapacity(event, usage, carCount)) break;
+
+    await conn.execute(
+      `UPDATE event_registrations SET status = 'confirmed', waitlisted_at = NULL WHERE id = ?`,
+      [entry.id]
+    );
+    usage.registrants += 1;
+    usage.cars += carCount;
+    promoted.push(entry.id);
+  }
+
+  return promoted;
+}
+
+// 1-based place in the waitlist, or null if the registration is not waitlisted
+async function getWaitlistPosition(db, registration) {
+  if (registration.status !== 'waitlisted') return null;
+  const [[row]] = await db.execute(
+    `SELECT COUNT(*) AS ahead
+       FROM event_registrations
+      WHERE event_id = ?
+        AND status = 'waitlisted'
+        AND (waitlisted_at < ? OR (waitlisted_at = ? AND id < ?))`,
+    [registration.event_id, registration.waitlisted_at, registration.waitlisted_at, registration.id]
+  );
+  return Number(row.ahead) + 1;
+}
+
+module.exports = {
+  lockEvent,
+  getConfirmedUsage,
+  fitsCapacity,
+  placeRegistration,
+  promoteWaitlisted,
+  getWaitlistPosition
+};
@@ -0,0 +1,82 @@
+// Minimal iCalendar (RFC 5545) writer for event feeds.
+
+const PRODUCT_ID = '-//GearGrid//Events//EN';
+const UID_DOMAIN = 'geargrid';
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 20250614T170000Z
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventUid(eventId) {
+  return `event-${eventId}@${UID_DOMAIN}`;
+}
+
+// Builds one VEVENT from an Events row. `status` overrides the STATUS property
+// (e.g. TENTATIVE for a waitlisted registrant).
+function buildEvent(event, { status } = {}) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event.id)}`,
+    `DTSTAMP:${formatDate(event.updated_at || new Date())}`,
+    `DTSTART:${formatDate(event.starts_at)}`
+  ];
+  if (event.ends_at) lines.push(`DTEND:${formatDate(event.ends_at)}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  lines.push(`SUMMARY:${escapeText(event.title || 'Untitled event')}`);
+  if (event.venue) lines.push(`LOCATION:${escapeText(event.venue)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : (status || 'CONFIRMED')}`);
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatDate(event.updated_at)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Returns a complete VCALENDAR document. Each entry is an Events row, optionally
+// with a `calendarStatus` to pass through to buildEvent.
+function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  for (const event of events) {
+    if (!event.starts_at) continue;
+    lines.push(...buildEvent(event, { status: event.calendarStatus }));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, eventUid };
@@ -0,0 +1,109 @@
+// Every uploaded image goes through here before it is stored: the real type is sniffed
+// from its magic bytes (the client's filename and MIME type are ignored), size and pixel
+// limits are enforced, and the image is re-encoded, which drops EXIF/GPS and all other
+// metadata. Alongside the cleaned original it produces a medium and a thumbnail variant.
+const sharp = require('sharp');
+
+class ImageValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Allowed input types. GIFs are flattened to their first frame and stored as PNG.
+const IMAGE_TYPES = [
+  { format: 'jpeg', ext: 'jpg',  matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png',  ext: 'png',  matches: b => b.subarray(0, 8).equals(PNG_SIGNATURE) },
+  { format: 'webp', ext: 'webp', matches: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { format: 'gif',  ext: 'png',  matches: b => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) }
+];
+
+// IMAGE_MAX_BYTES / IMAGE_MAX_DIMENSION override the defaults
+const LIMITS = {
+  maxBytes:     Number(process.env.IMAGE_MAX_BYTES || 10 * 1024 * 1024),
+  maxDimension: Number(process.env.IMAGE_MAX_DIMENSION || 8000),
+  maxPixels:    40 * 1000 * 1000,
+  // The stored "original" is capped so phone photos do not have to be served at full size
+  maxStoredDimension: 2560
+};
+
+// Variant sizes per kind of upload. Thumbnails for avatars are square crops.
+const VARIANTS = {
+  build:  { medium: { size: 1024, fit: 'inside' }, thumb: { size: 320, fit: 'inside' } },
+  avatar: { medium: { size: 512,  fit: 'cover'  }, thumb: { size: 128, fit: 'cover' } }
+};
+
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  return IMAGE_TYPES.find(type => type.matches(buffer)) || null;
+}
+
+function encode(pipeline, format) {
+  if (format === 'jpeg') return pipeline.jpeg({ quality: 85, mozjpeg: true });
+  if (format === 'webp') return pipeline.webp({ quality: 85 });
+  return pipeline.png({ compressionLevel: 9 });
+}
+
+// Validates and processes one image. Returns
+//   { ext, width, height, original: Buffer, medium: Buffer, thumb: Buffer }
+// where the original keeps its format (GIF becomes PNG) and variants are WebP.
+// Throws ImageValidationError for anything that is not an acceptable image.
+async function processImage(buffer, { kind = 'build' } = {}) {
+  if (buffer.length > LIMITS.maxBytes) {
+    throw new ImageValidationError('IMAGE_TOO_LARGE',
+      `Images can be at most ${Math.floor(LIMITS.maxBytes / (1024 * 1024))} MB.`);
+  }
+
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new ImageValidationError('IMAGE_TYPE_NOT_ALLOWED', 'Only JPEG, PNG, WebP and GIF images are allowed.');
+  }
+
+  const input = () => sharp(buffer, { limitInputPixels: LIMITS.maxPixels, failOn: 'error' });
+
+  let metadata;
+  try {
+    metadata = await input().metadata();
+  } catch (err) {
+    throw new ImageValidationError('IMAGE_INVALID', 'The image could not be read. It may be corrupt or too large.');
+  }
+  if (metadata.format !== type.format) {
+    throw new ImageValidationError('IMAGE_INVALID', 'The image data does not match its type.');
+  }
+  if (metadata.width > LIMITS.maxDimension || metadata.height > LIMITS.maxDimension) {
+    throw new ImageValidationError('IMAGE_DIMENSIONS',
+      `Images can be at most ${LIMITS.maxDimension} pixels wide or tall.`);
+  }
+
+  const variants = VARIANTS[kind] || VARIANTS.build;
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const { data: original, info } = await encode(
+      input().rotate().resize({
+        width: LIMITS.maxStoredDimension,
+        height: LIMITS.maxStoredDimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      }),
+      type.format === 'gif' ? 'png' : type.format
+    ).toBuffer({ resolveWithObject: true });
+
+    const [medium, thumb] = await Promise.all(['medium', 'thumb'].map(name => {
+      const { size, fit } = variants[name];
+      return input()
+        .rotate()
+        .resize({ width: size, height: size, fit, withoutEnlargement: fit === 'inside' })
+        .webp({ quality: 80 })
+        .toBuffer();
+    }));
+
+    return { ext: type.ext, width: info.width, height: info.height, original, medium, thumb };
+  } catch (err) {
+    throw new ImageValidationError('IMAGE_INVALID', 'The image could not be processed. It may be corrupt.');
+  }
+}
+
+module.exports = { ImageValidationError, LIMITS, sniffImageType, processImage };
@@ -0,0 +1,95 @@
+// Per-account and per-IP login throttling with exponential backoff.
+// Each key gets a number of free failures; after that every further failure locks it for
+// baseLockMs * 2^(extra failures), capped at maxLockMs. Counters are forgotten after
+// windowMs without a failure, or when the account logs in successfully.
+//
+// LOGIN_LIMITER_STORE picks where counters live: "memory" (default, single instance)
+// or "mysql" (shared by every instance).
+const createMemoryStore = require('./loginLimiterStores/memory');
+const createMysqlStore = require('./loginLimiterStores/mysql');
+
+const DEFAULT_POLICY = {
+  account: { freeFailures: 5 },
+  ip:      { freeFailures: 20 },
+  baseLockMs: 30 * 1000,
+  maxLockMs:  60 * 60 * 1000,
+  windowMs:   24 * 60 * 60 * 1000
+};
+
+function accountKey(email) {
+  return `account:${String(email || '').trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+function createStoreFromEnv(pool) {
+  const kind = process.env.LOGIN_LIMITER_STORE || 'memory';
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'mysql') return createMysqlStore(pool);
+  throw new Error(`Unknown LOGIN_LIMITER_STORE "${kind}"`);
+}
+
+function createLoginLimiter(pool, { store = createStoreFromEnv(pool), policy = DEFAULT_POLICY } = {}) {
+  function lockDuration(failures, freeFailures) {
+    const extra = failures - freeFailures;
+    if (extra <= 0) return 0;
+    return Math.min(policy.baseLockMs * 2 ** (extra - 1), policy.maxLockMs);
+  }
+
+  // Returns the number of ms until the email/IP pair may try again, or 0 if it may try now
+  async function check(email, ip) {
+    const now = Date.now();
+    const entries = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+    const waits = entries.map(entry => (entry && entry.lockedUntil ? entry.lockedUntil - now : 0));
+    return Math.max(0, ...waits);
+  }
+
+  async function recordFailure(email, ip) {
+    const targets = [
+      [accountKey(email), policy.account.freeFailures],
+      [ipKey(ip), policy.ip.freeFailures]
+    ];
+    for (const [key, freeFailures] of targets) {
+      const failures = await store.increment(key, policy.windowMs);
+      const lockMs = lockDuration(failures, freeFailures);
+      if (lockMs > 0) {
+        await store.lock(key, new Date(Date.now() + lockMs));
+      }
+    }
+  }
+
+  // A successful login clears the account counter. The IP counter is left alone so one
+  // valid account cannot be used to keep resetting an IP that is guessing at others.
+  async function recordSuccess(email) {
+    await store.reset(accountKey(email));
+  }
+
+  // Lifts a lock early. Returns true if there was anything to clear.
+  async function unlock({ email, ip }) {
+    const results = [];
+    if (email) results.push(await store.reset(accountKey(email)));
+    if (ip) results.push(await store.reset(ipKey(ip)));
+    return results.some(Boolean);
+  }
+
+  return { check, recordFailure, recordSuccess, unlock };
+}
+
+// Stores a failed or blocked attempt for later review
+async function recordLoginAttempt(pool, { email, userId = null, req, outcome }) {
+  await pool.execute(
+    `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, outcome)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      email ? String(email).slice(0, 255) : null,
+      userId,
+      req.ip || null,
+      (req.get('user-agent') || '').slice(0, 512) || null,
+      outcome
+    ]
+  );
+}
+
+module.exports = { createLoginLimiter, recordLoginAttempt };
@@ -0,0 +1,56 @@
+// Keeps login failure counters in process memory. Only suitable for a single instance.
+// Every new email or IP adds an entry, so expired ones are dropped whenever the map has
+// doubled since the last cleanup, and past MAX_ENTRIES the longest idle ones go as well.
+const PRUNE_THRESHOLD = 10000;
+const MAX_ENTRIES = 100000;
+
+function createMemoryStore({ maxEntries = MAX_ENTRIES } = {}) {
+  // Least recently failed first
+  const entries = new Map();
+  let pruneAt = PRUNE_THRESHOLD;
+
+  function forgetExpired(now, windowMs) {
+    for (const [key, entry] of entries) {
+      if (now - entry.lastFailureAt > windowMs && !(entry.lockedUntil > now)) entries.delete(key);
+    }
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+    }
+    pruneAt = Math.max(PRUNE_THRESHOLD, entries.size * 2);
+  }
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+
+    // Adds a failure, starting over if the previous one is older than windowMs.
+    // Returns the updated failure count.
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = entries.get(key);
+      const fresh = !entry || now - entry.lastFailureAt > windowMs;
+      const next = {
+        failures: fresh ? 1 : entry.failures + 1,
+        lastFailureAt: now,
+        lockedUntil: fresh ? null : entry.lockedUntil
+      };
+      entries.delete(key);
+      entries.set(key, next);
+      if (entries.size > Math.min(pruneAt, maxEntries)) forgetExpired(now, windowMs);
+      return next.failures;
+    },
+
+    async lock(key, lockedUntil) {
+      const entry = entries.get(key);
+      if (entry) entry.lockedUntil = lockedUntil.getTime();
+    },
+
+    async reset(key) {
+      return entries.delete(key);
+    }
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,51 @@
+// Keeps login failure counters in the login_throttles table so every instance sees them
+function createMysqlStore(pool) {
+  return {
+    async get(key) {
+      const [[row]] = await pool.execute(
+        'SELECT failures, last_failure_at, locked_until FROM login_throttles WHERE throttle_key = ?',
+        [key]
+      );
+      if (!row) return null;
+      return {
+        failures: row.failures,
+        lastFailureAt: row.last_failure_at.getTime(),
+        lockedUntil: row.locked_until ? row.locked_until.getTime() : null
+      };
+    },
+
+    // Adds a failure atomically, starting over if the previous one is older than windowMs.
+    // Returns the updated failure count.
+    async increment(key, windowMs) {
+      const windowSeconds = Math.ceil(windowMs / 1000);
+      await pool.execute(
+        `INSERT INTO login_throttles (throttle_key, failures, last_failure_at)
+         VALUES (?, 1, NOW())
+         ON DUPLICATE KEY UPDATE
+           failures     = IF(last_failure_at < NOW() - INTERVAL ${windowSeconds} SECOND, 1, failures + 1),
+           locked_until = IF(last_failure_at < NOW() - INTERVAL ${windowSeconds} SECOND, NULL, locked_until),
+           last_failure_at = NOW()`,
+        [key]
+      );
+      const [[row]] = await pool.execute(
+        'SELECT failures FROM login_throttles WHERE throttle_key = ?',
+        [key]
+      );
+      return row.failures;
+    },
+
+    async lock(key, lockedUntil) {
+      await pool.execute(
+        'UPDATE login_throttles SET locked_until = ? WHERE throttle_key = ?',
+        [lockedUntil, key]
+      );
+    },
+
+    async reset(key) {
+      const [result] = await pool.execute('DELETE FROM login_throttles WHERE throttle_key = ?', [key]);
+      return result.affectedRows > 0;
+    }
+  };
+}
+
+module.exports = createMysqlStore;
@@ -0,0 +1,32 @@
+// Writes each message to a JSON file instead of sending it. Used in development and tests.
+const fs = require('fs').promises;
+const path = require('path');
+
+function createOutboxTransport({ dir }) {
+  return {
+    name: 'outbox',
+
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(
+        path.join(dir, filename),
+        JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+      );
+    },
+
+    // Returns the stored messages, oldest first
+    async list() {
+      let files;
+      try {
+        files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return Promise.all(files.map(async f => JSON.parse(await fs.readFile(path.join(dir, f), 'utf8'))));
+    }
+  };
+}
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,21 @@
+// Sends mail through an SMTP server
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ host, port, secure, user, password }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
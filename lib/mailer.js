@@ -0,0 +1,60 @@
+// Outgoing mail. Every message goes through a transport object with an async
+// send({ from, to, subject, text }) method. MAIL_TRANSPORT picks the implementation:
+//   smtp   - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+//   outbox - JSON files under MAIL_OUTBOX_DIR (default ./outbox); the default
+const path = require('path');
+const createOutboxTransport = require('./mailTransports/outbox');
+const createSmtpTransport = require('./mailTransports/smtp');
+
+function createTransportFromEnv() {
+  const kind = process.env.MAIL_TRANSPORT || 'outbox';
+  if (kind === 'smtp') {
+    return createSmtpTransport({
+      host:     process.env.SMTP_HOST,
+      port:     Number(process.env.SMTP_PORT || 587),
+      secure:   process.env.SMTP_SECURE === 'true',
+      user:     process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD
+    });
+  }
+  if (kind === 'outbox') {
+    return createOutboxTransport({
+      dir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')
+    });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+}
+
+// Swaps the transport, e.g. for an in-memory one in tests
+function setTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'GearGrid <no-reply@geargrid.app>',
+    to,
+    subject,
+    text
+  });
+}
+
+// Base URL of the web client, used to build links in emails
+function clientUrl(pathname) {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}${pathname}`;
+}
+
+// Public base URL of this API server (SERVER_URL), for absolute links to pages and files it
+// serves. Set it in production; the request's Host header must not be trusted for this.
+function serverUrl(pathname) {
+  return `${process.env.SERVER_URL || `http://localhost:${process.env.SERVER_PORT || 3001}`}${pathname}`;
+}
+
+module.exports = { sendMail, clientUrl, serverUrl, getTransport, setTransport };
@@ -0,0 +1,104 @@
+// Stored images and their variants (see lib/imagePipeline.js)
+const crypto = require('crypto');
+const { processImage } = require('./imagePipeline');
+const { getStorage, isExternalUrl, toStorageKey, publicUrl, deleteStoredFiles } = require('./storage');
+
+// Key prefix per kind of image
+const KIND_DIRS = {
+  build:  '',
+  avatar: 'avatars/profilepics/'
+};
+
+// Names this app gives stored files: storeImage() keys and their variants, plus the names
+// uploads had before the image pipeline
+const APP_KEY_PATTERNS = [
+  /^(avatars\/profilepics\/)?\d+-[0-9a-f]{12}-[A-Za-z0-9_-]*\.[a-z0-9]+$/,
+  /^\d+-(coverImages|galleryImages|modImages)(\.[A-Za-z0-9]+)?$/,
+  /^avatars\/profilepics\/avatar-\d+-\d+\.[A-Za-z0-9]+$/
+];
+
+function isAppStorageKey(key) {
+  return APP_KEY_PATTERNS.some(pattern => pattern.test(key));
+}
+
+// Runs an uploaded image through the pipeline, stores the original and its variants and
+// records them. Returns { key, mediumKey, thumbKey, url, width, height }; the key is what
+// goes in the database, the url is for the response.
+// Throws ImageValidationError for files that are not acceptable images.
+async function storeImage(db, buffer, { kind = 'build', ownerId = null, label = 'image' } = {}) {
+  const processed = await processImage(buffer, { kind });
+
+  const base = `${KIND_DIRS[kind]}${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${label.replace(/[^a-zA-Z0-9_-]/g, '')}`;
+  const stored = {
+    key:       `${base}.${processed.ext}`,
+    mediumKey: `${base}-medium.webp`,
+    thumbKey:  `${base}-thumb.webp`,
+    width:     processed.width,
+    height:    processed.height
+  };
+
+  const storage = getStorage();
+  await storage.put(stored.key, processed.original);
+  await storage.put(stored.mediumKey, processed.medium);
+  await storage.put(stored.thumbKey, processed.thumb);
+
+  await db.execute(
+    `INSERT INTO media (owner_id, kind, storage_key, medium_key, thumb_key, width, height, bytes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ownerId, kind, stored.key, stored.mediumKey, stored.thumbKey, stored.width, stored.height, processed.original.length]
+  );
+  return { ...stored, url: publicUrl(stored.key) };
+}
+
+async function loadVariantKeys(db, values) {
+  const keys = [...new Set(values.filter(Boolean).map(value => toStorageKey(value)))];
+  const byKey = new Map();
+  if (keys.length) {
+    const [rows] = await db.query(
+      'SELECT storage_key, medium_key, thumb_key FROM media WHERE storage_key IN (?)',
+      [keys]
+    );
+    for (const row of rows) byKey.set(row.storage_key, { medium: row.medium_key, thumb: row.thumb_key });
+  }
+  return byKey;
+}
+
+// Returns a function mapping a stored image to the URLs { original, medium, thumb }.
+// Images without variants (uploaded before the pipeline) use the original for every size.
+async function loadImageVariants(db, values) {
+  const byKey = await loadVariantKeys(db, values);
+
+  return value => {
+    if (!value) return null;
+    const variants = byKey.get(toStorageKey(value));
+    return {
+      original: publicUrl(value),
+      medium:   publicUrl(variants ? variants.medium : value),
+      thumb:    publicUrl(variants ? variants.thumb : value)
+    };
+  };
+}
+
+// Storage keys of every file behind the given images, variants included
+async function expandImageFiles(db, values) {
+  const byKey = await loadVariantKeys(db, values);
+  const files = new Set();
+  for (const value of values.filter(Boolean)) {
+    const key = toStorageKey(value);
+    if (isExternalUrl(key)) continue;
+    files.add(key);
+    const variants = byKey.get(key);
+    if (variants) files.add(variants.medium).add(variants.thumb);
+  }
+  return [...files];
+}
+
+// Deletes images, their variants and their media rows
+async function deleteImages(db, values) {
+  const files = await expandImageFiles(db, values);
+  if (files.length === 0) return;
+  await db.query('DELETE FROM media WHERE storage_key IN (?)', [files]);
+  await deleteStoredFiles(files);
+}
+
+module.exports = { storeImage, loadImageVariants, expandImageFiles, deleteImages, isAppStorageKey };
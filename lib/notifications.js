@@ -0,0 +1,166 @@
+// In-app notifications: storage, per-type preferences and live delivery to open
+// Server-Sent Events streams (see routes/notifications.js).
+const { EventEmitter } = require('events');
+
+const NOTIFICATION_TYPES = [
+  'new_follower',      // someone followed you
+  'business_review',   // someone reviewed a business you own
+  'event_updated',     // an event you registered for was changed or rescheduled
+  'event_cancelled',   // an event you registered for was cancelled
+  'waitlist_promoted', // a spot opened up and your waitlisted registration is confirmed
+  'build_comment',     // someone commented on your build
+  'comment_reply'      // someone replied to your comment
+];
+
+// Registrations whose owners hear about changes to the event
+const ACTIVE_REGISTRATION_STATUSES = ['confirmed', 'waitlisted', 'pending'];
+
+// Open streams subscribe here by user id. This lives in process memory, so with several
+// app instances a user only gets live pushes from the instance their stream is connected
+// to; the list and unread-count endpoints are always complete.
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+// listener(event, payload) receives 'notification' and 'unread' ({ count }) events
+function subscribe(userId, listener) {
+  const channel = `user:${userId}`;
+  hub.on(channel, listener);
+  return () => hub.off(channel, listener);
+}
+
+// Sends already-committed notifications to their recipients' open streams
+function publish(notifications) {
+  for (const notification of notifications) {
+    hub.emit(`user:${notification.userId}`, 'notification', notification);
+  }
+}
+
+// Tells a user's open streams their unread count changed, e.g. after reading on another device
+function publishUnreadCount(userId, count) {
+  hub.emit(`user:${userId}`, 'unread', { count });
+}
+
+async function countUnread(db, userId) {
+  const [[row]] = await db.execute(
+    'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return Number(row.count);
+}
+
+function rowToNotification(row) {
+  return {
+    id:        row.id,
+    userId:    row.user_id,
+    type:      row.type,
+    actorId:   row.actor_id,
+    data:      row.data || {},
+    read:      !!row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+// Returns { type: enabled } for every notification type
+async function getPreferences(db, userId) {
+  const [rows] = await db.execute(
+    'SELECT type, enabled FROM notification_preferences WHERE user_id = ?',
+    [userId]
+  );
+  const preferences = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true]));
+  for (const row of rows) {
+    if (row.type in preferences) preferences[row.type] = !!row.enabled;
+  }
+  return preferences;
+}
+
+// Stores a notification for every recipient that has the type turned on (never for the
+// actor themselves) and returns them. Inside a transaction, pass its connection and
+// publish() the result after commit so nobody is told about a change that rolled back.
+async function createNotifications(db, recipientIds, type, { actorId = null, data = null } = {}) {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Unknown notification type "${type}"`);
+  }
+
+  const recipients = [...new Set(recipientIds.map(Number))]
+    .filter(id => Number.isInteger(id) && id !== Number(actorId));
+  if (recipients.length === 0) return [];
+
+  const [optedOut] = await db.query(
+    `SELECT user_id FROM notification_preferences
+      WHERE type = ? AND enabled = FALSE AND user_id IN (?)`,
+    [type, recipients]
+  );
+  const skip = new Set(optedOut.map(row => row.user_id));
+
+  const created = [];
+  for (const userId of recipients) {
+    if (skip.has(userId)) continue;
+    const [result] = await db.execute(
+      'INSERT INTO notifications (user_id, type, actor_id, data) VALUES (?, ?, ?, ?)',
+      [userId, type, actorId, data === null ? null : JSON.stringify(data)]
+    );
+    created.push({
+      id:        result.insertId,
+      userId,
+      type,
+      actorId,
+      data:      data || {},
+      read:      false,
+      createdAt: new Date()
+    });
+  }
+  return created;
+}
+
+// Creates and publishes in one go, for callers outside a transaction. Notifications are
+// a side effect, so failures are logged rather than failing the request that caused them.
+async function notify(db, recipientIds, type, options) {
+  try {
+    publish(await createNotifications(db, recipientIds, type, options));
+  } catch (err) {
+    console.error(`Failed to send ${type} notification:`, err);
+  }
+}
+
+// Notifies everyone with an active registration for the event
+async function notifyEventRegistrants(conn, event, type, { actorId = null, data = {} } = {}) {
+  const [rows] = await conn.query(
+    `SELECT DISTINCT user_id FROM event_registrations
+      WHERE event_id = ? AND user_id IS NOT NULL AND status IN (?)`,
+    [event.id, ACTIVE_REGISTRATION_STATUSES]
+  );
+  return createNotifications(conn, rows.map(row => row.user_id), type, {
+    actorId,
+    data: { eventId: event.id, eventTitle: event.title, ...data }
+  });
+}
+
+// Notifies the owners of registrations that promoteWaitlisted() just confirmed
+async function notifyPromotedRegistrations(conn, event, registrationIds) {
+  if (registrationIds.length === 0) return [];
+  const [rows] = await conn.query(
+    'SELECT id, user_id FROM event_registrations WHERE id IN (?) AND user_id IS NOT NULL',
+    [registrationIds]
+  );
+  const created = [];
+  for (const row of rows) {
+    created.push(...await createNotifications(conn, [row.user_id], 'waitlist_promoted', {
+      data: { eventId: event.id, eventTitle: event.title, registrationId: row.id }
+    }));
+  }
+  return created;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  subscribe,
+  publish,
+  publishUnreadCount,
+  countUnread,
+  rowToNotification,
+  getPreferences,
+  createNotifications,
+  notify,
+  notifyEventRegistrants,
+  notifyPromotedRegistrations
+};
@@ -0,0 +1,90 @@
+// Catalog helpers shared by the build routes and scripts/match-mod-parts.js
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date.parse rolls impossible dates such as 2024-02-31 over, so the parsed date has to
+// read back as the same string
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+// Validates the optional catalog fields the client sends on each mod
+// ({ partId, pricePaid, installDate }) and returns them as build_mods column values,
+// one entry per mod. Unknown part ids are rejected rather than failing the insert.
+async function readModPartFields(db, mods) {
+  const values = [];
+  for (const mod of mods) {
+    const partId = mod.partId == null || mod.partId === '' ? null : Number(mod.partId);
+    if (partId !== null && !Number.isInteger(partId)) {
+      return { error: 'partId must be the id of a catalog part.' };
+    }
+
+    let pricePaid = null;
+    if (mod.pricePaid != null && mod.pricePaid !== '') {
+      const amount = Number(mod.pricePaid);
+      if (!Number.isFinite(amount) || amount < 0 || amount >= 1e8) {
+        return { error: 'pricePaid must be a positive amount.' };
+      }
+      pricePaid = amount.toFixed(2);
+    }
+
+    let installDate = null;
+    if (mod.installDate) {
+      if (!isCalendarDate(mod.installDate)) {
+        return { error: 'installDate must be a date in YYYY-MM-DD format.' };
+      }
+      installDate = mod.installDate;
+    }
+
+    values.push({ part_id: partId, price_paid: pricePaid, install_date: installDate });
+  }
+
+  const partIds = [...new Set(values.map(v => v.part_id).filter(id => id !== null))];
+  if (partIds.length) {
+    const [found] = await db.query('SELECT id FROM parts WHERE id IN (?)', [partIds]);
+    if (found.length !== partIds.length) {
+      return { error: 'One or more mods reference a part that is not in the catalog.' };
+    }
+  }
+
+  return { values };
+}
+
+// Lower-case letters and digits only, so "HKS GT-2860RS" and "hks gt2860rs" compare equal
+function normalizePartText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// Part numbers this short match too much free text to be trusted
+const MIN_PART_NUMBER_LENGTH = 4;
+
+// Returns match(modText) for guessing which catalog part a free-text mod describes.
+// `parts` rows need id, part_number, name and brand_name. A mod matches a part when its
+// text contains the part number, or failing that both the brand and the part name.
+// Only an unambiguous single candidate counts as a match.
+function createPartMatcher(parts) {
+  const candidates = parts.map(part => ({
+    id:         part.id,
+    partNumber: normalizePartText(part.part_number),
+    brand:      normalizePartText(part.brand_name),
+    name:       normalizePartText(part.name)
+  }));
+
+  return function match(modText) {
+    const text = normalizePartText(modText);
+    if (!text) return null;
+
+    const byNumber = candidates.filter(c =>
+      c.partNumber.length >= MIN_PART_NUMBER_LENGTH && text.includes(c.partNumber)
+    );
+    if (byNumber.length === 1) return byNumber[0].id;
+    if (byNumber.length > 1) return null;
+
+    const byName = candidates.filter(c => c.brand && c.name && text.includes(c.brand) && text.includes(c.name));
+    return byName.length === 1 ? byName[0].id : null;
+  };
+}
+
+module.exports = { readModPartFields, normalizePartText, createPartMatcher };
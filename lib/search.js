@@ -0,0 +1,63 @@
+// Helpers for full-text search (routes/search.js)
+
+const MAX_TERMS = 8;
+// Longer text fields are cut down to a window around the first match
+const SNIPPET_LENGTH = 160;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Splits what the user typed into words. Boolean-mode operators are dropped, so input can
+// never change the meaning of the query.
+function parseSearchTerms(q) {
+  return [...new Set(
+    String(q || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(Boolean)
+  )].slice(0, MAX_TERMS);
+}
+
+// MATCH ... AGAINST (? IN BOOLEAN MODE) query requiring every word, each as a prefix
+function toBooleanQuery(terms) {
+  return terms.map(term => `+${term}*`).join(' ');
+}
+
+// Where the terms occur in `text`, as { field, text, ranges: [[start, end]] } with each range
+// covering a whole matched word, or null when none of them does. Long text is shortened to
+// a snippet around the first match.
+function highlight(field, text, terms) {
+  if (!text || terms.length === 0) return null;
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}_]*`,
+    'giu'
+  );
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, matches[0].index - Math.floor(SNIPPET_LENGTH / 4));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+  const ranges = matches
+    .filter(m => m.index >= start && m.index + m[0].length <= end)
+    .map(m => [m.index - start, m.index - start + m[0].length]);
+
+  return {
+    field,
+    text: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    ranges: start > 0 ? ranges.map(([from, to]) => [from + 1, to + 1]) : ranges
+  };
+}
+
+// Highlights for every field of `values` that matched; keys are the response field names
+function highlightFields(values, terms) {
+  return Object.entries(values)
+    .map(([field, text]) => highlight(field, text, terms))
+    .filter(Boolean);
+}
+
+module.exports = { parseSearchTerms, toBooleanQuery, highlight, highlightFields };
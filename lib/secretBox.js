@@ -0,0 +1,33 @@
+// Symmetric encryption for secrets the server has to read back (e.g. TOTP seeds).
+// Uses AES-256-GCM with a key from SECRET_ENCRYPTION_KEY (32 bytes, hex or base64),
+// falling back to a key derived from JWT_SECRET.
+const crypto = require('crypto');
+
+function getKey() {
+  const configured = process.env.SECRET_ENCRYPTION_KEY;
+  if (configured) {
+    const key = /^[0-9a-f]{64}$/i.test(configured)
+      ? Buffer.from(configured, 'hex')
+      : Buffer.from(configured, 'base64');
+    if (key.length !== 32) throw new Error('SECRET_ENCRYPTION_KEY must be 32 bytes');
+    return key;
+  }
+  return crypto.createHash('sha256').update(`secret-box:${process.env.JWT_SECRET}`).digest();
+}
+
+// Returns "iv.tag.ciphertext", each part base64
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(payload) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt };
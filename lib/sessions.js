@@ -0,0 +1,206 @@
+// Login sessions: short-lived access tokens (the `token` cookie) plus rotating
+// refresh tokens stored server-side (the `refresh_token` cookie).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { publicUrl } = require('./storage');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const SESSION_TTL_DAYS = 30;
+// A second refresh with the same token this soon after the first is treated as two tabs
+// racing, not as theft. The other tab already received the new cookie.
+const REFRESH_RACE_GRACE_SECONDS = 10;
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'None'
+};
+
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, displayName: user.display_name, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+async function insertRefreshToken(conn, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  await conn.execute(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (?, ?, NOW() + INTERVAL ${SESSION_TTL_DAYS} DAY)`,
+    [sessionId, hashToken(refreshToken)]
+  );
+  return refreshToken;
+}
+
+// Starts a session for a user who just proved who they are
+async function createSession(pool, user, req) {
+  const [result] = await pool.execute(
+    `INSERT INTO user_sessions (user_id, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, NOW() + INTERVAL ${SESSION_TTL_DAYS} DAY)`,
+    [user.id, (req.get('user-agent') || '').slice(0, 512) || null, req.ip || null]
+  );
+  const sessionId = result.insertId;
+  const refreshToken = await insertRefreshToken(pool, sessionId);
+  return { sessionId, accessToken: signAccessToken(user, sessionId), refreshToken };
+}
+
+// Exchanges a refresh token for a new access/refresh pair. Throws a SessionError when the
+// token is unknown, expired, belongs to a revoked session, or has been used before.
+async function rotateRefreshToken(pool, refreshToken, req) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[row]] = await conn.execute(
+      `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at,
+              TIMESTAMPDIFF(SECOND, rt.used_at, NOW()) AS seconds_since_use,
+              s.user_id, s.revoked_at, s.expires_at AS session_expires_at,
+              u.username, u.display_name
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON s.id = rt.session_id
+         JOIN users u ON u.id = s.user_id
+        WHERE rt.token_hash = ?
+        FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (!row) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+    if (row.revoked_at) {
+      throw new SessionError('SESSION_REVOKED', 'This session has been signed out');
+    }
+    if (row.used_at) {
+      if (row.seconds_since_use <= REFRESH_RACE_GRACE_SECONDS) {
+        throw new SessionError('REFRESH_RACE', 'Token was just refreshed; retry with the new cookie');
+      }
+      await conn.execute(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_reuse' WHERE id = ?`,
+        [row.session_id]
+      );
+      await conn.commit();
+      throw new SessionError('REFRESH_TOKEN_REUSED', 'This session has been signed out for your security');
+    }
+    if (row.expires_at < new Date() || row.session_expires_at < new Date()) {
+      throw new SessionError('SESSION_EXPIRED', 'Session expired');
+    }
+
+    await conn.execute('UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?', [row.id]);
+    await conn.execute(
+      'UPDATE user_sessions SET last_seen_at = NOW(), user_agent = ?, ip_address = ? WHERE id = ?',
+      [(req.get('user-agent') || '').slice(0, 512) || null, req.ip || null, row.session_id]
+    );
+    const newRefreshToken = await insertRefreshToken(conn, row.session_id);
+
+    await conn.commit();
+
+    const user = { id: row.user_id, username: row.username, display_name: row.display_name };
+    return {
+      user,
+      sessionId: row.session_id,
+      accessToken: signAccessToken(user, row.session_id),
+      refreshToken: newRefreshToken
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Revokes sessions of a user. Pass sessionId to revoke one, or exceptSessionId to revoke
+// every other one. Returns the number of sessions revoked.
+async function revokeSessions(pool, userId, { sessionId, exceptSessionId, reason = 'user' } = {}) {
+  const where = ['user_id = ?', 'revoked_at IS NULL'];
+  const params = [reason, userId];
+  if (sessionId !== undefined) {
+    where.push('id = ?');
+    params.push(sessionId);
+  }
+  if (exceptSessionId !== undefined) {
+    where.push('id <> ?');
+    params.push(exceptSessionId);
+  }
+  const [result] = await pool.execute(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE ${where.join(' AND ')}`,
+    params
+  );
+  return result.affectedRows;
+}
+
+// Whether an access token's session may still be used. Also records activity,
+// at most once a minute per session.
+async function checkSessionActive(pool, userId, sessionId) {
+  const [[session]] = await pool.execute(
+    `SELECT revoked_at, expires_at FROM user_sessions WHERE id = ? AND user_id = ?`,
+    [sessionId, userId]
+  );
+  if (!session || session.revoked_at || session.expires_at < new Date()) return false;
+
+  await pool.execute(
+    `UPDATE user_sessions SET last_seen_at = NOW()
+      WHERE id = ? AND last_seen_at < NOW() - INTERVAL 1 MINUTE`,
+    [sessionId]
+  );
+  return true;
+}
+
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie('token', accessToken, {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000
+  });
+  res.cookie('refresh_token', refreshToken, {
+    ...cookieOptions,
+    path: '/api',
+    maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+// Finishes a login: starts a session, sets the cookies and sends the profile the client
+// keeps after logging in. `user` is a full users row; `extra` is merged into the response.
+async function completeLogin(pool, req, res, user, extra = {}) {
+  const session = await createSession(pool, user, req);
+  setAuthCookies(res, session);
+
+  res.json({
+    success: true,
+    username: user.username,
+    userId: user.id,
+    email: user.email,
+    emailVerified: !!user.email_verified_at,
+    displayName: user.display_name,
+    avatarUrl: publicUrl(user.avatar_url),
+    ...extra
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('token', cookieOptions);
+  res.clearCookie('refresh_token', { ...cookieOptions, path: '/api' });
+}
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  checkSessionActive,
+  setAuthCookies,
+  clearAuthCookies,
+  completeLogin
+};
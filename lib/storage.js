@@ -0,0 +1,89 @@
+// Where uploaded files live. Every file goes through a driver with async put(key, buffer),
+// get(key), createReadStream(key), exists(key) and delete(key), an async iterator list(),
+// plus url(key) and
+// keyFromUrl(url). `isolated` is true when everything list() yields belongs to this app.
+// STORAGE_DRIVER picks the implementation:
+//   local      - files under ./uploads, served by this app at /uploads; the default
+//   cloudinary - CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET and
+//                optionally CLOUDINARY_FOLDER
+//
+// The database stores storage keys such as "avatars/profilepics/123-ab-avatar.webp", not
+// URLs, and responses turn them into URLs with publicUrl(). Moving to another driver only
+// needs the files copied over (npm run migrate-media).
+const path = require('path');
+const createLocalDriver = require('./storageDrivers/local');
+const createCloudinaryDriver = require('./storageDrivers/cloudinary');
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+const LEGACY_URL_PREFIX = '/uploads/';
+
+function createStorageDriver(kind) {
+  if (kind === 'local') {
+    return createLocalDriver({ dir: uploadsDir, baseUrl: '/uploads' });
+  }
+  if (kind === 'cloudinary') {
+    return createCloudinaryDriver({
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+      apiKey:    process.env.CLOUDINARY_API_KEY,
+      apiSecret: process.env.CLOUDINARY_API_SECRET,
+      folder:    process.env.CLOUDINARY_FOLDER || ''
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${kind}"`);
+}
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) storage = createStorageDriver(process.env.STORAGE_DRIVER || 'local');
+  return storage;
+}
+
+// Swaps the driver, e.g. for an in-memory one in tests
+function setStorage(nextStorage) {
+  storage = nextStorage;
+}
+
+// Links to other sites (e.g. an avatar URL a client set directly) are kept as they are
+function isExternalUrl(value) {
+  return /^(https?:|data:)/i.test(value);
+}
+
+// Storage key for a value read from the database or sent back by a client. Accepts keys,
+// URLs this driver handed out and pre-storage "/uploads/..." paths.
+function toStorageKey(value, driver = getStorage()) {
+  if (!value) return null;
+  if (value.startsWith(LEGACY_URL_PREFIX)) return value.slice(LEGACY_URL_PREFIX.length);
+  return driver.keyFromUrl(value) || value;
+}
+
+// URL a client can load for a stored value; null stays null
+function publicUrl(value) {
+  if (!value) return null;
+  const key = toStorageKey(value);
+  return isExternalUrl(key) ? key : getStorage().url(key);
+}
+
+// Deletes stored files, skipping external URLs. Failures are logged, not thrown, since
+// callers run this after their own changes are committed.
+async function deleteStoredFiles(values) {
+  for (const value of values) {
+    const key = toStorageKey(value);
+    if (!key || isExternalUrl(key)) continue;
+    try {
+      await getStorage().delete(key);
+    } catch (err) {
+      console.warn(`[STORAGE] Failed to delete ${key}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  createStorageDriver,
+  getStorage,
+  setStorage,
+  isExternalUrl,
+  toStorageKey,
+  publicUrl,
+  deleteStoredFiles
+};
@@ -0,0 +1,99 @@
+// Keeps files in Cloudinary, so every instance sees the same uploads. A key's public id is
+// the key without its extension, inside `folder` when one is set.
+const cloudinary = require('cloudinary').v2;
+const { Readable } = require('stream');
+const streamifier = require('streamifier');
+
+function createCloudinaryDriver({ cloudName, apiKey, apiSecret, folder = '' }) {
+  cloudinary.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret, secure: true });
+
+  const prefix = folder ? `${folder.replace(/\/+$/, '')}/` : '';
+  const urlPattern = new RegExp(`^https://res\\.cloudinary\\.com/${cloudName}/image/upload/(?:v\\d+/)?(.+)$`);
+
+  function splitKey(key) {
+    const match = key.match(/^(.+)\.([a-z0-9]+)$/i);
+    if (!match) throw new Error(`Storage key "${key}" has no file extension`);
+    return { publicId: prefix + match[1], format: match[2].toLowerCase() };
+  }
+
+  function url(key) {
+    const { publicId, format } = splitKey(key);
+    return cloudinary.url(publicId, { secure: true, resource_type: 'image', type: 'upload', format });
+  }
+
+  return {
+    name: 'cloudinary',
+    // Without a folder, list() sees the whole account, which other projects may share
+    isolated: !!prefix,
+
+    put(key, buffer) {
+      const { publicId, format } = splitKey(key);
+      return new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream(
+          { public_id: publicId, format, resource_type: 'image', overwrite: true },
+          err => (err ? reject(err) : resolve())
+        );
+        streamifier.createReadStream(buffer).pipe(upload);
+      });
+    },
+
+    async get(key) {
+      const response = await fetch(url(key));
+      if (!response.ok) throw new Error(`Cloudinary returned ${response.status} for "${key}"`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async createReadStream(key) {
+      const response = await fetch(url(key));
+      if (!response.ok) throw new Error(`Cloudinary returned ${response.status} for "${key}"`);
+      return Readable.fromWeb(response.body);
+    },
+
+    async exists(key) {
+      try {
+        await cloudinary.api.resource(splitKey(key).publicId, { resource_type: 'image' });
+        return true;
+      } catch (err) {
+        if (err.error && err.error.http_code === 404) return false;
+        throw err.error || err;
+      }
+    },
+
+    async delete(key) {
+      await cloudinary.uploader.destroy(splitKey(key).publicId, { resource_type: 'image', invalidate: true });
+    },
+
+    // Yields { key, bytes, modifiedAt } for every image in the folder (the whole account
+    // when no folder is set)
+    async *list() {
+      let cursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: 'upload',
+          resource_type: 'image',
+          prefix: prefix || undefined,
+          max_results: 500,
+          next_cursor: cursor
+        });
+        for (const resource of page.resources) {
+          yield {
+            key:        `${resource.public_id.slice(prefix.length)}.${resource.format}`,
+            bytes:      resource.bytes,
+            modifiedAt: new Date(resource.created_at)
+          };
+        }
+        cursor = page.next_cursor;
+      } while (cursor);
+    },
+
+    url,
+
+    keyFromUrl(value) {
+      const match = value.match(urlPattern);
+      if (!match || !match[1].startsWith(prefix)) return null;
+      return match[1].slice(prefix.length);
+    }
+  };
+}
+
+module.exports = createCloudinaryDriver;
@@ -0,0 +1,105 @@
+// Keeps files in a folder on this server, served by express.static at baseUrl.
+// Only suitable while a single instance serves the app.
+const fs = require('fs').promises;
+const path = require('path');
+
+function createLocalDriver({ dir, baseUrl = '/uploads' }) {
+  const root = path.resolve(dir);
+
+  // Absolute path for a key, or null for keys that try to escape the folder
+  function resolvePath(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) return null;
+    return filePath;
+  }
+
+  function requirePath(key) {
+    const filePath = resolvePath(key);
+    if (!filePath) throw new Error(`Invalid storage key "${key}"`);
+    return filePath;
+  }
+
+  async function* walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const filePath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(filePath);
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(filePath);
+        yield {
+          key:        path.relative(root, filePath).split(path.sep).join('/'),
+          bytes:      stats.size,
+          modifiedAt: stats.mtime
+        };
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+    // The folder only ever holds this app's uploads
+    isolated: true,
+
+    async put(key, buffer) {
+      const filePath = requirePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      return fs.readFile(requirePath(key));
+    },
+
+    // Opening first means a missing file fails here rather than midway through the stream
+    async createReadStream(key) {
+      const handle = await fs.open(requirePath(key), 'r');
+      return handle.createReadStream();
+    },
+
+    async exists(key) {
+      const filePath = resolvePath(key);
+      if (!filePath) return false;
+      try {
+        await fs.access(filePath);
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    // Deleting a file that is already gone is not an error
+    async delete(key) {
+      const filePath = resolvePath(key);
+      if (!filePath) return;
+      try {
+        await fs.unlink(filePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    // Yields { key, bytes, modifiedAt } for every stored file. Dotfiles are skipped.
+    list() {
+      return walk(root);
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      return url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null;
+    }
+  };
+}
+
+module.exports = createLocalDriver;
@@ -0,0 +1,126 @@
+// Typeahead suggestions for the search bar: a few prefix matches per kind of thing, served
+// from a small cache. Cached answers are dropped when the rows behind them change (see
+// lib/changeEvents.js) and expire after SUGGESTION_CACHE_TTL_MS either way, which covers
+// changes made by other instances or directly in the database.
+const { onChange } = require('./changeEvents');
+
+const SUGGESTIONS_PER_TYPE = 3;
+const SUGGESTION_CACHE_TTL_MS = 60 * 1000;
+const SUGGESTION_CACHE_MAX_ENTRIES = 1000;
+
+// Escapes LIKE wildcards so the prefix is matched literally
+function likePrefix(prefix) {
+  return `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// One source per suggestion type. `entity` is the kind of change that invalidates it;
+// vehicle makes and models are reference data that only migrations change. The cache is
+// shared by everyone, so builds and mods only come from public builds.
+const SOURCES = [
+  {
+    type: 'user',
+    entity: 'users',
+    sql: `SELECT id, username AS label, display_name AS detail
+            FROM users
+           WHERE username LIKE ?
+           ORDER BY username
+           LIMIT ?`
+  },
+  {
+    type: 'build',
+    entity: 'builds',
+    sql: `SELECT id, car_name AS label, model AS detail
+            FROM builds
+           WHERE car_name LIKE ? AND visibility = 'public'
+           ORDER BY car_name, id DESC
+           LIMIT ?`
+  },
+  {
+    type: 'make',
+    entity: null,
+    sql: `SELECT id, name AS label, NULL AS detail
+            FROM vehicle_makes
+           WHERE name LIKE ?
+           ORDER BY name
+           LIMIT ?`
+  },
+  {
+    type: 'model',
+    entity: null,
+    sql: `SELECT vmd.id, vmd.name AS label, vmk.name AS detail
+            FROM vehicle_models vmd
+            JOIN vehicle_makes vmk ON vmk.id = vmd.make_id
+           WHERE vmd.name LIKE ?
+           ORDER BY vmd.name, vmk.name
+           LIMIT ?`
+  },
+  {
+    type: 'business',
+    entity: 'businesses',
+    sql: `SELECT id, name AS label, NULL AS detail
+            FROM businesses
+           WHERE name LIKE ?
+           ORDER BY name
+           LIMIT ?`
+  },
+  {
+    // Most used first; mods have no page of their own, so there is no id
+    type: 'mod',
+    entity: 'builds',
+    sql: `SELECT NULL AS id, bm.mod_name AS label, NULL AS detail, COUNT(DISTINCT bm.build_id) AS uses
+            FROM build_mods bm
+            JOIN builds b ON b.id = bm.build_id AND b.visibility = 'public'
+           WHERE bm.mod_name LIKE ? AND bm.removed_at IS NULL
+           GROUP BY bm.mod_name
+           ORDER BY uses DESC, bm.mod_name
+           LIMIT ?`
+  }
+];
+
+// Returns suggest(prefix), resolving to [{ type, id, label, detail }]; mods also carry
+// `uses`, the number of builds that have them
+function createSuggester(db) {
+  // `${type}:${prefix}` -> { expiresAt, items }, oldest first
+  const cache = new Map();
+  // Bumped on every change so a lookup that was already running does not cache old rows
+  let generation = 0;
+
+  onChange(entity => {
+    generation++;
+    const types = SOURCES.filter(source => source.entity === entity).map(source => `${source.type}:`);
+    for (const key of cache.keys()) {
+      if (types.some(type => key.startsWith(type))) cache.delete(key);
+    }
+  });
+
+  async function fromSource(source, prefix) {
+    const key = `${source.type}:${prefix}`;
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.items;
+
+    const startedAt = generation;
+    const [rows] = await db.query(source.sql, [likePrefix(prefix), SUGGESTIONS_PER_TYPE]);
+    const items = rows.map(row => ({
+      type:   source.type,
+      id:     row.id,
+      label:  row.label,
+      detail: row.detail,
+      ...(row.uses !== undefined && { uses: Number(row.uses) })
+    }));
+
+    if (startedAt === generation) {
+      cache.delete(key);
+      cache.set(key, { expiresAt: Date.now() + SUGGESTION_CACHE_TTL_MS, items });
+      if (cache.size > SUGGESTION_CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    }
+    return items;
+  }
+
+  return async function suggest(prefix) {
+    const normalized = prefix.trim().toLowerCase();
+    const lists = await Promise.all(SOURCES.map(source => fromSource(source, normalized)));
+    return lists.flat();
+  };
+}
+
+module.exports = { createSuggester };
@@ -0,0 +1,164 @@
+// TOTP two-factor authentication: enrollment, verification, recovery codes and the
+// short-lived challenge token that carries a half-finished login between the two steps.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecret, verifyTotp, otpauthUri } = require('./totp');
+const { encrypt, decrypt } = require('./secretBox');
+const { DEFAULT_ROLE } = require('../middleware/auth');
+
+const ISSUER = 'GearGrid';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_TYPE = 'login_challenge';
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// xxxxx-xxxxx from the base32 alphabet (50 bits each)
+function createRecoveryCode() {
+  const raw = crypto.randomBytes(10);
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  const chars = [...raw].map(byte => alphabet[byte & 31]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+// purpose is "verify" (user has 2FA, must enter a code) or "enroll" (2FA is required
+// for one of the user's roles but they have not set it up yet)
+function signLoginChallenge(userId, purpose) {
+  return jwt.sign(
+    { typ: CHALLENGE_TYPE, id: userId, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+}
+
+// Returns the user id from a challenge token issued for `purpose`, or null
+function verifyLoginChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.typ !== CHALLENGE_TYPE || payload.purpose !== purpose) return null;
+    return payload.id;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Whether any of the user's roles (including the implicit default role) requires 2FA
+async function isTwoFactorRequired(db, userId) {
+  const [[row]] = await db.execute(
+    `SELECT 1 AS required
+       FROM two_factor_role_policies p
+      WHERE p.role = ?
+         OR p.role IN (SELECT role FROM user_roles WHERE user_id = ?)
+      LIMIT 1`,
+    [DEFAULT_ROLE, userId]
+  );
+  return !!row;
+}
+
+// Stores a new pending secret and returns what the authenticator app needs
+async function beginEnrollment(db, user) {
+  const secret = generateSecret();
+  await db.execute(
+    'UPDATE users SET totp_pending_secret = ? WHERE id = ?',
+    [encrypt(secret), user.id]
+  );
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, accountName: user.email || user.username, issuer: ISSUER })
+  };
+}
+
+async function replaceRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, createRecoveryCode);
+  await db.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  await db.query(
+    'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?',
+    [codes.map(code => [userId, hashRecoveryCode(code)])]
+  );
+  return codes;
+}
+
+// Activates the pending secret if `code` matches it. Returns the new recovery codes
+// (shown to the user exactly once), or null if the code was wrong.
+async function completeEnrollment(db, userId, code) {
+  const [[user]] = await db.execute(
+    'SELECT totp_pending_secret FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user || !user.totp_pending_secret) return null;
+
+  const counter = verifyTotp(decrypt(user.totp_pending_secret), code);
+  if (counter === null) return null;
+
+  await db.execute(
+    `UPDATE users
+        SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+            totp_enabled_at = NOW(), totp_last_counter = ?
+      WHERE id = ?`,
+    [counter, userId]
+  );
+  return replaceRecoveryCodes(db, userId);
+}
+
+// Checks a TOTP code or a recovery code for a user with 2FA enabled.
+// Each TOTP step and each recovery code only works once.
+async function verifySecondFactor(db, userId, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const [result] = await db.execute(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  const [[user]] = await db.execute(
+    'SELECT totp_secret, totp_last_counter FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user || !user.totp_secret) return false;
+
+  const counter = verifyTotp(decrypt(user.totp_secret), code);
+  if (counter === null) return false;
+
+  const [result] = await db.execute(
+    `UPDATE users SET totp_last_counter = ?
+      WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)`,
+    [counter, userId, counter]
+  );
+  return result.affectedRows > 0;
+}
+
+async function countUnusedRecoveryCodes(db, userId) {
+  const [[row]] = await db.execute(
+    'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return Number(row.remaining);
+}
+
+async function disableTwoFactor(db, userId) {
+  await db.execute(
+    `UPDATE users
+        SET totp_secret = NULL, totp_pending_secret = NULL,
+            totp_enabled_at = NULL, totp_last_counter = NULL
+      WHERE id = ?`,
+    [userId]
+  );
+  await db.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+module.exports = {
+  signLoginChallenge,
+  verifyLoginChallenge,
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countUnusedRecoveryCodes,
+  disableTwoFactor
+};
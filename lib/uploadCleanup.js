@@ -0,0 +1,208 @@
+// Deletes uploaded files nothing uses any more.
+//
+// Removing an image (a cover, gallery photo or mod image, a whole build, or an avatar) only
+// schedules its file. Once UPLOAD_GC_GRACE_HOURS (default 24) have passed the collector
+// deletes it, unless something references it again by then, e.g. a restored revision.
+// sweepOrphanedFiles() catches files that were never scheduled, such as uploads whose
+// request failed after the files were stored.
+const { getStorage, isExternalUrl, toStorageKey } = require('./storage');
+const { deleteImages, isAppStorageKey } = require('./media');
+
+const GRACE_HOURS = Number(process.env.UPLOAD_GC_GRACE_HOURS || 24);
+const COLLECT_INTERVAL_MINUTES = Number(process.env.UPLOAD_GC_INTERVAL_MINUTES || 15);
+const COLLECT_BATCH_SIZE = 500;
+
+// Rows that keep an image alive. Soft-removed gallery photos and mods do not count, and
+// neither does build history: a revision restored after the grace period comes back
+// without the images that were collected in the meantime.
+const REFERENCE_COLUMNS = [
+  { table: 'builds',        column: 'cover_image' },
+  { table: 'builds',        column: 'cover_image2' },
+  { table: 'build_gallery', column: 'image_url', where: 'removed_at IS NULL' },
+  { table: 'build_mods',    column: 'image_url', where: 'removed_at IS NULL' },
+  { table: 'users',         column: 'avatar_url' }
+];
+
+function referenceQuery({ table, column, where }, condition) {
+  return `SELECT ${column} AS value FROM ${table} WHERE ${column} ${condition}${where ? ` AND ${where}` : ''}`;
+}
+
+// Values a row may hold for these keys: the key, or a URL saved before values became keys
+function storedValuesOf(keys) {
+  return [...new Set(keys.flatMap(key => [key, `/uploads/${key}`, getStorage().url(key)]))];
+}
+
+// Storage keys of every file in use, variants of used images included
+async function loadReferencedKeys(db) {
+  const keys = new Set();
+  for (const reference of REFERENCE_COLUMNS) {
+    const [rows] = await db.query(referenceQuery(reference, 'IS NOT NULL'));
+    for (const { value } of rows) {
+      if (value) keys.add(toStorageKey(value));
+    }
+  }
+  const [media] = await db.query('SELECT storage_key, medium_key, thumb_key FROM media');
+  for (const row of media) {
+    if (keys.has(row.storage_key)) keys.add(row.medium_key).add(row.thumb_key);
+  }
+  return keys;
+}
+
+// The given keys that are still in use. A variant is in use when its original is.
+async function findReferencedKeys(db, keys) {
+  const [media] = await db.query(
+    `SELECT storage_key, medium_key, thumb_key FROM media
+      WHERE storage_key IN (?) OR medium_key IN (?) OR thumb_key IN (?)`,
+    [keys, keys, keys]
+  );
+  const originalOf = new Map(keys.map(key => [key, key]));
+  for (const row of media) {
+    for (const key of [row.storage_key, row.medium_key, row.thumb_key]) {
+      if (originalOf.has(key)) originalOf.set(key, row.storage_key);
+    }
+  }
+
+  const values = storedValuesOf([...new Set(originalOf.values())]);
+  const used = new Set();
+  for (const reference of REFERENCE_COLUMNS) {
+    const [rows] = await db.query(referenceQuery(reference, 'IN (?)'), [values]);
+    for (const { value } of rows) used.add(toStorageKey(value));
+  }
+  return new Set(keys.filter(key => used.has(originalOf.get(key))));
+}
+
+// Queues images for deletion after the grace period. Takes stored values or URLs; external
+// links are ignored. Scheduling an image that is still in use is harmless, the collector
+// checks again before deleting.
+async function scheduleFileDeletion(db, values, { graceHours = GRACE_HOURS } = {}) {
+  const keys = new Set(values.filter(Boolean).map(value => toStorageKey(value)));
+  for (const key of keys) {
+    if (isExternalUrl(key)) continue;
+    await db.execute(
+      `INSERT INTO pending_file_deletions (storage_key, due_at)
+       VALUES (?, NOW() + INTERVAL ? HOUR)
+       ON DUPLICATE KEY UPDATE due_at = VALUES(due_at)`,
+      [key, graceHours]
+    );
+  }
+}
+
+// "Added photos" feed cards keep their own list of images, so deleted ones are taken out
+async function forgetFeedImages(db, keys) {
+  const gone = new Set(keys);
+  const [rows] = await db.query(
+    `SELECT id, data FROM activities
+      WHERE type = 'build_photos_added' AND JSON_OVERLAPS(data->'$.images', CAST(? AS JSON))`,
+    [JSON.stringify(storedValuesOf(keys))]
+  );
+  for (const row of rows) {
+    const images = (row.data && row.data.images) || [];
+    const kept = images.filter(value => !gone.has(toStorageKey(value)));
+    if (kept.length !== images.length) {
+      await db.execute('UPDATE activities SET data = ? WHERE id = ?', [
+        JSON.stringify({ ...row.data, images: kept }),
+        row.id
+      ]);
+    }
+  }
+}
+
+async function removeFiles(db, keys) {
+  if (keys.length === 0) return;
+  await forgetFeedImages(db, keys);
+  await deleteImages(db, keys);
+}
+
+// Deletes scheduled files whose grace period is over and that are still unused.
+// Returns { deleted, kept }.
+async function collectDueFiles(db) {
+  const [due] = await db.query(
+    'SELECT storage_key FROM pending_file_deletions WHERE due_at <= NOW() ORDER BY due_at LIMIT ?',
+    [COLLECT_BATCH_SIZE]
+  );
+  if (due.length === 0) return { deleted: 0, kept: 0 };
+
+  const keys = due.map(row => row.storage_key);
+  const referenced = await findReferencedKeys(db, keys);
+  const unused = keys.filter(key => !referenced.has(key));
+
+  await removeFiles(db, unused);
+  await db.query(
+    'DELETE FROM pending_file_deletions WHERE storage_key IN (?) AND due_at <= NOW()',
+    [keys]
+  );
+  return { deleted: unused.length, kept: keys.length - unused.length };
+}
+
+// Runs collectDueFiles every UPLOAD_GC_INTERVAL_MINUTES (default 15)
+function startUploadCollector(pool, { intervalMinutes = COLLECT_INTERVAL_MINUTES } = {}) {
+  const timer = setInterval(async () => {
+    try {
+      const { deleted } = await collectDueFiles(pool);
+      if (deleted) console.log(`[UPLOAD GC] Deleted ${deleted} unused files`);
+    } catch (err) {
+      console.error('[UPLOAD GC] Collection failed:', err);
+    }
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+// Thrown when storage may hold files that are not this app's, so sweeping could delete them
+class UnsafeSweepError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = 'SWEEP_UNSAFE';
+  }
+}
+
+// Looks through storage for files that no row references and that are not already
+// scheduled. Files younger than the grace period are left alone because they may belong to
+// an upload whose request is still running, and so are files this app did not name (see
+// isAppStorageKey) unless they have a media row. Deletes them unless dryRun.
+// Returns { dryRun, scanned, recent, foreign, orphaned: [{ key, bytes, modifiedAt }] }.
+async function sweepOrphanedFiles(db, { dryRun = true, graceHours = GRACE_HOURS } = {}) {
+  const storage = getStorage();
+  if (!storage.isolated) {
+    throw new UnsafeSweepError(
+      `The ${storage.name} storage is shared with files that are not this app's; ` +
+      'set CLOUDINARY_FOLDER before sweeping.'
+    );
+  }
+
+  const referenced = await loadReferencedKeys(db);
+  const [pending] = await db.query('SELECT storage_key FROM pending_file_deletions');
+  const scheduled = new Set(pending.map(row => row.storage_key));
+  const [media] = await db.query('SELECT storage_key, medium_key, thumb_key FROM media');
+  const recorded = new Set(media.flatMap(row => [row.storage_key, row.medium_key, row.thumb_key]));
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+
+  let scanned = 0;
+  let recent = 0;
+  let foreign = 0;
+  const orphaned = [];
+  for await (const file of storage.list()) {
+    scanned++;
+    if (referenced.has(file.key) || scheduled.has(file.key)) continue;
+    if (!isAppStorageKey(file.key) && !recorded.has(file.key)) {
+      foreign++;
+      continue;
+    }
+    if (file.modifiedAt.getTime() > cutoff) {
+      recent++;
+      continue;
+    }
+    orphaned.push(file);
+  }
+
+  if (!dryRun) await removeFiles(db, orphaned.map(file => file.key));
+  return { dryRun, scanned, recent, foreign, orphaned };
+}
+
+module.exports = {
+  UnsafeSweepError,
+  scheduleFileDeletion,
+  collectDueFiles,
+  startUploadCollector,
+  sweepOrphanedFiles
+};
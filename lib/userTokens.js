@@ -0,0 +1,51 @@
+// Hashed, expiring, single-use tokens for password resets and email verification
+const crypto = require('crypto');
+
+const TTL_MINUTES = {
+  password_reset:     60,
+  email_verification: 60 * 24
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Creates a token and retires any earlier unused token for the same purpose,
+// so only the most recent email works. Returns the raw token to put in the link.
+async function issueUserToken(db, userId, purpose, { email = null } = {}) {
+  await db.execute(
+    `UPDATE user_tokens SET used_at = NOW()
+      WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.execute(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, email, expires_at)
+     VALUES (?, ?, ?, ?, NOW() + INTERVAL ${TTL_MINUTES[purpose]} MINUTE)`,
+    [userId, purpose, hashToken(token), email]
+  );
+  return token;
+}
+
+// Marks a token used and returns its row, or null if it is unknown, expired or already used.
+// The conditional UPDATE makes sure two concurrent requests cannot both redeem it.
+async function consumeUserToken(db, token, purpose) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+
+  const [result] = await db.execute(
+    `UPDATE user_tokens SET used_at = NOW()
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [tokenHash, purpose]
+  );
+  if (result.affectedRows === 0) return null;
+
+  const [[row]] = await db.execute(
+    'SELECT id, user_id, email FROM user_tokens WHERE token_hash = ?',
+    [tokenHash]
+  );
+  return row;
+}
+
+module.exports = { issueUserToken, consumeUserToken };
@@ -0,0 +1,109 @@
+// Structured vehicle identity for builds: validating year/make/model/trim/VIN from the
+// client against the reference tables, and matching free-text names to them.
+const { validateVin, decodeVin } = require('./vin');
+
+// Request body keys and the builds columns they map to
+const VEHICLE_FIELDS = {
+  vehicleYear:    'vehicle_year',
+  vehicleMakeId:  'vehicle_make_id',
+  vehicleModelId: 'vehicle_model_id',
+  vehicleTrimId:  'vehicle_trim_id',
+  vin:            'vin'
+};
+
+function optionalId(value) {
+  if (value == null || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+// Reads the vehicle fields from a request body. Keys missing from the body keep their
+// `current` value (pass the build's existing values on update). Returns { values } keyed
+// like VEHICLE_FIELDS, or { error }. A VIN fills in the make and model year when the
+// client left them empty.
+async function readVehicleFields(db, body, current = {}) {
+  const values = {};
+  for (const key of Object.keys(VEHICLE_FIELDS)) {
+    values[key] = body[key] !== undefined ? body[key] : (current[key] ?? null);
+  }
+
+  for (const key of ['vehicleMakeId', 'vehicleModelId', 'vehicleTrimId']) {
+    values[key] = optionalId(values[key]);
+    if (Number.isNaN(values[key])) return { error: `${key} must be an id from the vehicle lookup.` };
+  }
+
+  if (values.vehicleYear == null || values.vehicleYear === '') {
+    values.vehicleYear = null;
+  } else {
+    values.vehicleYear = Number(values.vehicleYear);
+    if (!Number.isInteger(values.vehicleYear) || values.vehicleYear < 1886 || values.vehicleYear > new Date().getFullYear() + 2) {
+      return { error: 'vehicleYear must be a valid model year.' };
+    }
+  }
+
+  if (values.vin) {
+    const validation = validateVin(values.vin);
+    if (!validation.valid) return { error: validation.error };
+    values.vin = validation.vin;
+
+    const decoded = decodeVin(values.vin);
+    if (values.vehicleYear === null && decoded.modelYears.length === 1) {
+      values.vehicleYear = decoded.modelYears[0];
+    }
+    if (values.vehicleMakeId === null && decoded.make) {
+      const [[make]] = await db.execute('SELECT id FROM vehicle_makes WHERE name = ?', [decoded.make]);
+      if (make) values.vehicleMakeId = make.id;
+    }
+  } else {
+    values.vin = null;
+  }
+
+  if (values.vehicleModelId !== null) {
+    const [[model]] = await db.execute('SELECT make_id FROM vehicle_models WHERE id = ?', [values.vehicleModelId]);
+    if (!model) return { error: 'Unknown vehicle model.' };
+    if (values.vehicleMakeId === null) values.vehicleMakeId = model.make_id;
+    if (model.make_id !== values.vehicleMakeId) return { error: 'That model does not belong to the selected make.' };
+  }
+  if (values.vehicleTrimId !== null) {
+    if (values.vehicleModelId === null) return { error: 'Pick a model before a trim.' };
+    const [[trim]] = await db.execute(
+      'SELECT model_id, year_from, year_to FROM vehicle_trims WHERE id = ?',
+      [values.vehicleTrimId]
+    );
+    if (!trim || trim.model_id !== values.vehicleModelId) {
+      return { error: 'That trim does not belong to the selected model.' };
+    }
+    if (values.vehicleYear !== null &&
+        ((trim.year_from && values.vehicleYear < trim.year_from) || (trim.year_to && values.vehicleYear > trim.year_to))) {
+      return { error: 'That trim was not offered in the selected year.' };
+    }
+  }
+  if (values.vehicleMakeId !== null && values.vehicleModelId === null) {
+    const [[make]] = await db.execute('SELECT id FROM vehicle_makes WHERE id = ?', [values.vehicleMakeId]);
+    if (!make) return { error: 'Unknown vehicle make.' };
+  }
+
+  return { values };
+}
+
+// Looks up reference ids for free-text make/model (e.g. registered event cars).
+// Exact names only; anything else stays unlinked.
+async function resolveVehicleNames(db, make, model) {
+  const result = { makeId: null, modelId: null };
+  if (!make) return result;
+
+  const [[makeRow]] = await db.execute('SELECT id FROM vehicle_makes WHERE name = ?', [String(make).trim()]);
+  if (!makeRow) return result;
+  result.makeId = makeRow.id;
+
+  if (model) {
+    const [[modelRow]] = await db.execute(
+      'SELECT id FROM vehicle_models WHERE make_id = ? AND name = ?',
+      [makeRow.id, String(model).trim()]
+    );
+    if (modelRow) result.modelId = modelRow.id;
+  }
+  return result;
+}
+
+module.exports = { VEHICLE_FIELDS, readVehicleFields, resolveVehicleNames };
@@ -0,0 +1,106 @@
+// Offline VIN validation and decoding (ISO 3779 / US 49 CFR 565) against the bundled
+// WMI table in data/wmi.json. Decoding yields the manufacturer, country and model year;
+// the model itself is manufacturer-specific and not decoded.
+const wmiData = require('../data/wmi.json');
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 repeats every 30 years: A = 1980 or 2010 ... Y = 2000 or 2030, 1 = 2001 or 2031
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+function normalizeVin(vin) {
+  return String(vin || '').trim().toUpperCase();
+}
+
+function computeCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const ch = vin[i];
+    const value = /[0-9]/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+    sum += value * WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+function lookupPrefix(table, vin) {
+  return table[vin.slice(0, 2)] || table[vin[0]] || null;
+}
+
+// Candidate model years for position 10, newest first, never more than a year ahead.
+// North American VINs use position 7 to settle the cycle: a letter there means 2010+.
+function decodeModelYears(vin, region, now = new Date()) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return [];
+
+  const latest = now.getFullYear() + 1;
+  let years = [];
+  for (let year = 1980 + index; year <= latest; year += 30) years.push(year);
+
+  if (region === 'North America' && years.length > 1) {
+    const modern = /[A-Z]/.test(vin[6]);
+    years = years.filter(year => (modern ? year >= 2010 : year < 2010));
+  }
+  return years.reverse();
+}
+
+// Checks the format and check digit. The check digit is mandatory for vehicles sold in
+// North America; elsewhere manufacturers may leave it out, so a mismatch is only a warning.
+function validateVin(input) {
+  const vin = normalizeVin(input);
+  if (vin.length !== 17) {
+    return { valid: false, vin, error: 'A VIN is 17 characters long.' };
+  }
+  if (!VIN_PATTERN.test(vin)) {
+    return { valid: false, vin, error: 'A VIN only uses digits and the letters A-Z except I, O and Q.' };
+  }
+
+  const region = wmiData.regions[vin[0]] || null;
+  const checkDigitValid = computeCheckDigit(vin) === vin[8];
+  if (!checkDigitValid && region === 'North America') {
+    return { valid: false, vin, error: 'The VIN check digit does not match; please check for typos.' };
+  }
+
+  return {
+    valid: true,
+    vin,
+    checkDigitValid,
+    warnings: checkDigitValid ? [] : ['The check digit does not match. This is normal for some non-North American vehicles.']
+  };
+}
+
+// Returns { valid, vin, wmi, manufacturer, make, region, country, modelYears, serial, ... }
+// or { valid: false, error } for a malformed VIN
+function decodeVin(input, { now } = {}) {
+  const validation = validateVin(input);
+  if (!validation.valid) return validation;
+  const { vin } = validation;
+
+  // Makers of fewer than 1,000 vehicles a year share a WMI ending in 9 and are told
+  // apart by positions 12-14
+  const wmi = vin[2] === '9' ? `${vin.slice(0, 3)}${vin.slice(11, 14)}` : vin.slice(0, 3);
+  const manufacturer = wmiData.manufacturers[wmi] || wmiData.manufacturers[vin.slice(0, 3)] || null;
+  const region = wmiData.regions[vin[0]] || null;
+
+  return {
+    ...validation,
+    wmi,
+    manufacturer: manufacturer ? manufacturer.name : null,
+    make:         manufacturer ? manufacturer.make : null,
+    region,
+    country:      lookupPrefix(wmiData.countries, vin),
+    vds:          vin.slice(3, 8),
+    modelYears:   decodeModelYears(vin, region, now),
+    plantCode:    vin[10],
+    serial:       vin.slice(11)
+  };
+}
+
+module.exports = { normalizeVin, validateVin, decodeVin, computeCheckDigit };
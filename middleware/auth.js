@@ -0,0 +1,93 @@
+const jwt = require('jsonwebtoken');
+const { checkSessionActive } = require('../lib/sessions');
+
+// Every signed-up user has this role without a user_roles row
+const DEFAULT_ROLE = 'member';
+
+// Sends the error shape shared by every auth failure
+function sendAuthError(res, status, code, message) {
+  return res.status(status).json({ success: false, code, message });
+}
+
+// Returns the auth middleware bound to a database pool:
+//   authenticate           - requires a valid `token` cookie from a session that has not been
+//                            revoked; sets req.user (JWT payload plus roles and permissions),
+//                            req.userId and req.sessionId
+//   optionalAuthenticate   - same, but requests without a token continue as guests
+//   requirePermission(...) - must run after authenticate; 403 unless the user has every permission
+//   hasPermission(req, p)  - for checks that depend on the resource, e.g. "owner or moderator"
+function createAuth(pool) {
+  async function loadAccess(userId) {
+    const [rows] = await pool.execute(
+      `SELECT r.role, rp.permission
+         FROM (SELECT ? AS role
+               UNION
+               SELECT role FROM user_roles WHERE user_id = ?) r
+         LEFT JOIN role_permissions rp ON rp.role = r.role`,
+      [DEFAULT_ROLE, userId]
+    );
+    const roles = [...new Set(rows.map(r => r.role))];
+    const permissions = [...new Set(rows.map(r => r.permission).filter(Boolean))];
+    return { roles, permissions };
+  }
+
+  async function authenticate(req, res, next) {
+    const token = req.cookies.token;
+    if (!token) {
+      return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Token required');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return sendAuthError(res, 401, 'INVALID_TOKEN', 'Invalid or expired token');
+    }
+
+    try {
+      // Tokens are tied to a server-side session so signing out elsewhere takes effect at once
+      if (!payload.sid || !(await checkSessionActive(pool, payload.id, payload.sid))) {
+        return sendAuthError(res, 401, 'SESSION_REVOKED', 'Your session has ended. Please log in again.');
+      }
+
+      const { roles, permissions } = await loadAccess(payload.id);
+      req.user = { ...payload, roles, permissions };
+      req.userId = payload.id;
+      req.sessionId = payload.sid;
+      next();
+    } catch (err) {
+      console.error('Auth middleware error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Like authenticate, but lets requests without a token through as guests (req.user unset).
+  // A token that is present but invalid is still rejected so an expired session is not
+  // silently treated as a guest.
+  function optionalAuthenticate(req, res, next) {
+    if (!req.cookies.token) return next();
+    return authenticate(req, res, next);
+  }
+
+  function hasPermission(req, permission) {
+    return !!req.user && req.user.permissions.includes(permission);
+  }
+
+  function requirePermission(...permissions) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Token required');
+      }
+      if (!permissions.every(permission => hasPermission(req, permission))) {
+        return sendAuthError(res, 403, 'FORBIDDEN', 'You do not have permission to do that.');
+      }
+      next();
+    };
+  }
+
+  return { authenticate, optionalAuthenticate, requirePermission, hasPermission, loadAccess };
+}
+
+module.exports = createAuth;
+module.exports.DEFAULT_ROLE = DEFAULT_ROLE;
+module.exports.sendAuthError = sendAuthError;
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const multer = require('multer');
+const { storeImage } = require('../lib/media');
+const { scheduleFileDeletion } = require('../lib/uploadCleanup');
+const { ImageValidationError, LIMITS } = require('../lib/imagePipeline');
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE:       `Images can be at most ${Math.floor(LIMITS.maxBytes / (1024 * 1024))} MB.`,
+  LIMIT_FILE_COUNT:      'Too many files in one upload.',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field or too many files for a field.'
+};
+
+async function removeTempFiles(files) {
+  for (const file of files) {
+    await fs.promises.unlink(file.path).catch(err => {
+      if (err.code !== 'ENOENT') console.warn(`Could not remove temporary upload ${file.path}:`, err.message);
+    });
+  }
+}
+
+// Schedules the images stored for this request for deletion, for when the request fails
+// after the upload ran. Failures are logged, not thrown.
+async function discardUploads(db, req) {
+  const keys = Object.values(req.files || {}).flat().map(file => file.key);
+  await scheduleFileDeletion(db, keys).catch(err => {
+    console.error('Could not schedule discarded uploads for deletion:', err);
+  });
+}
+
+// Returns imageUpload(fields, { kind }), a drop-in for multer's upload.fields(fields) that
+// runs every file through the image pipeline before the route sees it. Each file in
+// req.files gets the stored image's `key` (what the database keeps) and `url`. Files that are not
+// acceptable images are rejected with 400 and the route does not run. A route that rejects
+// the request afterwards should call discardUploads().
+// Uploads are spooled to temporary files and read back one at a time, so a request with many
+// large files does not have to fit in memory; the temporary files are removed afterwards.
+function createImageUpload(pool) {
+  return function imageUpload(fields, { kind = 'build' } = {}) {
+    const parse = multer({
+      storage: multer.diskStorage({ destination: os.tmpdir() }),
+      limits: {
+        fileSize: LIMITS.maxBytes,
+        files: fields.reduce((sum, field) => sum + (field.maxCount || 1), 0)
+      }
+    }).fields(fields);
+
+    return (req, res, next) => {
+      parse(req, res, async err => {
+        if (err instanceof multer.MulterError) {
+          return res.status(400).json({
+            success: false,
+            code: err.code,
+            message: MULTER_MESSAGES[err.code] || 'The upload could not be read.'
+          });
+        }
+        if (err) return next(err);
+
+        const uploaded = Object.values(req.files || {}).flat();
+        let current;
+        try {
+          for (const file of uploaded) {
+            current = file;
+            Object.assign(file, await storeImage(pool, await fs.promises.readFile(file.path), {
+              kind,
+              ownerId: req.user ? req.user.id : null,
+              label: file.fieldname
+            }));
+          }
+          await removeTempFiles(uploaded);
+          next();
+        } catch (error) {
+          await removeTempFiles(uploaded);
+          await discardUploads(pool, req);
+          if (error instanceof ImageValidationError) {
+            return res.status(400).json({
+              success: false,
+              code: error.code,
+              message: `${current.originalname}: ${error.message}`
+            });
+          }
+          console.error('Image upload error:', error);
+          res.status(500).json({ success: false, message: 'Failed to process the uploaded images.' });
+        }
+      });
+    };
+  };
+}
+
+module.exports = createImageUpload;
+module.exports.discardUploads = discardUploads;
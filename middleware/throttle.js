@@ -0,0 +1,37 @@
+// Per-client request throttling for cheap endpoints that are called very often, such as
+// typeahead. Counts requests per client in fixed windows, in memory, so every app instance
+// throttles on its own. Clients are told when to retry with Retry-After.
+function createThrottle({ limit, windowMs, keyOf = req => req.ip }) {
+  const windows = new Map();
+
+  function forgetExpired(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return function throttle(req, res, next) {
+    const now = Date.now();
+    if (windows.size > 10000) forgetExpired(now);
+
+    const key = keyOf(req) || 'unknown';
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    if (window.count > limit) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        code: 'THROTTLED',
+        message: 'Too many requests. Please slow down.'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = createThrottle;
@@ -0,0 +1,22 @@
+-- Organizer-managed events.
+-- Events already has `id` and `title`; everything an organizer edits is added here.
+ALTER TABLE Events
+  ADD COLUMN organizer_id           INT           NULL,
+  ADD COLUMN venue                  VARCHAR(255)  NULL,
+  ADD COLUMN description            TEXT          NULL,
+  ADD COLUMN starts_at              DATETIME      NULL,
+  ADD COLUMN ends_at                DATETIME      NULL,
+  ADD COLUMN registration_opens_at  DATETIME      NULL,
+  ADD COLUMN registration_closes_at DATETIME      NULL,
+  ADD COLUMN status                 ENUM('scheduled', 'cancelled') NOT NULL DEFAULT 'scheduled',
+  ADD COLUMN cancelled_at           DATETIME      NULL,
+  ADD COLUMN created_at             DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN updated_at             DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  ADD CONSTRAINT fk_events_organizer FOREIGN KEY (organizer_id) REFERENCES users (id) ON DELETE SET NULL;
+
+-- Registrations stay in place when an event is cancelled, but stop counting as active.
+ALTER TABLE event_registrations
+  ADD COLUMN status        ENUM('confirmed', 'cancelled') NOT NULL DEFAULT 'confirmed',
+  ADD COLUMN cancel_reason ENUM('event_cancelled', 'withdrawn') NULL,
+  ADD COLUMN cancelled_at  DATETIME NULL,
+  ADD INDEX idx_event_registrations_event_status (event_id, status);
@@ -0,0 +1,10 @@
+-- Per-event caps. NULL means unlimited.
+ALTER TABLE Events
+  ADD COLUMN max_registrants INT UNSIGNED NULL,
+  ADD COLUMN max_cars        INT UNSIGNED NULL;
+
+-- Registrations over the cap wait in line, ordered by waitlisted_at then id.
+ALTER TABLE event_registrations
+  MODIFY COLUMN status ENUM('confirmed', 'waitlisted', 'cancelled') NOT NULL DEFAULT 'confirmed',
+  ADD COLUMN waitlisted_at DATETIME(3) NULL,
+  ADD INDEX idx_event_registrations_waitlist (event_id, status, waitlisted_at, id);
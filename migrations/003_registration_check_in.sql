@@ -0,0 +1,8 @@
+-- Day-of check-in. check_in_nonce ties a registration to the one check-in token issued for it.
+ALTER TABLE event_registrations
+  ADD COLUMN check_in_nonce CHAR(32) NULL,
+  ADD COLUMN checked_in_at  DATETIME NULL,
+  ADD COLUMN checked_in_by  INT      NULL;
+
+ALTER TABLE registered_cars
+  ADD COLUMN checked_in_at DATETIME NULL;
@@ -0,0 +1,8 @@
+-- Bumped on every organizer change so calendar clients replace their copy of the VEVENT.
+ALTER TABLE Events
+  ADD COLUMN sequence INT UNSIGNED NOT NULL DEFAULT 0;
+
+-- SHA-256 of the secret in a user's personal calendar feed URL. NULL means no feed.
+ALTER TABLE users
+  ADD COLUMN calendar_token_hash CHAR(64) NULL,
+  ADD UNIQUE INDEX idx_users_calendar_token_hash (calendar_token_hash);
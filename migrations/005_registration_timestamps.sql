@@ -0,0 +1,5 @@
+-- Lets organizers filter exports by registration date.
+-- Rows that predate this column get the time the migration ran.
+ALTER TABLE event_registrations
+  ADD COLUMN registered_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD INDEX idx_event_registrations_registered_at (event_id, registered_at);
@@ -0,0 +1,53 @@
+-- Role-based access control. Every user is implicitly a member; other roles are granted in user_roles.
+CREATE TABLE roles (
+  name        VARCHAR(32)  NOT NULL PRIMARY KEY,
+  description VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE permissions (
+  name        VARCHAR(64)  NOT NULL PRIMARY KEY,
+  description VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role       VARCHAR(32) NOT NULL,
+  permission VARCHAR(64) NOT NULL,
+  PRIMARY KEY (role, permission),
+  CONSTRAINT fk_role_permissions_role FOREIGN KEY (role) REFERENCES roles (name) ON DELETE CASCADE,
+  CONSTRAINT fk_role_permissions_permission FOREIGN KEY (permission) REFERENCES permissions (name) ON DELETE CASCADE
+);
+
+CREATE TABLE user_roles (
+  user_id    INT         NOT NULL,
+  role       VARCHAR(32) NOT NULL,
+  granted_by INT         NULL,
+  granted_at DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, role),
+  CONSTRAINT fk_user_roles_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_user_roles_role FOREIGN KEY (role) REFERENCES roles (name) ON DELETE CASCADE,
+  CONSTRAINT fk_user_roles_granted_by FOREIGN KEY (granted_by) REFERENCES users (id) ON DELETE SET NULL
+);
+
+INSERT INTO roles (name, description) VALUES
+  ('member',         'Every signed-up user'),
+  ('organizer',      'Creates and runs events'),
+  ('business_owner', 'Runs a shop listed in businesses'),
+  ('moderator',      'Moderates community content'),
+  ('admin',          'Full access, including role management');
+
+INSERT INTO permissions (name, description) VALUES
+  ('reviews:write',      'Write and edit own business reviews'),
+  ('reviews:moderate',   'Remove any business review'),
+  ('events:create',      'Create events'),
+  ('events:manage_any',  'Edit, cancel, check in and export any event'),
+  ('roles:manage',       'Grant and revoke user roles');
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('member',    'reviews:write'),
+  ('organizer', 'events:create'),
+  ('moderator', 'reviews:moderate'),
+  ('admin',     'reviews:write'),
+  ('admin',     'reviews:moderate'),
+  ('admin',     'events:create'),
+  ('admin',     'events:manage_any'),
+  ('admin',     'roles:manage');
@@ -0,0 +1,8 @@
+-- Guests register without an account and confirm through an emailed token.
+-- Until they confirm, their registration is 'pending' and holds no spot.
+ALTER TABLE event_registrations
+  MODIFY COLUMN user_id INT NULL,
+  MODIFY COLUMN status ENUM('pending', 'confirmed', 'waitlisted', 'cancelled') NOT NULL DEFAULT 'confirmed',
+  ADD COLUMN guest_token_hash       CHAR(64) NULL,
+  ADD COLUMN guest_token_expires_at DATETIME NULL,
+  ADD UNIQUE INDEX idx_event_registrations_guest_token (guest_token_hash);
@@ -0,0 +1,28 @@
+-- One row per signed-in device. Access tokens carry the session id so revoking
+-- the session cuts them off immediately.
+CREATE TABLE user_sessions (
+  id             BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id        INT          NOT NULL,
+  user_agent     VARCHAR(512) NULL,
+  ip_address     VARCHAR(64)  NULL,
+  created_at     DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at     DATETIME     NOT NULL,
+  revoked_at     DATETIME     NULL,
+  revoked_reason VARCHAR(32)  NULL,
+  INDEX idx_user_sessions_user (user_id, revoked_at),
+  CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Refresh tokens rotate on every use. A used token coming back means it was copied,
+-- so the whole session is revoked.
+CREATE TABLE refresh_tokens (
+  id         BIGINT   NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  session_id BIGINT   NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at    DATETIME NULL,
+  UNIQUE INDEX idx_refresh_tokens_hash (token_hash),
+  CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id) REFERENCES user_sessions (id) ON DELETE CASCADE
+);
@@ -0,0 +1,19 @@
+ALTER TABLE users
+  ADD COLUMN email_verified_at DATETIME NULL;
+
+-- Single-use tokens emailed to users. Only a SHA-256 hash is stored.
+-- For email verification, `email` is the address being verified, which may be a
+-- pending change that is not yet in users.email.
+CREATE TABLE user_tokens (
+  id         BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id    INT          NOT NULL,
+  purpose    ENUM('password_reset', 'email_verification') NOT NULL,
+  token_hash CHAR(64)     NOT NULL,
+  email      VARCHAR(255) NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME     NOT NULL,
+  used_at    DATETIME     NULL,
+  UNIQUE INDEX idx_user_tokens_hash (token_hash),
+  INDEX idx_user_tokens_user (user_id, purpose),
+  CONSTRAINT fk_user_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,27 @@
+-- Failure counters for the MySQL login limiter store, shared by every server instance.
+-- Keys look like "account:<email>" or "ip:<address>".
+CREATE TABLE login_throttles (
+  throttle_key    VARCHAR(255) NOT NULL PRIMARY KEY,
+  failures        INT UNSIGNED NOT NULL DEFAULT 0,
+  last_failure_at DATETIME     NOT NULL,
+  locked_until    DATETIME     NULL
+);
+
+-- Failed and blocked login attempts, kept for review by admins.
+CREATE TABLE login_attempts (
+  id         BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  email      VARCHAR(255) NULL,
+  user_id    INT          NULL,
+  ip_address VARCHAR(64)  NULL,
+  user_agent VARCHAR(512) NULL,
+  outcome    ENUM('failed', 'locked') NOT NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_login_attempts_email (email, created_at),
+  INDEX idx_login_attempts_ip (ip_address, created_at)
+);
+
+INSERT INTO permissions (name, description) VALUES
+  ('security:manage', 'Review login attempts and unlock accounts');
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'security:manage');
@@ -0,0 +1,25 @@
+-- TOTP secrets are stored encrypted (see lib/secretBox.js). The pending secret holds an
+-- enrollment until the user proves it works with a first code.
+ALTER TABLE users
+  ADD COLUMN totp_secret         VARCHAR(255) NULL,
+  ADD COLUMN totp_pending_secret VARCHAR(255) NULL,
+  ADD COLUMN totp_enabled_at     DATETIME     NULL,
+  ADD COLUMN totp_last_counter   BIGINT       NULL;
+
+CREATE TABLE user_recovery_codes (
+  id         BIGINT   NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id    INT      NOT NULL,
+  code_hash  CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  used_at    DATETIME NULL,
+  INDEX idx_user_recovery_codes_user (user_id),
+  CONSTRAINT fk_user_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Roles whose members must have two-factor authentication
+CREATE TABLE two_factor_role_policies (
+  role       VARCHAR(32) NOT NULL PRIMARY KEY,
+  created_by INT         NULL,
+  created_at DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_two_factor_role_policies_role FOREIGN KEY (role) REFERENCES roles (name) ON DELETE CASCADE
+);
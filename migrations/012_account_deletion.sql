@@ -0,0 +1,3 @@
+-- Reviews by deleted accounts can be kept anonymously, with no author.
+ALTER TABLE business_reviews
+  MODIFY COLUMN user_id INT NULL;
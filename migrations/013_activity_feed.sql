@@ -0,0 +1,18 @@
+-- Things users do that show up in their followers' feeds.
+-- Cards are rendered from the current build/business/review rows plus the `data`
+-- snapshot of what changed.
+CREATE TABLE activities (
+  id          BIGINT      NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  actor_id    INT         NOT NULL,
+  type        ENUM('build_created', 'build_mods_added', 'build_photos_added',
+                   'build_ownership_changed', 'review_created') NOT NULL,
+  build_id    INT         NULL,
+  business_id INT         NULL,
+  review_id   INT         NULL,
+  data        JSON        NULL,
+  created_at  DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_activities_actor (actor_id, id),
+  INDEX idx_activities_build (build_id),
+  INDEX idx_activities_review (review_id),
+  CONSTRAINT fk_activities_actor FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE CASCADE
+);
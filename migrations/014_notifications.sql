@@ -0,0 +1,28 @@
+-- In-app notifications and per-type opt-outs.
+CREATE TABLE notifications (
+  id         BIGINT      NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id    INT         NOT NULL,
+  type       VARCHAR(40) NOT NULL,
+  actor_id   INT         NULL,
+  data       JSON        NULL,
+  read_at    DATETIME    NULL,
+  created_at DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notifications_user (user_id, id),
+  INDEX idx_notifications_unread (user_id, read_at),
+  CONSTRAINT fk_notifications_user  FOREIGN KEY (user_id)  REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_notifications_actor FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE SET NULL
+);
+
+-- Only opt-outs need a row; a missing row means the type is enabled
+CREATE TABLE notification_preferences (
+  user_id INT         NOT NULL,
+  type    VARCHAR(40) NOT NULL,
+  enabled BOOLEAN     NOT NULL,
+  PRIMARY KEY (user_id, type),
+  CONSTRAINT fk_notification_preferences_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Who gets notified about reviews of a business
+ALTER TABLE businesses
+  ADD COLUMN owner_user_id INT NULL,
+  ADD CONSTRAINT fk_businesses_owner FOREIGN KEY (owner_user_id) REFERENCES users (id) ON DELETE SET NULL;
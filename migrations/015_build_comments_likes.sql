@@ -0,0 +1,29 @@
+-- Threaded comments on builds (optionally on one of the build's mods) and likes.
+-- Deleted comments keep their row with the body cleared so replies stay in place.
+CREATE TABLE build_comments (
+  id         INT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  build_id   INT       NOT NULL,
+  mod_id     INT       NULL,
+  parent_id  INT       NULL,
+  depth      TINYINT   NOT NULL DEFAULT 0,
+  user_id    INT       NULL,
+  body       TEXT      NULL,
+  created_at DATETIME  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  edited_at  DATETIME  NULL,
+  deleted_at DATETIME  NULL,
+  INDEX idx_build_comments_build (build_id, mod_id, id),
+  CONSTRAINT fk_build_comments_build  FOREIGN KEY (build_id)  REFERENCES builds (id) ON DELETE CASCADE,
+  CONSTRAINT fk_build_comments_mod    FOREIGN KEY (mod_id)    REFERENCES build_mods (id) ON DELETE CASCADE,
+  CONSTRAINT fk_build_comments_parent FOREIGN KEY (parent_id) REFERENCES build_comments (id) ON DELETE CASCADE,
+  CONSTRAINT fk_build_comments_user   FOREIGN KEY (user_id)   REFERENCES users (id) ON DELETE SET NULL
+);
+
+CREATE TABLE build_likes (
+  build_id   INT      NOT NULL,
+  user_id    INT      NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (build_id, user_id),
+  INDEX idx_build_likes_user (user_id),
+  CONSTRAINT fk_build_likes_build FOREIGN KEY (build_id) REFERENCES builds (id) ON DELETE CASCADE,
+  CONSTRAINT fk_build_likes_user  FOREIGN KEY (user_id)  REFERENCES users (id) ON DELETE CASCADE
+);
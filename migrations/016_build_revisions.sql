@@ -0,0 +1,22 @@
+-- Build edits keep history: removed mods and gallery photos are soft-deleted so their ids
+-- and images survive, and every save is recorded as a revision with a full snapshot plus
+-- a diff against the previous one.
+ALTER TABLE build_mods
+  ADD COLUMN removed_at DATETIME NULL;
+
+ALTER TABLE build_gallery
+  ADD COLUMN removed_at DATETIME NULL;
+
+CREATE TABLE build_revisions (
+  id                  INT      NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  build_id            INT      NOT NULL,
+  revision_number     INT      NOT NULL,
+  user_id             INT      NULL,
+  snapshot            JSON     NOT NULL,
+  diff                JSON     NULL,
+  restored_from       INT      NULL,
+  created_at          DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_build_revisions_number (build_id, revision_number),
+  CONSTRAINT fk_build_revisions_build FOREIGN KEY (build_id) REFERENCES builds (id) ON DELETE CASCADE,
+  CONSTRAINT fk_build_revisions_user  FOREIGN KEY (user_id)  REFERENCES users (id) ON DELETE SET NULL
+);
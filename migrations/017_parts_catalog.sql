@@ -0,0 +1,105 @@
+-- Structured parts catalog. Build mods can point at a catalog part and record what the
+-- owner paid and when it went on, which powers cost totals and "builds using this part".
+CREATE TABLE part_categories (
+  id        INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  parent_id INT          NULL,
+  name      VARCHAR(100) NOT NULL,
+  slug      VARCHAR(100) NOT NULL,
+  UNIQUE KEY uq_part_categories_slug (slug),
+  CONSTRAINT fk_part_categories_parent FOREIGN KEY (parent_id) REFERENCES part_categories (id) ON DELETE CASCADE
+);
+
+CREATE TABLE brands (
+  id         INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name       VARCHAR(100) NOT NULL,
+  website    VARCHAR(255) NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_brands_name (name)
+);
+
+CREATE TABLE parts (
+  id          INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  brand_id    INT          NOT NULL,
+  category_id INT          NOT NULL,
+  part_number VARCHAR(100) NULL,
+  name        VARCHAR(200) NOT NULL,
+  description TEXT         NULL,
+  created_by  INT          NULL,
+  created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at  DATETIME     NULL ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_parts_brand_number (brand_id, part_number),
+  INDEX idx_parts_category (category_id),
+  INDEX idx_parts_name (name),
+  CONSTRAINT fk_parts_brand      FOREIGN KEY (brand_id)    REFERENCES brands (id),
+  CONSTRAINT fk_parts_category   FOREIGN KEY (category_id) REFERENCES part_categories (id),
+  CONSTRAINT fk_parts_created_by FOREIGN KEY (created_by)  REFERENCES users (id) ON DELETE SET NULL
+);
+
+-- Optional: which vehicles a part is made for. Missing model/years mean "any".
+CREATE TABLE part_fitments (
+  id        INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  part_id   INT          NOT NULL,
+  make      VARCHAR(100) NOT NULL,
+  model     VARCHAR(100) NULL,
+  year_from SMALLINT     NULL,
+  year_to   SMALLINT     NULL,
+  notes     VARCHAR(255) NULL,
+  INDEX idx_part_fitments_part (part_id),
+  INDEX idx_part_fitments_vehicle (make, model),
+  CONSTRAINT fk_part_fitments_part FOREIGN KEY (part_id) REFERENCES parts (id) ON DELETE CASCADE
+);
+
+-- part_matched_by tells owner-picked parts apart from ones scripts/match-mod-parts.js guessed
+ALTER TABLE build_mods
+  ADD COLUMN part_id         INT                   NULL,
+  ADD COLUMN price_paid      DECIMAL(10, 2)        NULL,
+  ADD COLUMN install_date    DATE                  NULL,
+  ADD COLUMN part_matched_by ENUM('owner', 'auto') NULL,
+  ADD INDEX idx_build_mods_part (part_id),
+  ADD CONSTRAINT fk_build_mods_part FOREIGN KEY (part_id) REFERENCES parts (id) ON DELETE SET NULL;
+
+INSERT INTO permissions (name, description) VALUES
+  ('parts:manage', 'Add and edit brands and catalog parts');
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('moderator', 'parts:manage'),
+  ('admin',     'parts:manage');
+
+INSERT INTO part_categories (name, slug) VALUES
+  ('Engine',              'engine'),
+  ('Forced Induction',    'forced-induction'),
+  ('Intake & Exhaust',    'intake-exhaust'),
+  ('Fuel & Tuning',       'fuel-tuning'),
+  ('Drivetrain',          'drivetrain'),
+  ('Suspension',          'suspension'),
+  ('Brakes',              'brakes'),
+  ('Wheels & Tires',      'wheels-tires'),
+  ('Exterior',            'exterior'),
+  ('Interior',            'interior'),
+  ('Lighting',            'lighting'),
+  ('Electronics & Audio', 'electronics-audio');
+
+INSERT INTO part_categories (parent_id, name, slug)
+SELECT c.id, s.name, s.slug
+  FROM part_categories c
+  JOIN (
+    SELECT 'forced-induction' AS parent, 'Turbochargers'  AS name, 'turbochargers'  AS slug UNION ALL
+    SELECT 'forced-induction', 'Superchargers',  'superchargers'  UNION ALL
+    SELECT 'forced-induction', 'Intercoolers',   'intercoolers'   UNION ALL
+    SELECT 'intake-exhaust',   'Intakes',        'intakes'        UNION ALL
+    SELECT 'intake-exhaust',   'Exhaust Systems','exhaust-systems' UNION ALL
+    SELECT 'intake-exhaust',   'Headers',        'headers'        UNION ALL
+    SELECT 'fuel-tuning',      'ECU & Tunes',    'ecu-tunes'      UNION ALL
+    SELECT 'fuel-tuning',      'Fuel System',    'fuel-system'    UNION ALL
+    SELECT 'drivetrain',       'Clutches',       'clutches'       UNION ALL
+    SELECT 'drivetrain',       'Differentials',  'differentials'  UNION ALL
+    SELECT 'suspension',       'Coilovers',      'coilovers'      UNION ALL
+    SELECT 'suspension',       'Sway Bars',      'sway-bars'      UNION ALL
+    SELECT 'brakes',           'Big Brake Kits', 'big-brake-kits' UNION ALL
+    SELECT 'brakes',           'Pads & Rotors',  'pads-rotors'    UNION ALL
+    SELECT 'wheels-tires',     'Wheels',         'wheels'         UNION ALL
+    SELECT 'wheels-tires',     'Tires',          'tires'          UNION ALL
+    SELECT 'exterior',         'Aero',           'aero'           UNION ALL
+    SELECT 'interior',         'Seats',          'seats'          UNION ALL
+    SELECT 'interior',         'Steering Wheels','steering-wheels'
+  ) s ON s.parent = c.slug;
@@ -0,0 +1,143 @@
+-- Structured vehicle identity: a reference table of makes, models and trims, which builds
+-- (and registered event cars) point at alongside their free-text names.
+CREATE TABLE vehicle_makes (
+  id   INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  UNIQUE KEY uq_vehicle_makes_name (name)
+);
+
+CREATE TABLE vehicle_models (
+  id         INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  make_id    INT          NOT NULL,
+  name       VARCHAR(100) NOT NULL,
+  year_from  SMALLINT     NULL,
+  year_to    SMALLINT     NULL,
+  UNIQUE KEY uq_vehicle_models_name (make_id, name),
+  CONSTRAINT fk_vehicle_models_make FOREIGN KEY (make_id) REFERENCES vehicle_makes (id) ON DELETE CASCADE
+);
+
+CREATE TABLE vehicle_trims (
+  id         INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  model_id   INT          NOT NULL,
+  name       VARCHAR(100) NOT NULL,
+  year_from  SMALLINT     NULL,
+  year_to    SMALLINT     NULL,
+  UNIQUE KEY uq_vehicle_trims_name (model_id, name),
+  CONSTRAINT fk_vehicle_trims_model FOREIGN KEY (model_id) REFERENCES vehicle_models (id) ON DELETE CASCADE
+);
+
+ALTER TABLE builds
+  ADD COLUMN vehicle_year     SMALLINT NULL,
+  ADD COLUMN vehicle_make_id  INT      NULL,
+  ADD COLUMN vehicle_model_id INT      NULL,
+  ADD COLUMN vehicle_trim_id  INT      NULL,
+  ADD COLUMN vin              CHAR(17) NULL,
+  ADD INDEX idx_builds_vehicle (vehicle_make_id, vehicle_model_id, vehicle_year),
+  ADD CONSTRAINT fk_builds_vehicle_make  FOREIGN KEY (vehicle_make_id)  REFERENCES vehicle_makes (id)  ON DELETE SET NULL,
+  ADD CONSTRAINT fk_builds_vehicle_model FOREIGN KEY (vehicle_model_id) REFERENCES vehicle_models (id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_builds_vehicle_trim  FOREIGN KEY (vehicle_trim_id)  REFERENCES vehicle_trims (id)  ON DELETE SET NULL;
+
+ALTER TABLE registered_cars
+  ADD COLUMN vehicle_make_id  INT NULL,
+  ADD COLUMN vehicle_model_id INT NULL,
+  ADD CONSTRAINT fk_registered_cars_make  FOREIGN KEY (vehicle_make_id)  REFERENCES vehicle_makes (id)  ON DELETE SET NULL,
+  ADD CONSTRAINT fk_registered_cars_model FOREIGN KEY (vehicle_model_id) REFERENCES vehicle_models (id) ON DELETE SET NULL;
+
+INSERT INTO vehicle_makes (name) VALUES
+  ('Acura'), ('Alfa Romeo'), ('Aston Martin'), ('Audi'), ('BMW'), ('Cadillac'), ('Chevrolet'),
+  ('Chrysler'), ('Dodge'), ('Ferrari'), ('Fiat'), ('Ford'), ('GMC'), ('Honda'), ('Hyundai'),
+  ('Infiniti'), ('Jaguar'), ('Jeep'), ('Kia'), ('Lamborghini'), ('Land Rover'), ('Lexus'),
+  ('Lincoln'), ('Lotus'), ('Mazda'), ('Mercedes-Benz'), ('Mini'), ('Mitsubishi'), ('Nissan'),
+  ('Porsche'), ('Ram'), ('Subaru'), ('Tesla'), ('Toyota'), ('Volkswagen'), ('Volvo');
+
+INSERT INTO vehicle_models (make_id, name)
+SELECT mk.id, m.name
+  FROM vehicle_makes mk
+  JOIN (
+    SELECT 'Acura' AS make, 'Integra' AS name UNION ALL SELECT 'Acura', 'RSX' UNION ALL
+    SELECT 'Acura', 'NSX' UNION ALL SELECT 'Acura', 'TSX' UNION ALL SELECT 'Acura', 'TLX' UNION ALL
+    SELECT 'Alfa Romeo', 'Giulia' UNION ALL SELECT 'Alfa Romeo', '4C' UNION ALL
+    SELECT 'Audi', 'A3' UNION ALL SELECT 'Audi', 'A4' UNION ALL SELECT 'Audi', 'S4' UNION ALL
+    SELECT 'Audi', 'RS3' UNION ALL SELECT 'Audi', 'TT' UNION ALL SELECT 'Audi', 'R8' UNION ALL
+    SELECT 'BMW', '3 Series' UNION ALL SELECT 'BMW', 'M2' UNION ALL SELECT 'BMW', 'M3' UNION ALL
+    SELECT 'BMW', 'M4' UNION ALL SELECT 'BMW', 'M5' UNION ALL SELECT 'BMW', 'Z4' UNION ALL
+    SELECT 'Cadillac', 'CTS-V' UNION ALL SELECT 'Cadillac', 'CT5-V' UNION ALL
+    SELECT 'Chevrolet', 'Camaro' UNION ALL SELECT 'Chevrolet', 'Corvette' UNION ALL
+    SELECT 'Chevrolet', 'Silverado' UNION ALL SELECT 'Chevrolet', 'Chevelle' UNION ALL
+    SELECT 'Dodge', 'Challenger' UNION ALL SELECT 'Dodge', 'Charger' UNION ALL
+    SELECT 'Dodge', 'Viper' UNION ALL SELECT 'Dodge', 'Neon' UNION ALL
+    SELECT 'Ford', 'Mustang' UNION ALL SELECT 'Ford', 'Focus' UNION ALL SELECT 'Ford', 'Fiesta' UNION ALL
+    SELECT 'Ford', 'F-150' UNION ALL SELECT 'Ford', 'Bronco' UNION ALL SELECT 'Ford', 'GT' UNION ALL
+    SELECT 'Honda', 'Civic' UNION ALL SELECT 'Honda', 'Accord' UNION ALL SELECT 'Honda', 'S2000' UNION ALL
+    SELECT 'Honda', 'Prelude' UNION ALL SELECT 'Honda', 'Fit' UNION ALL SELECT 'Honda', 'CR-X' UNION ALL
+    SELECT 'Hyundai', 'Veloster' UNION ALL SELECT 'Hyundai', 'Elantra' UNION ALL
+    SELECT 'Hyundai', 'Genesis Coupe' UNION ALL
+    SELECT 'Infiniti', 'G35' UNION ALL SELECT 'Infiniti', 'G37' UNION ALL SELECT 'Infiniti', 'Q50' UNION ALL
+    SELECT 'Jeep', 'Wrangler' UNION ALL SELECT 'Jeep', 'Grand Cherokee' UNION ALL
+    SELECT 'Kia', 'Stinger' UNION ALL SELECT 'Kia', 'Forte' UNION ALL
+    SELECT 'Lexus', 'IS' UNION ALL SELECT 'Lexus', 'RC' UNION ALL SELECT 'Lexus', 'SC' UNION ALL
+    SELECT 'Mazda', 'MX-5 Miata' UNION ALL SELECT 'Mazda', 'RX-7' UNION ALL SELECT 'Mazda', 'RX-8' UNION ALL
+    SELECT 'Mazda', 'Mazda3' UNION ALL SELECT 'Mazda', 'Mazdaspeed3' UNION ALL
+    SELECT 'Mercedes-Benz', 'C-Class' UNION ALL SELECT 'Mercedes-Benz', 'E-Class' UNION ALL
+    SELECT 'Mini', 'Cooper' UNION ALL
+    SELECT 'Mitsubishi', 'Lancer Evolution' UNION ALL SELECT 'Mitsubishi', 'Eclipse' UNION ALL
+    SELECT 'Mitsubishi', '3000GT' UNION ALL
+    SELECT 'Nissan', '240SX' UNION ALL SELECT 'Nissan', '350Z' UNION ALL SELECT 'Nissan', '370Z' UNION ALL
+    SELECT 'Nissan', 'Z' UNION ALL SELECT 'Nissan', 'GT-R' UNION ALL SELECT 'Nissan', 'Skyline' UNION ALL
+    SELECT 'Nissan', 'Silvia' UNION ALL SELECT 'Nissan', 'Sentra' UNION ALL
+    SELECT 'Porsche', '911' UNION ALL SELECT 'Porsche', 'Cayman' UNION ALL SELECT 'Porsche', 'Boxster' UNION ALL
+    SELECT 'Ram', '1500' UNION ALL
+    SELECT 'Subaru', 'WRX' UNION ALL SELECT 'Subaru', 'Impreza' UNION ALL SELECT 'Subaru', 'BRZ' UNION ALL
+    SELECT 'Subaru', 'Legacy' UNION ALL SELECT 'Subaru', 'Forester' UNION ALL
+    SELECT 'Tesla', 'Model 3' UNION ALL SELECT 'Tesla', 'Model S' UNION ALL
+    SELECT 'Toyota', 'Supra' UNION ALL SELECT 'Toyota', 'GR86' UNION ALL SELECT 'Toyota', '86' UNION ALL
+    SELECT 'Toyota', 'Corolla' UNION ALL SELECT 'Toyota', 'GR Corolla' UNION ALL SELECT 'Toyota', 'Camry' UNION ALL
+    SELECT 'Toyota', 'Tacoma' UNION ALL SELECT 'Toyota', '4Runner' UNION ALL SELECT 'Toyota', 'MR2' UNION ALL
+    SELECT 'Toyota', 'Celica' UNION ALL SELECT 'Toyota', 'AE86' UNION ALL
+    SELECT 'Volkswagen', 'Golf' UNION ALL SELECT 'Volkswagen', 'GTI' UNION ALL SELECT 'Volkswagen', 'Golf R' UNION ALL
+    SELECT 'Volkswagen', 'Jetta' UNION ALL
+    SELECT 'Volvo', '240' UNION ALL SELECT 'Volvo', 'S60'
+  ) m ON m.make = mk.name;
+
+INSERT INTO vehicle_trims (model_id, name, year_from, year_to)
+SELECT vm.id, t.name, t.year_from, t.year_to
+  FROM vehicle_models vm
+  JOIN vehicle_makes mk ON mk.id = vm.make_id
+  JOIN (
+    SELECT 'Honda' AS make, 'Civic' AS model, 'LX' AS name, NULL AS year_from, NULL AS year_to UNION ALL
+    SELECT 'Honda', 'Civic', 'EX', NULL, NULL UNION ALL
+    SELECT 'Honda', 'Civic', 'Si', NULL, NULL UNION ALL
+    SELECT 'Honda', 'Civic', 'Type R', 2017, NULL UNION ALL
+    SELECT 'Subaru', 'WRX', 'Base', NULL, NULL UNION ALL
+    SELECT 'Subaru', 'WRX', 'Premium', NULL, NULL UNION ALL
+    SELECT 'Subaru', 'WRX', 'STI', NULL, 2021 UNION ALL
+    SELECT 'Subaru', 'BRZ', 'Premium', NULL, NULL UNION ALL
+    SELECT 'Subaru', 'BRZ', 'Limited', NULL, NULL UNION ALL
+    SELECT 'Subaru', 'BRZ', 'tS', NULL, NULL UNION ALL
+    SELECT 'Ford', 'Mustang', 'EcoBoost', 2015, NULL UNION ALL
+    SELECT 'Ford', 'Mustang', 'GT', NULL, NULL UNION ALL
+    SELECT 'Ford', 'Mustang', 'Mach 1', NULL, NULL UNION ALL
+    SELECT 'Ford', 'Mustang', 'Shelby GT350', NULL, NULL UNION ALL
+    SELECT 'Ford', 'Mustang', 'Shelby GT500', NULL, NULL UNION ALL
+    SELECT 'Chevrolet', 'Camaro', 'LS', NULL, NULL UNION ALL
+    SELECT 'Chevrolet', 'Camaro', 'LT', NULL, NULL UNION ALL
+    SELECT 'Chevrolet', 'Camaro', 'SS', NULL, NULL UNION ALL
+    SELECT 'Chevrolet', 'Camaro', 'ZL1', NULL, NULL UNION ALL
+    SELECT 'Chevrolet', 'Corvette', 'Stingray', NULL, NULL UNION ALL
+    SELECT 'Chevrolet', 'Corvette', 'Z06', NULL, NULL UNION ALL
+    SELECT 'Toyota', 'GR86', 'Base', 2022, NULL UNION ALL
+    SELECT 'Toyota', 'GR86', 'Premium', 2022, NULL UNION ALL
+    SELECT 'Toyota', 'Supra', '2.0', 2021, NULL UNION ALL
+    SELECT 'Toyota', 'Supra', '3.0', 2020, NULL UNION ALL
+    SELECT 'Mazda', 'MX-5 Miata', 'Sport', NULL, NULL UNION ALL
+    SELECT 'Mazda', 'MX-5 Miata', 'Club', NULL, NULL UNION ALL
+    SELECT 'Mazda', 'MX-5 Miata', 'Grand Touring', NULL, NULL UNION ALL
+    SELECT 'Nissan', '370Z', 'Base', 2009, 2020 UNION ALL
+    SELECT 'Nissan', '370Z', 'Sport', 2009, 2020 UNION ALL
+    SELECT 'Nissan', '370Z', 'Nismo', 2009, 2020 UNION ALL
+    SELECT 'Volkswagen', 'GTI', 'S', NULL, NULL UNION ALL
+    SELECT 'Volkswagen', 'GTI', 'SE', NULL, NULL UNION ALL
+    SELECT 'Volkswagen', 'GTI', 'Autobahn', NULL, NULL UNION ALL
+    SELECT 'BMW', 'M3', 'Base', NULL, NULL UNION ALL
+    SELECT 'BMW', 'M3', 'Competition', NULL, NULL
+  ) t ON t.make = mk.name AND t.model = vm.name;
@@ -0,0 +1,66 @@
+-- Best-effort structured vehicle fields for builds and registered event cars that only
+-- have free text. Only fills columns that are still empty, so owners' own choices win.
+-- Ambiguous text is left alone rather than guessed.
+
+-- Year: a standalone 4-digit model year anywhere in the build name ("2004 WRX STI")
+UPDATE builds
+   SET vehicle_year = CAST(REGEXP_SUBSTR(car_name, '\\b(19[5-9][0-9]|20[0-9]{2})\\b') AS UNSIGNED)
+ WHERE vehicle_year IS NULL
+   AND car_name REGEXP '\\b(19[5-9][0-9]|20[0-9]{2})\\b';
+
+-- Make: the name contains exactly one make, as a whole word. "Chevy" and "VW" are common
+-- enough to be worth recognising.
+UPDATE builds b
+  JOIN (
+    SELECT b2.id AS build_id, MIN(mk.id) AS make_id
+      FROM builds b2
+      JOIN vehicle_makes mk
+        ON CONCAT(b2.car_name, ' ', COALESCE(b2.model, '')) REGEXP CONCAT('\\b', mk.name, '\\b')
+        OR (mk.name = 'Chevrolet'  AND b2.car_name REGEXP '\\bchevy\\b')
+        OR (mk.name = 'Volkswagen' AND b2.car_name REGEXP '\\bvw\\b')
+     WHERE b2.vehicle_make_id IS NULL
+     GROUP BY b2.id
+    HAVING COUNT(*) = 1
+  ) guess ON guess.build_id = b.id
+   SET b.vehicle_make_id = guess.make_id;
+
+-- Model: within the make, exactly one model name appears in the name or model text
+UPDATE builds b
+  JOIN (
+    SELECT b2.id AS build_id, MIN(vm.id) AS model_id
+      FROM builds b2
+      JOIN vehicle_models vm
+        ON vm.make_id = b2.vehicle_make_id
+       AND CONCAT(b2.car_name, ' ', COALESCE(b2.model, '')) REGEXP CONCAT('\\b', vm.name, '\\b')
+     WHERE b2.vehicle_model_id IS NULL
+     GROUP BY b2.id
+    HAVING COUNT(*) = 1
+  ) guess ON guess.build_id = b.id
+   SET b.vehicle_model_id = guess.model_id;
+
+-- Model without a make ("my Civic"): only for model names no other make uses
+UPDATE builds b
+  JOIN (
+    SELECT b2.id AS build_id, MIN(vm.id) AS model_id, MIN(vm.make_id) AS make_id
+      FROM builds b2
+      JOIN vehicle_models vm
+        ON CONCAT(b2.car_name, ' ', COALESCE(b2.model, '')) REGEXP CONCAT('\\b', vm.name, '\\b')
+      JOIN (SELECT name FROM vehicle_models GROUP BY name HAVING COUNT(*) = 1) unique_names
+        ON unique_names.name = vm.name
+     WHERE b2.vehicle_make_id IS NULL
+     GROUP BY b2.id
+    HAVING COUNT(*) = 1
+  ) guess ON guess.build_id = b.id
+   SET b.vehicle_make_id = guess.make_id,
+       b.vehicle_model_id = guess.model_id;
+
+-- Registered event cars already split make and model, so only exact names are matched
+UPDATE registered_cars rc
+  JOIN vehicle_makes mk ON mk.name = TRIM(rc.make)
+   SET rc.vehicle_make_id = mk.id
+ WHERE rc.vehicle_make_id IS NULL;
+
+UPDATE registered_cars rc
+  JOIN vehicle_models vm ON vm.make_id = rc.vehicle_make_id AND vm.name = TRIM(rc.model)
+   SET rc.vehicle_model_id = vm.id
+ WHERE rc.vehicle_model_id IS NULL;
@@ -0,0 +1,17 @@
+-- One row per processed upload, linking the stored original to its generated variants.
+-- Images uploaded before the pipeline existed have no row and are served as-is.
+CREATE TABLE media (
+  id         BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  owner_id   INT          NULL,
+  kind       ENUM('build', 'avatar') NOT NULL,
+  url        VARCHAR(512) NOT NULL,
+  medium_url VARCHAR(512) NOT NULL,
+  thumb_url  VARCHAR(512) NOT NULL,
+  width      INT          NOT NULL,
+  height     INT          NOT NULL,
+  bytes      INT          NOT NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_media_url (url),
+  INDEX idx_media_owner (owner_id),
+  CONSTRAINT fk_media_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE SET NULL
+);
@@ -0,0 +1,12 @@
+-- Uploads are addressed by storage key (see lib/storage.js) instead of a local /uploads/ URL
+ALTER TABLE media
+  CHANGE url        storage_key VARCHAR(512) NOT NULL,
+  CHANGE medium_url medium_key  VARCHAR(512) NOT NULL,
+  CHANGE thumb_url  thumb_key   VARCHAR(512) NOT NULL,
+  RENAME INDEX uq_media_url TO uq_media_storage_key;
+
+UPDATE media
+   SET storage_key = SUBSTRING(storage_key, 10),
+       medium_key  = SUBSTRING(medium_key, 10),
+       thumb_key   = SUBSTRING(thumb_key, 10)
+ WHERE storage_key LIKE '/uploads/%';
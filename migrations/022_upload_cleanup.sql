@@ -0,0 +1,13 @@
+-- Files of removed images wait here until their grace period is over (see lib/uploadCleanup.js)
+CREATE TABLE pending_file_deletions (
+  storage_key VARCHAR(512) NOT NULL PRIMARY KEY,
+  due_at      DATETIME     NOT NULL,
+  created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_pending_file_deletions_due (due_at)
+);
+
+INSERT INTO permissions (name, description) VALUES
+  ('uploads:manage', 'Find and delete uploaded files that nothing references');
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'uploads:manage');
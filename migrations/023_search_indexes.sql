@@ -0,0 +1,7 @@
+-- Full-text indexes for GET /api/search (routes/search.js). Words shorter than
+-- innodb_ft_min_token_size (3 by default) and InnoDB stopwords are not indexed.
+ALTER TABLE users      ADD FULLTEXT INDEX ft_users_search (username, display_name, bio);
+ALTER TABLE builds     ADD FULLTEXT INDEX ft_builds_search (car_name, model, description);
+ALTER TABLE build_mods ADD FULLTEXT INDEX ft_build_mods_search (mod_name, mod_note);
+ALTER TABLE businesses ADD FULLTEXT INDEX ft_businesses_search (name);
+ALTER TABLE Events     ADD FULLTEXT INDEX ft_events_search (title, venue, description);
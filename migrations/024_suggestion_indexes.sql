@@ -0,0 +1,5 @@
+-- Prefix lookups for GET /api/search/suggest (lib/suggestions.js)
+ALTER TABLE builds         ADD INDEX idx_builds_car_name (car_name);
+ALTER TABLE build_mods     ADD INDEX idx_build_mods_mod_name (mod_name);
+ALTER TABLE businesses     ADD INDEX idx_businesses_name (name);
+ALTER TABLE vehicle_models ADD INDEX idx_vehicle_models_name (name);
@@ -0,0 +1,8 @@
+-- Who can see a build (see lib/buildVisibility.js). Unlisted builds are reached through a
+-- share link; only the hash of its token is kept, and clearing it revokes the link.
+ALTER TABLE builds
+  ADD COLUMN visibility ENUM('public', 'followers', 'private', 'unlisted') NOT NULL DEFAULT 'public',
+  ADD COLUMN share_token_hash       CHAR(64) NULL,
+  ADD COLUMN share_token_created_at DATETIME NULL,
+  ADD UNIQUE KEY uq_builds_share_token (share_token_hash),
+  ADD INDEX idx_builds_visibility (visibility, user_id);
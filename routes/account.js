@@ -0,0 +1,315 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const archiver = require('archiver');
+const createAuth = require('../middleware/auth');
+const createThrottle = require('../middleware/throttle');
+const { consumeUserToken } = require('../lib/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../lib/accountEmails');
+const { revokeSessions, clearAuthCookies } = require('../lib/sessions');
+const { verifySecondFactor } = require('../lib/twoFactor');
+const { collectUserData, collectUploadedFiles, deleteUserAccount } = require('../lib/accountData');
+const { getStorage, isExternalUrl, toStorageKey } = require('../lib/storage');
+const { scheduleFileDeletion } = require('../lib/uploadCleanup');
+const { emitChange } = require('../lib/changeEvents');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Usernames can hold any character, so the plain filename is cut down to safe ASCII and the
+// full name goes in filename* (RFC 5987)
+function exportDisposition(profile) {
+  const name = `geargrid-${profile.username}-export.zip`;
+  const asciiName = `geargrid-${String(profile.username).replace(/[^A-Za-z0-9._-]/g, '') || profile.id}-export.zip`;
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+}
+
+// Resolves once the archive has written the entry called `name`; rejects if the archive fails
+// or the client goes away first
+function entryWritten(archive, res, name) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      res.off('close', onClose);
+    };
+    const onEntry = entry => {
+      if (entry.name !== name) return;
+      cleanup();
+      resolve();
+    };
+    const onError = err => {
+      cleanup();
+      reject(err);
+    };
+    const onClose = () => onError(new Error('Client closed the connection'));
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    res.on('close', onClose);
+  });
+}
+
+// Returns a configured router for account self-service: password reset, email
+// verification, personal data export and account deletion
+function createAccountRoutes(pool) {
+  const router = express.Router();
+  const { authenticate } = createAuth(pool);
+  // Reset requests send mail, so they are limited per client and per target address
+  const resetIpThrottle = createThrottle({ limit: 10, windowMs: 15 * 60 * 1000 });
+  const resetEmailThrottle = createThrottle({
+    limit:   3,
+    windowMs: 60 * 60 * 1000,
+    keyOf:   req => String(req.body.email || '').trim().toLowerCase()
+  });
+
+  /**
+   * @route   POST /api/account/password-reset/request
+   * @desc    Email a password reset link. Always answers the same way so it cannot be
+   *          used to find out which emails have accounts: the email is sent after the
+   *          response, and a failure to send is only logged.
+   * @access  Public
+   */
+  router.post('/password-reset/request', resetIpThrottle, resetEmailThrottle, async (req, res) => {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required.' });
+    }
+
+    try {
+      const [[user]] = await pool.execute(
+        'SELECT id, username, email FROM users WHERE email = ?',
+        [email]
+      );
+      if (user) {
+        sendPasswordResetEmail(pool, user).catch(err => {
+          console.error('Error sending password reset email:', err);
+        });
+      }
+      res.json({ success: true, message: 'If that email has an account, a reset link is on its way.' });
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      res.status(500).json({ success: false, message: 'Failed to request password reset.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/account/password-reset/confirm
+   * @desc    Set a new password with a reset token. Signs out every existing session.
+   * @access  Public
+   */
+  router.post('/password-reset/confirm', async (req, res) => {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Token and new password are required.' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    try {
+      const resetToken = await consumeUserToken(pool, token, 'password_reset');
+      if (!resetToken) {
+        return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired.' });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      await pool.execute(
+        'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [hashedPassword, resetToken.user_id]
+      );
+      await revokeSessions(pool, resetToken.user_id, { reason: 'password_reset' });
+
+      res.json({ success: true, message: 'Password updated. Please log in with your new password.' });
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      res.status(500).json({ success: false, message: 'Failed to reset password.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/account/verify-email
+   * @desc    Verify an email address with the emailed token. For a pending email change,
+   *          this is also the moment the new address replaces the old one.
+   * @access  Public
+   */
+  router.post('/verify-email', async (req, res) => {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Verification token is required.' });
+    }
+
+    try {
+      const verification = await consumeUserToken(pool, token, 'email_verification');
+      if (!verification) {
+        return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired.' });
+      }
+
+      await pool.execute(
+        'UPDATE users SET email = ?, email_verified_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [verification.email, verification.user_id]
+      );
+      res.json({ success: true, message: 'Email verified.', email: verification.email });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'That email is already used by another account.' });
+      }
+      console.error('Error verifying email:', error);
+      res.status(500).json({ success: false, message: 'Failed to verify email.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/account/verify-email/resend
+   * @desc    Send a new verification link to the logged-in user's current email
+   * @access  Protected
+   */
+  router.post('/verify-email/resend', authenticate, async (req, res) => {
+    try {
+      const [[user]] = await pool.execute(
+        'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
+        [req.user.id]
+      );
+      if (user.email_verified_at) {
+        return res.status(409).json({ success: false, message: 'Your email is already verified.' });
+      }
+      await sendVerificationEmail(pool, user, user.email);
+      res.json({ success: true, message: 'Verification email sent.' });
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      res.status(500).json({ success: false, message: 'Failed to send verification email.' });
+    }
+  });
+
+  /**
+   * @route   PUT /api/account/email
+   * @desc    Start an email change. The address only changes once the link sent to it is opened.
+   * @access  Protected (requires current password)
+   */
+  router.put('/email', authenticate, async (req, res) => {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ success: false, message: 'New email and current password are required.' });
+    }
+
+    try {
+      const [[user]] = await pool.execute(
+        'SELECT id, username, email, password_hash FROM users WHERE id = ?',
+        [req.user.id]
+      );
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        return res.status(401).json({ success: false, message: 'Current password is incorrect.' });
+      }
+      if (email === user.email) {
+        return res.status(400).json({ success: false, message: 'That is already your email address.' });
+      }
+      const [[taken]] = await pool.execute('SELECT id FROM users WHERE email = ?', [email]);
+      if (taken) {
+        return res.status(409).json({ success: false, message: 'That email is already used by another account.' });
+      }
+
+      await sendVerificationEmail(pool, user, email);
+      res.status(202).json({ success: true, message: `Check ${email} to confirm the change.` });
+    } catch (error) {
+      console.error('Error changing email:', error);
+      res.status(500).json({ success: false, message: 'Failed to change email.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/account/export
+   * @desc    Download a zip of everything tied to the logged-in user: JSON files for the profile,
+   *          builds (with gallery and mods), follows, reviews and event registrations, plus the
+   *          images they uploaded
+   * @access  Protected
+   */
+  router.get('/export', authenticate, async (req, res) => {
+    let data;
+    try {
+      data = await collectUserData(pool, req.user.id);
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', exportDisposition(data.profile));
+    } catch (error) {
+      console.error('Error collecting account export:', error);
+      return res.status(500).json({ success: false, message: 'Failed to export account data.' });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', err => console.warn('Account export warning:', err));
+    archive.on('error', err => {
+      console.error('Error writing account export:', err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    for (const [name, contents] of Object.entries(data)) {
+      archive.append(JSON.stringify(contents, null, 2), { name: `${name}.json` });
+    }
+    // Files are streamed one at a time: the next is only opened once the archive has written
+    // the previous one. Files missing from storage are left out rather than failing the export.
+    for (const value of collectUploadedFiles(data)) {
+      const key = toStorageKey(value);
+      if (isExternalUrl(key)) continue;
+      let stream;
+      try {
+        stream = await getStorage().createReadStream(key);
+      } catch (err) {
+        console.warn(`Account export skipped ${key}:`, err.message);
+        continue;
+      }
+      const name = `uploads/${key}`;
+      const written = entryWritten(archive, res, name);
+      archive.append(stream, { name });
+      try {
+        await written;
+      } catch (err) {
+        stream.destroy();
+        archive.abort();
+        return;
+      }
+    }
+
+    archive.finalize();
+  });
+
+  /**
+   * @route   DELETE /api/account
+   * @desc    Permanently delete the logged-in user's account, their builds, follows, event
+   *          registrations and (after the upload grace period) uploaded files. Reviews are
+   *          anonymized or deleted depending on ACCOUNT_DELETION_REVIEW_POLICY. Body: { password, code? } (code when 2FA is on)
+   * @access  Protected
+   */
+  router.delete('/', authenticate, async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    if (!password) {
+      return res.status(400).json({ success: false, message: 'Password is required to delete your account.' });
+    }
+
+    try {
+      const [[user]] = await pool.execute(
+        'SELECT id, password_hash, totp_enabled_at FROM users WHERE id = ?',
+        [req.user.id]
+      );
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        return res.status(401).json({ success: false, message: 'Password is incorrect.' });
+      }
+      if (user.totp_enabled_at && !(await verifySecondFactor(pool, user.id, { code, recoveryCode }))) {
+        return res.status(401).json({ success: false, message: 'A valid two-factor code is required.' });
+      }
+
+      // Files go through the usual grace period and reference check rather than being
+      // deleted outright, in case another row still points at one of them
+      const files = await deleteUserAccount(pool, user.id);
+      emitChange('users');
+      emitChange('builds');
+      await scheduleFileDeletion(pool, files);
+
+      clearAuthCookies(res);
+      res.json({ success: true, message: 'Your account has been deleted.' });
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete account.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAccountRoutes;
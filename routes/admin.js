@@ -0,0 +1,293 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const { DEFAULT_ROLE } = require('../middleware/auth');
+const { sweepOrphanedFiles, UnsafeSweepError } = require('../lib/uploadCleanup');
+
+// How many orphaned files a sweep lists in its response; the counts cover all of them
+const SWEEP_REPORT_LIMIT = 200;
+
+// Returns a configured router for admin-only endpoints.
+// loginLimiter is the instance used by /api/login, so unlocking here takes effect there.
+function createAdminRoutes(pool, { loginLimiter }) {
+  const router = express.Router();
+  const { authenticate, requirePermission, loadAccess } = createAuth(pool);
+
+  /**
+   * @route   GET /api/admin/roles
+   * @desc    List every role with the permissions it grants
+   * @access  Protected (roles:manage)
+   */
+  router.get('/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT r.name, r.description, rp.permission
+           FROM roles r
+           LEFT JOIN role_permissions rp ON rp.role = r.name
+          ORDER BY r.name, rp.permission`
+      );
+
+      const roles = [];
+      for (const row of rows) {
+        let role = roles.find(r => r.name === row.name);
+        if (!role) {
+          role = { name: row.name, description: row.description, permissions: [] };
+          roles.push(role);
+        }
+        if (row.permission) role.permissions.push(row.permission);
+      }
+
+      res.json({ success: true, roles });
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch roles.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/admin/users/:userId/roles
+   * @desc    List a user's roles and effective permissions
+   * @access  Protected (roles:manage)
+   */
+  router.get('/users/:userId/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    const { userId } = req.params;
+    try {
+      const [[user]] = await pool.execute('SELECT id, username FROM users WHERE id = ?', [userId]);
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found.' });
+      }
+      const { roles, permissions } = await loadAccess(user.id);
+      res.json({ success: true, user, roles, permissions });
+    } catch (error) {
+      console.error('Error fetching user roles:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch user roles.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/admin/users/:userId/roles
+   * @desc    Grant a role to a user. Body: { role }
+   * @access  Protected (roles:manage)
+   */
+  router.post('/users/:userId/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({ success: false, message: 'role is required.' });
+    }
+    if (role === DEFAULT_ROLE) {
+      return res.status(400).json({ success: false, message: `Every user is already a ${DEFAULT_ROLE}.` });
+    }
+
+    try {
+      const [[user]] = await pool.execute('SELECT id FROM users WHERE id = ?', [userId]);
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found.' });
+      }
+      const [[knownRole]] = await pool.execute('SELECT name FROM roles WHERE name = ?', [role]);
+      if (!knownRole) {
+        return res.status(400).json({ success: false, message: `Unknown role "${role}".` });
+      }
+
+      await pool.execute(
+        'INSERT INTO user_roles (user_id, role, granted_by) VALUES (?, ?, ?)',
+        [userId, role, req.user.id]
+      );
+      res.status(201).json({ success: true, message: `Granted ${role}.` });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'User already has this role.' });
+      }
+      console.error('Error granting role:', error);
+      res.status(500).json({ success: false, message: 'Failed to grant role.' });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/admin/users/:userId/roles/:role
+   * @desc    Revoke a role from a user
+   * @access  Protected (roles:manage)
+   */
+  router.delete('/users/:userId/roles/:role', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    const { userId, role } = req.params;
+
+    if (role === DEFAULT_ROLE) {
+      return res.status(400).json({ success: false, message: `The ${DEFAULT_ROLE} role cannot be revoked.` });
+    }
+    // Keeps the last admin from locking everyone out of role management
+    if (role === 'admin' && parseInt(userId) === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot revoke your own admin role.' });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM user_roles WHERE user_id = ? AND role = ?',
+        [userId, role]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'User does not have this role.' });
+      }
+      res.json({ success: true, message: `Revoked ${role}.` });
+    } catch (error) {
+      console.error('Error revoking role:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke role.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/admin/login-attempts
+   * @desc    Recent failed and locked login attempts, newest first. Filter with ?email= or ?ip=
+   * @access  Protected (security:manage)
+   */
+  router.get('/login-attempts', authenticate, requirePermission('security:manage'), async (req, res) => {
+    const { email, ip } = req.query;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, 500));
+
+    const where = [];
+    const params = [];
+    if (email) {
+      where.push('email = ?');
+      params.push(email);
+    }
+    if (ip) {
+      where.push('ip_address = ?');
+      params.push(ip);
+    }
+
+    try {
+      const [attempts] = await pool.query(
+        `SELECT id, email, user_id, ip_address, user_agent, outcome, created_at
+           FROM login_attempts
+          ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY id DESC
+          LIMIT ?`,
+        [...params, limit]
+      );
+      res.json({ success: true, attempts });
+    } catch (error) {
+      console.error('Error fetching login attempts:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch login attempts.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/admin/login-locks/unlock
+   * @desc    Clear the login lockout for an account and/or IP. Body: { email, ip }
+   * @access  Protected (security:manage)
+   */
+  router.post('/login-locks/unlock', authenticate, requirePermission('security:manage'), async (req, res) => {
+    const { email, ip } = req.body;
+    if (!email && !ip) {
+      return res.status(400).json({ success: false, message: 'email or ip is required.' });
+    }
+
+    try {
+      const cleared = await loginLimiter.unlock({ email, ip });
+      res.json({
+        success: true,
+        message: cleared ? 'Login lock cleared.' : 'There was no lock to clear.',
+        cleared
+      });
+    } catch (error) {
+      console.error('Error unlocking login:', error);
+      res.status(500).json({ success: false, message: 'Failed to clear login lock.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/admin/two-factor-policy
+   * @desc    Roles whose members must use two-factor authentication
+   * @access  Protected (security:manage)
+   */
+  router.get('/two-factor-policy', authenticate, requirePermission('security:manage'), async (req, res) => {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT r.name AS role, p.created_at AS required_since
+           FROM roles r
+           LEFT JOIN two_factor_role_policies p ON p.role = r.name
+          ORDER BY r.name`
+      );
+      const roles = rows.map(row => ({
+        role: row.role,
+        required: !!row.required_since,
+        requiredSince: row.required_since
+      }));
+      res.json({ success: true, roles });
+    } catch (error) {
+      console.error('Error fetching 2FA policy:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch two-factor policy.' });
+    }
+  });
+
+  /**
+   * @route   PUT /api/admin/two-factor-policy/:role
+   * @desc    Require (or stop requiring) 2FA for a role. Body: { required: true|false }.
+   *          Members without 2FA are asked to enroll at their next login.
+   * @access  Protected (security:manage)
+   */
+  router.put('/two-factor-policy/:role', authenticate, requirePermission('security:manage'), async (req, res) => {
+    const { role } = req.params;
+    const { required } = req.body;
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'required must be true or false.' });
+    }
+
+    try {
+      const [[knownRole]] = await pool.execute('SELECT name FROM roles WHERE name = ?', [role]);
+      if (!knownRole) {
+        return res.status(404).json({ success: false, message: `Unknown role "${role}".` });
+      }
+
+      if (required) {
+        await pool.execute(
+          'INSERT IGNORE INTO two_factor_role_policies (role, created_by) VALUES (?, ?)',
+          [role, req.user.id]
+        );
+      } else {
+        await pool.execute('DELETE FROM two_factor_role_policies WHERE role = ?', [role]);
+      }
+      res.json({ success: true, role, required });
+    } catch (error) {
+      console.error('Error updating 2FA policy:', error);
+      res.status(500).json({ success: false, message: 'Failed to update two-factor policy.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/admin/uploads/sweep
+   * @desc    Find uploaded files that no row references. Only reports them unless the body
+   *          is { dryRun: false }, which deletes them.
+   * @access  Protected (uploads:manage)
+   */
+  router.post('/uploads/sweep', authenticate, requirePermission('uploads:manage'), async (req, res) => {
+    const dryRun = req.body.dryRun !== false;
+
+    try {
+      const result = await sweepOrphanedFiles(pool, { dryRun });
+      console.log(
+        `[UPLOAD GC] Sweep by user ${req.user.id}: ${result.orphaned.length} orphaned files` +
+        (dryRun ? ' (dry run)' : ' deleted')
+      );
+      res.json({
+        success: true,
+        dryRun,
+        scanned: result.scanned,
+        recent: result.recent,
+        foreign: result.foreign,
+        orphanedCount: result.orphaned.length,
+        orphanedBytes: result.orphaned.reduce((sum, file) => sum + (file.bytes || 0), 0),
+        orphaned: result.orphaned.slice(0, SWEEP_REPORT_LIMIT)
+      });
+    } catch (error) {
+      if (error instanceof UnsafeSweepError) {
+        return res.status(409).json({ success: false, code: error.code, message: error.message });
+      }
+      console.error('Error sweeping uploads:', error);
+      res.status(500).json({ success: false, message: 'Failed to sweep uploaded files.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRoutes;
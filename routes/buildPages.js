@@ -0,0 +1,133 @@
+const express = require('express');
+const { loadImageVariants } = require('../lib/media');
+const { canViewBuild } = require('../lib/buildVisibility');
+const { clientUrl, serverUrl } = require('../lib/mailer');
+const { SITE_NAME, CARD_IMAGE_SIZE, describeBuild, renderBuildPage, renderBuildCard } = require('../lib/buildPages');
+
+// Link previews may lag a visibility change or edit by this long
+const CACHE_MAX_AGE_SECONDS = 5 * 60;
+const CARD_WIDTH = 480;
+
+// Returns a configured router for the share page of public builds (/builds/:id) and the
+// oEmbed endpoint (/api/oembed). Neither uses the session cookie, so responses can be cached.
+function createBuildPageRoutes(pool) {
+  const router = express.Router();
+
+  // Built from SERVER_URL rather than the Host header, since responses are publicly cached
+  function absoluteUrl(url) {
+    if (!url || /^https?:\/\//i.test(url)) return url;
+    return serverUrl(url);
+  }
+
+  // The build with its owner, or undefined unless it exists and everyone may see it
+  async function loadPublicBuild(buildId) {
+    const [[build]] = await pool.execute(
+      `SELECT b.id, b.user_id, b.car_name, b.model, b.description, b.cover_image,
+              b.visibility, u.username AS owner_username
+         FROM builds b
+         JOIN users u ON u.id = b.user_id
+        WHERE b.id = ?`,
+      [buildId]
+    );
+    if (!build || !(await canViewBuild(pool, build, null))) return undefined;
+    return build;
+  }
+
+  async function coverImageUrl(build, size) {
+    if (!build.cover_image) return null;
+    const variantsOf = await loadImageVariants(pool, [build.cover_image]);
+    return absoluteUrl(variantsOf(build.cover_image)[size]);
+  }
+
+  /**
+   * @route   GET /builds/:id
+   * @desc    HTML page with Open Graph and Twitter card tags for a public build, for link
+   *          previews. Browsers are forwarded to the build in the web client. Builds that
+   *          are missing or not public redirect straight to the client, which decides
+   *          what the visitor may see.
+   * @access  Public
+   */
+  router.get('/builds/:id(\\d+)', async (req, res) => {
+    const appUrl = clientUrl(`/builds/${req.params.id}`);
+
+    try {
+      const build = await loadPublicBuild(req.params.id);
+      if (!build) {
+        res.set('Cache-Control', 'no-store');
+        return res.redirect(appUrl);
+      }
+
+      const pageUrl = absoluteUrl(`/builds/${build.id}`);
+      const html = renderBuildPage(build, {
+        pageUrl,
+        appUrl,
+        imageUrl:  await coverImageUrl(build, 'medium'),
+        oembedUrl: absoluteUrl(`/api/oembed?format=json&url=${encodeURIComponent(pageUrl)}`)
+      });
+
+      res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+      res.type('html').send(html);
+    } catch (error) {
+      console.error('Error rendering build page:', error);
+      res.status(500).json({ success: false, message: 'Failed to load build.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/oembed?url=&format=json
+   * @desc    oEmbed (https://oembed.com) for public builds: a compact "rich" card. url is a
+   *          build link, either this server's /builds/:id page or the web client's. Honours
+   *          ?maxwidth=; only the JSON format is supported.
+   * @access  Public
+   */
+  router.get('/api/oembed', async (req, res) => {
+    if (req.query.format && req.query.format !== 'json') {
+      return res.status(501).json({ success: false, message: 'Only the json format is supported.' });
+    }
+
+    let target;
+    try {
+      target = new URL(String(req.query.url || ''));
+    } catch (err) {
+      return res.status(400).json({ success: false, message: 'url must be a build link.' });
+    }
+    const ourHosts = [new URL(serverUrl('/')).host, new URL(clientUrl('/')).host];
+    const match = target.pathname.match(/^\/builds\/(\d+)\/?$/);
+    if (!ourHosts.includes(target.host) || !match) {
+      return res.status(404).json({ success: false, message: 'Build not found.' });
+    }
+
+    const maxWidth = parseInt(req.query.maxwidth);
+    const width = maxWidth > 0 ? Math.min(maxWidth, CARD_WIDTH) : CARD_WIDTH;
+
+    try {
+      const build = await loadPublicBuild(match[1]);
+      if (!build) {
+        return res.status(404).json({ success: false, message: 'Build not found.' });
+      }
+
+      const appUrl = clientUrl(`/builds/${build.id}`);
+      const imageUrl = await coverImageUrl(build, 'thumb');
+      res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+      res.json({
+        version:       '1.0',
+        type:          'rich',
+        title:         describeBuild(build).title,
+        author_name:   build.owner_username,
+        provider_name: SITE_NAME,
+        provider_url:  clientUrl('/'),
+        cache_age:     CACHE_MAX_AGE_SECONDS,
+        html:          renderBuildCard(build, { appUrl, imageUrl, width }),
+        width,
+        height:        CARD_IMAGE_SIZE
+      });
+    } catch (error) {
+      console.error('Error building oEmbed response:', error);
+      res.status(500).json({ success: false, message: 'Failed to load build.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBuildPageRoutes;
@@ -0,0 +1,305 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const { getBuildEngagement } = require('../lib/buildEngagement');
+const { notify } = require('../lib/notifications');
+const { publicUrl } = require('../lib/storage');
+const { canViewBuild } = require('../lib/buildVisibility');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Replies nest up to this many levels below a top-level comment
+const MAX_COMMENT_DEPTH = 5;
+
+// COMMENT_EDIT_WINDOW_MINUTES: how long after posting an author may still edit a comment
+function getEditWindowMs() {
+  return Number(process.env.COMMENT_EDIT_WINDOW_MINUTES || 15) * 60 * 1000;
+}
+
+function isWithinEditWindow(comment) {
+  return Date.now() - new Date(comment.created_at).getTime() <= getEditWindowMs();
+}
+
+function readCommentBody(body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) return { error: 'Comment text is required.' };
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters.` };
+  }
+  return { text };
+}
+
+const COMMENT_SELECT = `
+  SELECT c.id, c.build_id, c.mod_id, c.parent_id, c.depth, c.user_id, c.body,
+         c.created_at, c.edited_at, c.deleted_at,
+         u.username, u.display_name, u.avatar_url
+    FROM build_comments c
+    LEFT JOIN users u ON u.id = c.user_id`;
+
+function rowToComment(row, viewerId, buildOwnerId) {
+  const deleted = !!row.deleted_at;
+  const isAuthor = row.user_id != null && row.user_id === viewerId;
+  return {
+    id:        row.id,
+    buildId:   row.build_id,
+    modId:     row.mod_id,
+    parentId:  row.parent_id,
+    author: deleted || row.user_id == null ? null : {
+      id:          row.user_id,
+      username:    row.username,
+      displayName: row.display_name,
+      avatarUrl:   publicUrl(row.avatar_url)
+    },
+    body:      deleted ? null : row.body,
+    deleted,
+    createdAt: row.created_at,
+    editedAt:  row.edited_at,
+    canEdit:   !deleted && isAuthor && isWithinEditWindow(row),
+    canDelete: !deleted && (isAuthor || viewerId === buildOwnerId),
+    replies:   []
+  };
+}
+
+// Routes for comments and likes on one build. Mounted under /api/builds/:buildId.
+function createBuildSocialRoutes(pool) {
+  const router = express.Router({ mergeParams: true });
+  const { authenticate } = createAuth(pool);
+
+  // The build from the URL, or undefined when it does not exist or the user may not see it.
+  // Unlisted builds need their share token as ?share=.
+  async function loadBuild(req) {
+    const [[build]] = await pool.execute(
+      'SELECT id, user_id, car_name, visibility, share_token_hash FROM builds WHERE id = ?',
+      [req.params.buildId]
+    );
+    if (!build || !(await canViewBuild(pool, build, req.user.id, req.query.share))) return undefined;
+    return build;
+  }
+
+  async function loadComment(buildId, commentId) {
+    const [[row]] = await pool.execute(`${COMMENT_SELECT} WHERE c.id = ? AND c.build_id = ?`, [commentId, buildId]);
+    return row;
+  }
+
+  /**
+   * @route   GET /api/builds/:buildId/comments
+   * @desc    Comment threads on a build, oldest first with replies nested. Pass ?modId= for
+   *          the thread on one of the build's mods; without it only build-level comments.
+   * @access  Protected
+   */
+  router.get('/comments', authenticate, async (req, res) => {
+    const { buildId } = req.params;
+    const modId = req.query.modId ? Number(req.query.modId) : null;
+
+    try {
+      const build = await loadBuild(req);
+      if (!build) {
+        return res.status(404).json({ success: false, message: 'Build not found.' });
+      }
+
+      const [rows] = await pool.execute(
+        `${COMMENT_SELECT}
+          WHERE c.build_id = ? AND ${modId ? 'c.mod_id = ?' : 'c.mod_id IS NULL'}
+          ORDER BY c.id`,
+        modId ? [buildId, modId] : [buildId]
+      );
+
+      const byId = new Map();
+      const comments = [];
+      for (const row of rows) {
+        const comment = rowToComment(row, req.user.id, build.user_id);
+        byId.set(comment.id, comment);
+        const parent = comment.parentId && byId.get(comment.parentId);
+        if (parent) parent.replies.push(comment);
+        else comments.push(comment);
+      }
+
+      res.json({ success: true, comments });
+    } catch (error) {
+      console.error('Error fetching build comments:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch comments.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/builds/:buildId/comments
+   * @desc    Comment on a build. Body: { body, modId?, parentId? }; replies inherit the
+   *          parent's mod.
+   * @access  Protected
+   */
+  router.post('/comments', authenticate, async (req, res) => {
+    const { buildId } = req.params;
+    const { text, error } = readCommentBody(req.body.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const build = await loadBuild(req);
+      if (!build) {
+        return res.status(404).json({ success: false, message: 'Build not found.' });
+      }
+
+      let modId = req.body.modId ? Number(req.body.modId) : null;
+      let parent = null;
+      let depth = 0;
+      if (req.body.parentId) {
+        parent = await loadComment(build.id, req.body.parentId);
+        if (!parent) {
+          return res.status(404).json({ success: false, message: 'The comment you are replying to was not found.' });
+        }
+        if (parent.deleted_at) {
+          return res.status(409).json({ success: false, message: 'You cannot reply to a deleted comment.' });
+        }
+        if (parent.depth >= MAX_COMMENT_DEPTH) {
+          return res.status(400).json({ success: false, message: 'This thread is too deep to reply to.' });
+        }
+        modId = parent.mod_id;
+        depth = parent.depth + 1;
+      } else if (modId) {
+        const [[mod]] = await pool.execute(
+          'SELECT id FROM build_mods WHERE id = ? AND build_id = ? AND removed_at IS NULL',
+          [modId, build.id]
+        );
+        if (!mod) {
+          return res.status(404).json({ success: false, message: 'Mod not found on this build.' });
+        }
+      }
+
+      const [result] = await pool.execute(
+        `INSERT INTO build_comments (build_id, mod_id, parent_id, depth, user_id, body)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [build.id, modId, parent ? parent.id : null, depth, req.user.id, text]
+      );
+
+      const data = { buildId: build.id, carName: build.car_name, commentId: result.insertId, modId };
+      if (parent && parent.user_id) {
+        await notify(pool, [parent.user_id], 'comment_reply', { actorId: req.user.id, data });
+      }
+      if (!parent || parent.user_id !== build.user_id) {
+        await notify(pool, [build.user_id], 'build_comment', { actorId: req.user.id, data });
+      }
+
+      const comment = rowToComment(await loadComment(build.id, result.insertId), req.user.id, build.user_id);
+      res.status(201).json({ success: true, message: 'Comment posted.', comment });
+    } catch (error) {
+      console.error('Error posting build comment:', error);
+      res.status(500).json({ success: false, message: 'Failed to post comment.' });
+    }
+  });
+
+  /**
+   * @route   PUT /api/builds/:buildId/comments/:commentId
+   * @desc    Edit a comment. Body: { body }
+   * @access  Protected (author, within COMMENT_EDIT_WINDOW_MINUTES of posting)
+   */
+  router.put('/comments/:commentId', authenticate, async (req, res) => {
+    const { buildId, commentId } = req.params;
+    const { text, error } = readCommentBody(req.body.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const build = await loadBuild(req);
+      const comment = build && await loadComment(build.id, commentId);
+      if (!comment || comment.deleted_at) {
+        return res.status(404).json({ success: false, message: 'Comment not found.' });
+      }
+      if (comment.user_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only edit your own comments.' });
+      }
+      if (!isWithinEditWindow(comment)) {
+        return res.status(403).json({ success: false, message: 'This comment can no longer be edited.' });
+      }
+
+      await pool.execute(
+        'UPDATE build_comments SET body = ?, edited_at = NOW() WHERE id = ?',
+        [text, comment.id]
+      );
+      const updated = rowToComment(await loadComment(build.id, comment.id), req.user.id, build.user_id);
+      res.json({ success: true, message: 'Comment updated.', comment: updated });
+    } catch (error) {
+      console.error('Error editing build comment:', error);
+      res.status(500).json({ success: false, message: 'Failed to edit comment.' });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/builds/:buildId/comments/:commentId
+   * @desc    Delete a comment. Its replies stay, shown under a deleted placeholder.
+   * @access  Protected (author or build owner)
+   */
+  router.delete('/comments/:commentId', authenticate, async (req, res) => {
+    const { buildId, commentId } = req.params;
+
+    try {
+      const build = await loadBuild(req);
+      const comment = build && await loadComment(build.id, commentId);
+      if (!comment || comment.deleted_at) {
+        return res.status(404).json({ success: false, message: 'Comment not found.' });
+      }
+      if (comment.user_id !== req.user.id && build.user_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You are not authorized to delete this comment.' });
+      }
+
+      await pool.execute(
+        'UPDATE build_comments SET body = NULL, deleted_at = NOW() WHERE id = ?',
+        [comment.id]
+      );
+      res.json({ success: true, message: 'Comment deleted.' });
+    } catch (error) {
+      console.error('Error deleting build comment:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete comment.' });
+    }
+  });
+
+  /**
+   * @route   PUT /api/builds/:buildId/like
+   * @desc    Like a build. Liking twice is a no-op.
+   * @access  Protected
+   */
+  router.put('/like', authenticate, async (req, res) => {
+    try {
+      const build = await loadBuild(req);
+      if (!build) {
+        return res.status(404).json({ success: false, message: 'Build not found.' });
+      }
+      await pool.execute(
+        'INSERT IGNORE INTO build_likes (build_id, user_id) VALUES (?, ?)',
+        [build.id, req.user.id]
+      );
+      const { likeCount, likedByMe } = await getBuildEngagement(pool, build.id, req.user.id);
+      res.json({ success: true, likeCount, likedByMe });
+    } catch (error) {
+      console.error('Error liking build:', error);
+      res.status(500).json({ success: false, message: 'Failed to like build.' });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/builds/:buildId/like
+   * @desc    Remove the logged-in user's like
+   * @access  Protected
+   */
+  router.delete('/like', authenticate, async (req, res) => {
+    try {
+      const build = await loadBuild(req);
+      if (!build) {
+        return res.status(404).json({ success: false, message: 'Build not found.' });
+      }
+      await pool.execute(
+        'DELETE FROM build_likes WHERE build_id = ? AND user_id = ?',
+        [build.id, req.user.id]
+      );
+      const { likeCount, likedByMe } = await getBuildEngagement(pool, build.id, req.user.id);
+      res.json({ success: true, likeCount, likedByMe });
+    } catch (error) {
+      console.error('Error unliking build:', error);
+      res.status(500).json({ success: false, message: 'Failed to unlike build.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBuildSocialRoutes;
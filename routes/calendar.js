@@ -0,0 +1,125 @@
+const express = require('express');
+const crypto = require('crypto');
+const createAuth = require('../middleware/auth');
+const { buildCalendar } = require('../lib/ical');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sendCalendar(res, calendar) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(calendar);
+}
+
+// Returns a configured router for iCalendar feeds
+function createCalendarRoutes(pool) {
+  const router = express.Router();
+  const { authenticate } = createAuth(pool);
+
+  /**
+   * @route   GET /api/calendar/events.ics
+   * @desc    Calendar feed of every event, including cancelled ones so subscribers see the cancellation
+   * @access  Public (calendar clients cannot send the auth cookie)
+   */
+  router.get('/events.ics', async (req, res) => {
+    try {
+      const [events] = await pool.execute(
+        'SELECT * FROM Events WHERE starts_at IS NOT NULL ORDER BY starts_at'
+      );
+      sendCalendar(res, buildCalendar({ name: 'GearGrid Events', events }));
+    } catch (error) {
+      console.error('Error building events calendar:', error);
+      res.status(500).json({ success: false, message: 'Failed to build calendar' });
+    }
+  });
+
+  /**
+   * @route   GET /api/calendar/feed/:token.ics
+   * @desc    Personal feed of the events a user registered for
+   * @access  Public, authorized by the secret token in the URL
+   */
+  router.get('/feed/:token.ics', async (req, res) => {
+    try {
+      const [[user]] = await pool.execute(
+        'SELECT id FROM users WHERE calendar_token_hash = ?',
+        [hashToken(req.params.token)]
+      );
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+      }
+
+      // Registrations cancelled along with their event stay in the feed so the
+      // cancellation reaches the subscriber; ones the user withdrew drop out.
+      const [rows] = await pool.execute(
+        `SELECT e.*,
+                MIN(er.status = 'waitlisted') AS only_waitlisted
+           FROM event_registrations er
+           JOIN Events e ON e.id = er.event_id
+          WHERE er.user_id = ?
+            AND e.starts_at IS NOT NULL
+            AND (er.status <> 'cancelled' OR er.cancel_reason = 'event_cancelled')
+          GROUP BY e.id
+          ORDER BY e.starts_at`,
+        [user.id]
+      );
+      const events = rows.map(({ only_waitlisted, ...event }) => ({
+        ...event,
+        calendarStatus: only_waitlisted ? 'TENTATIVE' : 'CONFIRMED'
+      }));
+
+      sendCalendar(res, buildCalendar({ name: 'My GearGrid Events', events }));
+    } catch (error) {
+      console.error('Error building personal calendar:', error);
+      res.status(500).json({ success: false, message: 'Failed to build calendar' });
+    }
+  });
+
+  /**
+   * @route   POST /api/calendar/token
+   * @desc    Create (or replace) the logged-in user's personal feed URL. Any previous URL stops working.
+   * @access  Protected
+   */
+  router.post('/token', authenticate, async (req, res) => {
+    try {
+      const token = crypto.randomBytes(24).toString('hex');
+      await pool.execute(
+        'UPDATE users SET calendar_token_hash = ? WHERE id = ?',
+        [hashToken(token), req.user.id]
+      );
+
+      const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+      res.status(201).json({
+        success: true,
+        feedUrl,
+        webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+      });
+    } catch (error) {
+      console.error('Error creating calendar token:', error);
+      res.status(500).json({ success: false, message: 'Failed to create calendar feed' });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/calendar/token
+   * @desc    Revoke the logged-in user's personal feed URL
+   * @access  Protected
+   */
+  router.delete('/token', authenticate, async (req, res) => {
+    try {
+      await pool.execute(
+        'UPDATE users SET calendar_token_hash = NULL WHERE id = ?',
+        [req.user.id]
+      );
+      res.json({ success: true, message: 'Calendar feed revoked.' });
+    } catch (error) {
+      console.error('Error revoking calendar token:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke calendar feed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCalendarRoutes;
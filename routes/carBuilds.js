@@ -1,24 +1,42 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const ensureAuthenticated = require('../middleware/ensureAuthenticated');
-const uploadsDir = path.join(__dirname, '..', 'uploads'); 
-
-// Configure multer to store files in the uploads directory
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadsDir),
-  filename:    (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    cb(null, `${Date.now()}-${file.fieldname}${ext}`);
-  }
-});
-
-const upload = multer({ storage });
+const createAuth = require('../middleware/auth');
+const createImageUpload = require('../middleware/imageUpload');
+const { discardUploads } = createImageUpload;
+const { recordActivity, recordBuildEditActivity } = require('../lib/activity');
+const { getBuildEngagement } = require('../lib/buildEngagement');
+const {
+  redactPrivateFields,
+  mapSnapshotImages,
+  mapDiffImages,
+  listBuildImages,
+  withoutMissingImages,
+  snapshotBuild,
+  recordRevision,
+  ensureBaselineRevision,
+  applyBuildState
+} = require('../lib/buildRevisions');
+const { readModPartFields } = require('../lib/parts');
+const { VEHICLE_FIELDS, readVehicleFields } = require('../lib/vehicles');
+const { loadImageVariants } = require('../lib/media');
+const { toStorageKey, publicUrl } = require('../lib/storage');
+const { scheduleFileDeletion } = require('../lib/uploadCleanup');
+const { emitChange } = require('../lib/changeEvents');
+const { clientUrl } = require('../lib/mailer');
+const {
+  readVisibility,
+  visibleBuildsSql,
+  canViewBuild,
+  issueShareToken,
+  revokeShareToken
+} = require('../lib/buildVisibility');
 
 // Returns a configured router for car builds
 function createCarBuildRoutes(pool) {
   const router = express.Router();
-  router.get('/', ensureAuthenticated, async (req, res) => {
+  const { authenticate, optionalAuthenticate } = createAuth(pool);
+  // Uploads are validated, stripped of metadata and resized before the handlers run
+  const imageUpload = createImageUpload(pool);
+  router.get('/', optionalAuthenticate, async (req, res) => {
     try {
       const loggedInUserId = req.user ? req.user.id : null;
       const targetUserId = req.query.userId || loggedInUserId;
@@ -27,26 +45,40 @@ function createCarBuildRoutes(pool) {
         return res.status(400).json({ success: false, message: "User ID not found for fetching builds." });
       }
 
+      // Other people only see the builds the owner lets them see
+      const visible = visibleBuildsSql('b', loggedInUserId);
+
       const [currentRows] = await pool.execute(
-        `SELECT id, car_name, cover_image, ownership_status, model, body_style, description
-           FROM builds 
+        `SELECT id, car_name, cover_image, ownership_status, model, body_style, description, visibility
+           FROM builds b
           WHERE user_id = ? 
-            AND ownership_status = 'current'`,
-        [targetUserId]
+            AND ownership_status = 'current'
+            AND ${visible.sql}`,
+        [targetUserId, ...visible.params]
       );
 
       const [previousRows] = await pool.execute(
-        `SELECT id, car_name, cover_image, ownership_status, model, body_style, description
-           FROM builds 
+        `SELECT id, car_name, cover_image, ownership_status, model, body_style, description, visibility
+           FROM builds b
           WHERE user_id = ? 
-            AND ownership_status = 'previous'`,
-        [targetUserId]
+            AND ownership_status = 'previous'
+            AND ${visible.sql}`,
+        [targetUserId, ...visible.params]
+      );
+
+      const variantsOf = await loadImageVariants(
+        pool, [...currentRows, ...previousRows].map(b => b.cover_image)
       );
+      const withVariants = b => ({
+        ...b,
+        cover_image:          publicUrl(b.cover_image),
+        cover_image_variants: variantsOf(b.cover_image)
+      });
 
       return res.json({
         success: true,
-        currentBuilds: currentRows,
-        previousBuilds: previousRows
+        currentBuilds: currentRows.map(withVariants),
+        previousBuilds: previousRows.map(withVariants)
       });
 
     } catch (err) {
@@ -57,31 +89,36 @@ function createCarBuildRoutes(pool) {
 
  /**
  * @route   GET /api/builds/:id
- * @desc    Fetch a single build (with covers, gallery & mods)
- * @access  Protected (requires valid JWT via ensureAuthenticated)
+ * @desc    Fetch a single build (with covers, gallery & mods). Unlisted builds need the
+ *          token from their share link as ?share=.
+ * @access  Public for builds the viewer may see (see lib/buildVisibility.js)
  */
-router.get('/:id', ensureAuthenticated, async (req, res) => {
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   const buildId = req.params.id;
   const loggedInUserId = req.user ? req.user.id : null;
 
-  if (!loggedInUserId) {
-    return res.status(401).json({ success: false, message: "Authentication required." });
-  }
-
   try {
     // Fetch build row
     const [[row]] = await pool.execute(
       `SELECT
         b.id, b.user_id, b.ownership_status AS ownership, b.car_name, b.model,
         b.description, b.body_style AS bodyStyle, b.cover_image, b.cover_image2,
+        b.vehicle_year, b.vin, b.visibility, b.share_token_hash, b.share_token_created_at,
+        vmk.id AS make_id, vmk.name AS make_name,
+        vmd.id AS model_id, vmd.name AS model_name,
+        vt.id AS trim_id, vt.name AS trim_name,
         u.username as owner_username
       FROM builds b
       JOIN users u ON b.user_id = u.id
+      LEFT JOIN vehicle_makes vmk  ON vmk.id = b.vehicle_make_id
+      LEFT JOIN vehicle_models vmd ON vmd.id = b.vehicle_model_id
+      LEFT JOIN vehicle_trims vt   ON vt.id = b.vehicle_trim_id
       WHERE b.id = ?`,
       [buildId]
     );
 
-    if (!row) {
+    // Builds the viewer may not see look the same as missing ones
+    if (!row || !(await canViewBuild(pool, row, loggedInUserId, req.query.share))) {
       return res
         .status(404)
         .json({ success: false, message: 'Build not found or access denied' });
@@ -93,24 +130,56 @@ router.get('/:id', ensureAuthenticated, async (req, res) => {
     const [galleryRows] = await pool.execute(
       `SELECT image_url
          FROM build_gallery
-        WHERE build_id = ?`,
+        WHERE build_id = ? AND removed_at IS NULL
+        ORDER BY id`,
       [buildId]
     );
     const galleryImages = galleryRows.map(r => r.image_url);
 
-    // Fetch mods with original column names
+    // Fetch mods with original column names, plus the catalog part they use
     const [modRows] = await pool.execute(
       `SELECT
-         id,
-         category,
-         sub_category,
-         mod_name,
-         image_url,
-         mod_note
-       FROM build_mods
-       WHERE build_id = ?`,
+         bm.id,
+         bm.category,
+         bm.sub_category,
+         bm.mod_name,
+         bm.image_url,
+         bm.mod_note,
+         bm.part_id,
+         bm.price_paid,
+         DATE_FORMAT(bm.install_date, '%Y-%m-%d') AS install_date,
+         bm.part_matched_by,
+         p.name        AS part_name,
+         p.part_number AS part_number,
+         br.id         AS brand_id,
+         br.name       AS brand_name,
+         (SELECT COUNT(*) FROM build_comments c
+           WHERE c.mod_id = bm.id AND c.deleted_at IS NULL) AS comment_count
+       FROM build_mods bm
+       LEFT JOIN parts p   ON p.id = bm.part_id
+       LEFT JOIN brands br ON br.id = p.brand_id
+       WHERE bm.build_id = ? AND bm.removed_at IS NULL
+       ORDER BY bm.id`,
       [buildId]
     );
+    const mods = modRows.map(({ part_name, part_number, brand_id, brand_name, ...m }) => ({
+      ...m,
+      part: m.part_id == null ? null : {
+        id:         m.part_id,
+        name:       part_name,
+        partNumber: part_number,
+        brand:      { id: brand_id, name: brand_name }
+      },
+      comment_count: Number(m.comment_count)
+    }));
+    const engagement = await getBuildEngagement(pool, row.id, loggedInUserId);
+    const variantsOf = await loadImageVariants(pool, [
+      row.cover_image, row.cover_image2, ...galleryImages, ...mods.map(m => m.image_url)
+    ]);
+    for (const mod of mods) {
+      mod.image_variants = variantsOf(mod.image_url);
+      mod.image_url = publicUrl(mod.image_url);
+    }
 
     // Assemble response
     const build = {
@@ -121,16 +190,30 @@ router.get('/:id', ensureAuthenticated, async (req, res) => {
       model:        row.model,
       description:  row.description,
       bodyStyle:    row.bodyStyle,
-      cover_image:  row.cover_image,
-      cover_image2: row.cover_image2,
-      coverImages:  [row.cover_image, row.cover_image2].filter(Boolean),
-      galleryImages
+      cover_image:  publicUrl(row.cover_image),
+      cover_image2: publicUrl(row.cover_image2),
+      coverImages:  [row.cover_image, row.cover_image2].filter(Boolean).map(publicUrl),
+      galleryImages: galleryImages.map(publicUrl),
+      coverImageVariants:   [row.cover_image, row.cover_image2].filter(Boolean).map(variantsOf),
+      galleryImageVariants: galleryImages.map(variantsOf),
+      // The VIN is only shown to the owner
+      vehicle: {
+        year:  row.vehicle_year,
+        make:  row.make_id ? { id: row.make_id, name: row.make_name } : null,
+        model: row.model_id ? { id: row.model_id, name: row.model_name } : null,
+        trim:  row.trim_id ? { id: row.trim_id, name: row.trim_name } : null,
+        vin:   isOwner ? row.vin : undefined
+      },
+      visibility: row.visibility,
+      // Owners can see whether a share link is active, never the token itself
+      shareLink: isOwner && row.share_token_hash ? { createdAt: row.share_token_created_at } : null,
+      ...engagement
     };
 
     return res.json({
       success: true,
       build,
-      mods: modRows,
+      mods,
       isOwner
     });
   } catch (err) {
@@ -144,25 +227,19 @@ router.get('/:id', ensureAuthenticated, async (req, res) => {
 /*
  * @route   POST /api/builds
  * @desc    Create a new car build with optional file uploads and mods
- * @access  Protected (requires valid JWT via ensureAuthenticated)
+ * @access  Protected (requires valid JWT via authenticate)
  * @form    multipart/form-data
  */
 router.post(
   '/',
-  ensureAuthenticated,
-  upload.fields([
+  authenticate,
+  imageUpload([
     { name: 'coverImages',   maxCount: 2  },
     { name: 'galleryImages', maxCount: 10 },
     { name: 'modImages',      maxCount: 50 }
   ]),
   async (req, res) => {
     try {
-      // --- Log exactly what Multer parsed ---
-      console.log('💾 [BUILD] all req.files keys:', Object.keys(req.files || {}));
-      console.log('💾 [BUILD] req.files.coverImages:', req.files.coverImages);
-      console.log('💾 [BUILD] req.files.galleryImages:', req.files.galleryImages);
-      console.log('💾 [BUILD] req.files.modImages:', req.files.modImages);
-
       const userId = req.user.id;
       const {
         ownership   = 'current',
@@ -175,9 +252,8 @@ router.post(
 
       // --- Extract cover URLs ---
       // const coverFiles = req.files.coverImages || [];
-      const coverImage   = req.files.coverImages && req.files.coverImages[0] ? `/uploads/${req.files.coverImages[0].filename}` : null;
-      const coverImage2  = req.files.coverImages && req.files.coverImages[1] ? `/uploads/${req.files.coverImages[1].filename}` : null;
-      console.log('💾 [BUILD] coverImage, coverImage2 =', coverImage, coverImage2);
+      const coverImage   = req.files.coverImages && req.files.coverImages[0] ? req.files.coverImages[0].key : null;
+      const coverImage2  = req.files.coverImages && req.files.coverImages[1] ? req.files.coverImages[1].key : null;
 
       // --- Parse mods JSON ---
       let parsedModsArray = [];
@@ -185,57 +261,102 @@ router.post(
         parsedModsArray = JSON.parse(mods);
       } catch (e) {
         console.error('❌ Bad mods JSON:', e);
+        await discardUploads(pool, req);
         return res.status(400).json({ success:false, message:'Bad mods JSON' });
       }
-
-      // --- Insert build row with covers ---
-      const [buildResult] = await pool.execute(
-        `INSERT INTO builds
-           (user_id, ownership_status, car_name, model,
-            description, body_style, cover_image, cover_image2)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [ userId, ownership, car_name, model,
-          description, bodyStyle, coverImage, coverImage2 ]
-      );
-      const buildId = buildResult.insertId;
-      console.log('💾 [BUILD] buildId =', buildId);
-
-      // --- Extract and insert gallery images ---
-      const galleryFiles = req.files.galleryImages || [];
-      const galleryUrls  = galleryFiles.map(f => `/uploads/${f.filename}`);
-      console.log('💾 [BUILD] galleryUrls =', galleryUrls);
-
-      for (const url of galleryUrls) {
-        await pool.execute(
-          `INSERT INTO build_gallery (build_id, image_url)
-             VALUES (?, ?)`,
-          [ buildId, url ]
-        );
+      const modParts = await readModPartFields(pool, parsedModsArray);
+      if (modParts.error) {
+        await discardUploads(pool, req);
+        return res.status(400).json({ success:false, message: modParts.error });
+      }
+      const vehicle = await readVehicleFields(pool, req.body);
+      if (vehicle.error) {
+        await discardUploads(pool, req);
+        return res.status(400).json({ success:false, message: vehicle.error });
+      }
+      const { visibility = 'public', error: visibilityError } = readVisibility(req.body.visibility) || {};
+      if (visibilityError) {
+        await discardUploads(pool, req);
+        return res.status(400).json({ success:false, message: visibilityError });
       }
 
-      // --- Extract and insert mod images ---
-      const modFiles = req.files.modImages || [];
-      for (const [i, mod] of parsedModsArray.entries()) {
-        const fileObj  = modFiles[i];
-        const imageUrl = fileObj ? `/uploads/${fileObj.filename}` : null;
-        await pool.execute(
-          `INSERT INTO build_mods
-             (build_id, category, sub_category, mod_name, image_url, mod_note)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            buildId,
-            mod.main,
-            mod.sub      || null,
-            mod.name,
-            imageUrl,
-            mod.details  || null
-          ]
+      const conn = await pool.getConnection();
+      let buildId;
+      try {
+        await conn.beginTransaction();
+
+        // --- Insert build row with covers ---
+        const [buildResult] = await conn.execute(
+          `INSERT INTO builds
+             (user_id, ownership_status, car_name, model,
+              description, body_style, cover_image, cover_image2, visibility,
+              ${Object.values(VEHICLE_FIELDS).join(', ')})
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [ userId, ownership, car_name, model,
+            description, bodyStyle, coverImage, coverImage2, visibility,
+            ...Object.keys(VEHICLE_FIELDS).map(key => vehicle.values[key]) ]
         );
+        buildId = buildResult.insertId;
+
+        // --- Extract and insert gallery images ---
+        const galleryFiles = req.files.galleryImages || [];
+        const galleryUrls  = galleryFiles.map(f => f.key);
+
+        for (const url of galleryUrls) {
+          await conn.execute(
+            `INSERT INTO build_gallery (build_id, image_url)
+               VALUES (?, ?)`,
+            [ buildId, url ]
+          );
+        }
+
+        // --- Extract and insert mod images ---
+        const modFiles = req.files.modImages || [];
+        for (const [i, mod] of parsedModsArray.entries()) {
+          const fileObj  = modFiles[i];
+          const imageUrl = fileObj ? fileObj.key : null;
+          const { part_id, price_paid, install_date } = modParts.values[i];
+          await conn.execute(
+            `INSERT INTO build_mods
+               (build_id, category, sub_category, mod_name, image_url, mod_note,
+                part_id, price_paid, install_date, part_matched_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              buildId,
+              mod.main,
+              mod.sub      || null,
+              mod.name,
+              imageUrl,
+              mod.details  || null,
+              part_id,
+              price_paid,
+              install_date,
+              part_id ? 'owner' : null
+            ]
+          );
+        }
+
+        await recordRevision(conn, buildId, userId);
+        await recordActivity(conn, {
+          actorId: userId,
+          type: 'build_created',
+          buildId,
+          data: { modCount: parsedModsArray.length, photoCount: galleryUrls.length }
+        });
+
+        await conn.commit();
+        conn.release();
+      } catch (err) {
+        await conn.rollback();
+        conn.release();
+        throw err;
       }
+      emitChange('builds');
 
       return res.status(201).json({ success:true, buildId });
     } catch (err) {
       console.error('[BUILD ERROR]:', err);
+      await discardUploads(pool, req);
       return res.status(500).json({ success:false, message:'Server error' });
     }
   }
@@ -248,8 +369,8 @@ router.post(
  */
 router.put(
   '/:id',
-  ensureAuthenticated,
-  upload.fields([
+  authenticate,
+  imageUpload([
     { name: 'coverImages',   maxCount: 2   },
     { name: 'galleryImages', maxCount: 10  },
     { name: 'modImages',     maxCount: 20  }
@@ -272,8 +393,15 @@ router.put(
       keepGalleryArr = JSON.parse(req.body.keepGallery || '[]');
       modsArr        = JSON.parse(req.body.mods        || '[]');
     } catch (err) {
+      await discardUploads(pool, req);
       return res.status(400).json({ success: false, message: 'Invalid JSON payload' });
     }
+    // Optional; left as it is when not sent
+    const visibilityField = readVisibility(req.body.visibility);
+    if (visibilityField && visibilityField.error) {
+      await discardUploads(pool, req);
+      return res.status(400).json({ success: false, message: visibilityField.error });
+    }
 
     // Uploaded files
     const newCoverFiles   = req.files.coverImages   || [];
@@ -286,104 +414,110 @@ router.put(
 
       // Ownership check
       const [ownerRows] = await conn.query(
-        'SELECT user_id FROM builds WHERE id = ? FOR UPDATE',
+        `SELECT user_id, ownership_status, ${Object.values(VEHICLE_FIELDS).join(', ')}
+           FROM builds WHERE id = ? FOR UPDATE`,
         [buildId]
       );
       if (!ownerRows.length || ownerRows[0].user_id !== userId) {
         throw new Error('NOT_OWNER');
       }
 
-      // Update main builds row (without cover_image columns yet)
-      await conn.query(
-        `UPDATE builds
-           SET ownership_status = ?,
-               car_name         = ?,
-               model            = ?,
-               body_style       = ?,
-               description      = ?
-         WHERE id = ?`,
-        [ownershipStatus, car_name, model, bodyStyle, description, buildId]
-      );
+      const modParts = await readModPartFields(conn, modsArr);
+      if (modParts.error) {
+        await conn.rollback();
+        conn.release();
+        await discardUploads(pool, req);
+        return res.status(400).json({ success: false, message: modParts.error });
+      }
+
+      // Vehicle fields the client did not send keep their current values
+      const currentVehicle = {};
+      for (const [key, column] of Object.entries(VEHICLE_FIELDS)) currentVehicle[key] = ownerRows[0][column];
+      const vehicle = await readVehicleFields(conn, req.body, currentVehicle);
+      if (vehicle.error) {
+        await conn.rollback();
+        conn.release();
+        await discardUploads(pool, req);
+        return res.status(400).json({ success: false, message: vehicle.error });
+      }
 
-      // Updating cover_image & cover_image2 columns directly
-      // Combining "kept" URLs with any new uploads, preserving order
-      const allCovers = [
+      // Kept images come back as the URLs the client was given, so they are turned back into
+      // storage keys. They must be images this build has (or had) itself; anything else has
+      // to be uploaded with this request.
+      const ownImages = new Set((await listBuildImages(conn, buildId)).map(value => toStorageKey(value)));
+      const keptImages = [
         ...keepCoversArr,
-        ...newCoverFiles.map(f => `/uploads/${f.filename}`)
+        ...keepGalleryArr,
+        ...modsArr.filter(m => !m.hasImage && m.image_url).map(m => m.image_url)
       ];
-      const cover1 = allCovers[0] || null;
-      const cover2 = allCovers[1] || null;
-      await conn.query(
-        `UPDATE builds
-           SET cover_image  = ?,
-               cover_image2 = ?
-         WHERE id = ?`,
-        [cover1, cover2, buildId]
-      );
+      if (keptImages.some(url => typeof url !== 'string' || !ownImages.has(toStorageKey(url)))) {
+        await conn.rollback();
+        conn.release();
+        await discardUploads(pool, req);
+        return res.status(400).json({ success: false, message: 'Kept images must belong to this build.' });
+      }
 
-// Reconcile build_gallery
-await conn.query(
-  `DELETE FROM build_gallery
-     WHERE build_id = ?
-       AND image_url NOT IN (?)`,
-  [
-    buildId,
-    keepGalleryArr.length
-      ? keepGalleryArr
-      : ['__NONE__']
-  ]
-);
+      await ensureBaselineRevision(conn, buildId, userId);
 
-// Insert any newly uploaded gallery images
-const newGalleryFiles = req.files.galleryImages || [];
-if (newGalleryFiles.length) {
-  const galleryRows = newGalleryFiles.map(f => [
-    buildId,
-    `/uploads/${f.filename}`
-  ]);
-  await conn.query(
-    `INSERT INTO build_gallery (build_id, image_url) VALUES ?`,
-    [galleryRows]
-  );
-}
+      // Combining "kept" images with any new uploads, preserving order
+      const covers = [
+        ...keepCoversArr.map(url => toStorageKey(url)),
+        ...newCoverFiles.map(f => f.key)
+      ].slice(0, 2);
+      const newGalleryUrls = newGalleryFiles.map(f => f.key);
 
-      // Reconcile build_mods (same as before)
-      await conn.query(
-        'DELETE FROM build_mods WHERE build_id = ?',
-        [buildId]
-      );
       let imgIdx = 0;
-      for (const m of modsArr) {
-        const main      = m.main    ?? '';
-        const sub       = m.sub     ?? '';
-        const name      = m.name    ?? '';
-        const details   = m.details ?? '';
-        const hasImage = m.hasImage;
-        const fallback = m.image_url ?? null;
-        const deleteImage = m.deleteImage ?? false;
-
+      const mods = modsArr.map((m, i) => {
         let image_url = null;
-        if (hasImage && newModFiles[imgIdx]) {
-          image_url = `/uploads/${newModFiles[imgIdx].filename}`;
+        if (m.hasImage && newModFiles[imgIdx]) {
+          image_url = newModFiles[imgIdx].key;
           imgIdx++;
-        } else if (!hasImage && fallback) {
-          image_url = fallback;
+        } else if (!m.hasImage && m.image_url) {
+          image_url = toStorageKey(m.image_url);
         }
+        return {
+          id:           m.id,
+          category:     m.main    ?? '',
+          sub_category: m.sub     ?? '',
+          mod_name:     m.name    ?? '',
+          mod_note:     m.details ?? '',
+          image_url,
+          ...modParts.values[i]
+        };
+      });
 
-        await conn.query(
-          `INSERT INTO build_mods
-             (build_id, category, sub_category, mod_name, mod_note, image_url)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [buildId, main, sub, name, details, image_url]
-        );
+      const { addedMods } = await applyBuildState(conn, buildId, {
+        fields: { ownership: ownershipStatus, carName: car_name, model, bodyStyle, description, ...vehicle.values },
+        covers,
+        gallery: [...keepGalleryArr.map(url => toStorageKey(url)), ...newGalleryUrls],
+        mods
+      });
+      const revision = await recordRevision(conn, buildId, userId);
+
+      // Visibility is not part of the revision history, so restoring never changes it.
+      // Leaving unlisted revokes the share link, so an old link cannot start working again.
+      if (visibilityField) {
+        await conn.execute('UPDATE builds SET visibility = ? WHERE id = ?', [visibilityField.visibility, buildId]);
+        if (visibilityField.visibility !== 'unlisted') await revokeShareToken(conn, buildId);
       }
 
+      await recordBuildEditActivity(conn, {
+        actorId: userId,
+        buildId,
+        previousOwnership: ownerRows[0].ownership_status,
+        ownership: ownershipStatus,
+        addedMods,
+        addedPhotos: newGalleryUrls
+      });
+
       await conn.commit();
       conn.release();
-      return res.json({ success: true });
+      emitChange('builds');
+      return res.json({ success: true, revision });
     } catch (err) {
       await conn.rollback();
       conn.release();
+      await discardUploads(pool, req);
       if (err.message === 'NOT_OWNER') {
         return res.status(403).json({ success: false, message: 'Unauthorized' });
       }
@@ -398,7 +532,7 @@ if (newGalleryFiles.length) {
  * @desc    Delete a build and its related gallery & mods
  * @access  Protected (owner only)
  */
-router.delete('/:id', ensureAuthenticated, async (req, res) => {
+router.delete('/:id', authenticate, async (req, res) => {
   const buildId = req.params.id;
   const userId  = req.user.id;
   const conn    = await pool.getConnection();
@@ -415,6 +549,9 @@ router.delete('/:id', ensureAuthenticated, async (req, res) => {
       throw new Error('NOT_OWNER');
     }
 
+    // Its images are deleted once the grace period is over
+    await scheduleFileDeletion(conn, await listBuildImages(conn, buildId));
+
     // Delete related mods
     await conn.query(
       `DELETE FROM build_mods WHERE build_id = ?`,
@@ -427,6 +564,12 @@ router.delete('/:id', ensureAuthenticated, async (req, res) => {
       [buildId]
     );
 
+    // Drop it from followers' feeds
+    await conn.query(
+      `DELETE FROM activities WHERE build_id = ?`,
+      [buildId]
+    );
+
     // Delete the build row last
     await conn.query(
       `DELETE FROM builds WHERE id = ?`,
@@ -435,6 +578,7 @@ router.delete('/:id', ensureAuthenticated, async (req, res) => {
 
     await conn.commit();
     conn.release();
+    emitChange('builds');
     return res.json({ success: true });
   } catch (err) {
     await conn.rollback();
@@ -447,6 +591,249 @@ router.delete('/:id', ensureAuthenticated, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/builds/:id/share-link
+ * @desc    Create a share link for an unlisted build. Anyone with the link can view the
+ *          build without logging in. Creating a new link revokes the previous one; the
+ *          token is only returned here.
+ * @access  Protected (owner only)
+ */
+router.post('/:id/share-link', authenticate, async (req, res) => {
+  try {
+    const [[build]] = await pool.execute('SELECT id, user_id, visibility FROM builds WHERE id = ?', [req.params.id]);
+    if (!build || build.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, message: 'Build not found' });
+    }
+    if (build.visibility !== 'unlisted') {
+      return res.status(409).json({
+        success: false,
+        code: 'NOT_UNLISTED',
+        message: 'Only unlisted builds have share links. Set the build to unlisted first.'
+      });
+    }
+
+    const token = await issueShareToken(pool, build.id);
+    return res.status(201).json({
+      success: true,
+      token,
+      url: clientUrl(`/builds/${build.id}?share=${token}`)
+    });
+  } catch (err) {
+    console.error('Error in POST /api/builds/:id/share-link:', err);
+    return res.status(500).json({ success: false, message: 'Server error while creating share link' });
+  }
+});
+
+/**
+ * @route   DELETE /api/builds/:id/share-link
+ * @desc    Revoke the build's share link
+ * @access  Protected (owner only)
+ */
+router.delete('/:id/share-link', authenticate, async (req, res) => {
+  try {
+    const [[build]] = await pool.execute('SELECT id, user_id FROM builds WHERE id = ?', [req.params.id]);
+    if (!build || build.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, message: 'Build not found' });
+    }
+    await revokeShareToken(pool, build.id);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Error in DELETE /api/builds/:id/share-link:', err);
+    return res.status(500).json({ success: false, message: 'Server error while revoking share link' });
+  }
+});
+
+/**
+ * @route   GET /api/builds/:id/costs
+ * @desc    What the owner has spent on the build, in total and per category. Mods linked
+ *          to a catalog part count under the part's top-level category; others under their
+ *          own category text.
+ * @access  Protected (requires valid JWT via authenticate)
+ */
+router.get('/:id/costs', authenticate, async (req, res) => {
+  const buildId = req.params.id;
+
+  try {
+    const [[build]] = await pool.execute(
+      'SELECT id, user_id, visibility, share_token_hash FROM builds WHERE id = ?',
+      [buildId]
+    );
+    if (!build || !(await canViewBuild(pool, build, req.user.id, req.query.share))) {
+      return res.status(404).json({ success: false, message: 'Build not found' });
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT COALESCE(top.name, pc.name, NULLIF(bm.category, ''), 'Uncategorized') AS category,
+              COUNT(*)                         AS mod_count,
+              COUNT(bm.price_paid)             AS priced_count,
+              COALESCE(SUM(bm.price_paid), 0)  AS total
+         FROM build_mods bm
+         LEFT JOIN parts p             ON p.id = bm.part_id
+         LEFT JOIN part_categories pc  ON pc.id = p.category_id
+         LEFT JOIN part_categories top ON top.id = pc.parent_id
+        WHERE bm.build_id = ? AND bm.removed_at IS NULL
+        GROUP BY category
+        ORDER BY total DESC, category`,
+      [buildId]
+    );
+
+    // Sum in cents so totals do not pick up floating point noise
+    const byCategory = rows.map(r => ({
+      category:    r.category,
+      total:       Number(r.total),
+      modCount:    Number(r.mod_count),
+      pricedCount: Number(r.priced_count)
+    }));
+    const totalCents = byCategory.reduce((sum, c) => sum + Math.round(c.total * 100), 0);
+    const modCount = byCategory.reduce((sum, c) => sum + c.modCount, 0);
+    const pricedCount = byCategory.reduce((sum, c) => sum + c.pricedCount, 0);
+
+    return res.json({
+      success: true,
+      costs: {
+        total:        totalCents / 100,
+        pricedMods:   pricedCount,
+        unpricedMods: modCount - pricedCount,
+        byCategory
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /api/builds/:id/costs:', err);
+    return res.status(500).json({ success: false, message: 'Server error while fetching costs' });
+  }
+});
+
+/**
+ * @route   GET /api/builds/:id/revisions
+ * @desc    A build's timeline: every saved revision, newest first, with what changed
+ * @access  Protected (requires valid JWT via authenticate)
+ */
+router.get('/:id/revisions', authenticate, async (req, res) => {
+  const buildId = req.params.id;
+
+  try {
+    const [[build]] = await pool.execute(
+      'SELECT id, user_id, visibility, share_token_hash FROM builds WHERE id = ?',
+      [buildId]
+    );
+    if (!build || !(await canViewBuild(pool, build, req.user.id, req.query.share))) {
+      return res.status(404).json({ success: false, message: 'Build not found' });
+    }
+    const isOwner = build.user_id === req.user.id;
+
+    const [rows] = await pool.execute(
+      `SELECT r.revision_number, r.diff, r.restored_from, r.created_at,
+              r.user_id, u.username
+         FROM build_revisions r
+         LEFT JOIN users u ON u.id = r.user_id
+        WHERE r.build_id = ?
+        ORDER BY r.revision_number DESC`,
+      [buildId]
+    );
+
+    const revisions = rows.map(r => ({
+      revision:     r.revision_number,
+      createdAt:    r.created_at,
+      author:       r.user_id == null ? null : { id: r.user_id, username: r.username },
+      restoredFrom: r.restored_from,
+      changes:      mapDiffImages(isOwner ? r.diff : redactPrivateFields(r.diff), publicUrl)
+    }));
+    return res.json({ success: true, revisions });
+  } catch (err) {
+    console.error('Error in GET /api/builds/:id/revisions:', err);
+    return res.status(500).json({ success: false, message: 'Server error while fetching revisions' });
+  }
+});
+
+/**
+ * @route   GET /api/builds/:id/revisions/:revision
+ * @desc    The full build as it was at one revision
+ * @access  Protected (requires valid JWT via authenticate)
+ */
+router.get('/:id/revisions/:revision', authenticate, async (req, res) => {
+  try {
+    const [[row]] = await pool.execute(
+      `SELECT r.revision_number, r.snapshot, r.diff, r.restored_from, r.created_at,
+              b.user_id, b.visibility, b.share_token_hash
+         FROM build_revisions r
+         JOIN builds b ON b.id = r.build_id
+        WHERE r.build_id = ? AND r.revision_number = ?`,
+      [req.params.id, req.params.revision]
+    );
+    if (!row || !(await canViewBuild(pool, row, req.user.id, req.query.share))) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+    const isOwner = row.user_id === req.user.id;
+
+    return res.json({
+      success: true,
+      revision: {
+        revision:     row.revision_number,
+        createdAt:    row.created_at,
+        restoredFrom: row.restored_from,
+        build:        mapSnapshotImages(isOwner ? row.snapshot : redactPrivateFields(row.snapshot), publicUrl),
+        changes:      mapDiffImages(isOwner ? row.diff : redactPrivateFields(row.diff), publicUrl)
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /api/builds/:id/revisions/:revision:', err);
+    return res.status(500).json({ success: false, message: 'Server error while fetching revision' });
+  }
+});
+
+/**
+ * @route   POST /api/builds/:id/revisions/:revision/restore
+ * @desc    Put a build back the way it was at a past revision. The restore is saved as a
+ *          new revision, so it can itself be undone.
+ * @access  Protected (owner only)
+ */
+router.post('/:id/revisions/:revision/restore', authenticate, async (req, res) => {
+  const buildId = +req.params.id;
+  const userId  = req.user.id;
+  const conn    = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT user_id FROM builds WHERE id = ? FOR UPDATE',
+      [buildId]
+    );
+    if (!rows.length || rows[0].user_id !== userId) {
+      throw new Error('NOT_OWNER');
+    }
+
+    const [[target]] = await conn.query(
+      'SELECT revision_number, snapshot FROM build_revisions WHERE build_id = ? AND revision_number = ?',
+      [buildId, req.params.revision]
+    );
+    if (!target) {
+      await conn.rollback();
+      conn.release();
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    await ensureBaselineRevision(conn, buildId, userId);
+    const state = mapSnapshotImages(target.snapshot, value => toStorageKey(value));
+    await applyBuildState(conn, buildId, await withoutMissingImages(state));
+    const revision = await recordRevision(conn, buildId, userId, { restoredFrom: target.revision_number });
+    const build = await snapshotBuild(conn, buildId);
+
+    await conn.commit();
+    conn.release();
+    emitChange('builds');
+    return res.json({ success: true, revision, build: mapSnapshotImages(build, publicUrl) });
+  } catch (err) {
+    await conn.rollback();
+    conn.release();
+    if (err.message === 'NOT_OWNER') {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+    console.error('Error restoring build revision:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
   // Return the router to be used in server.js
   return router;
 }
@@ -0,0 +1,574 @@
+const express = require('express');
+const { Transform, pipeline } = require('stream');
+const createAuth = require('../middleware/auth');
+const { getConfirmedUsage, promoteWaitlisted } = require('../lib/eventCapacity');
+const {
+  publish,
+  notifyEventRegistrants,
+  notifyPromotedRegistrations
+} = require('../lib/notifications');
+const { verifyCheckInToken } = require('../lib/checkInTokens');
+const { formatRow } = require('../lib/csv');
+
+// Maps request body keys to Events columns for the fields an organizer can edit
+const EDITABLE_FIELDS = {
+  title:                'title',
+  venue:                'venue',
+  description:          'description',
+  startsAt:             'starts_at',
+  endsAt:               'ends_at',
+  registrationOpensAt:  'registration_opens_at',
+  registrationClosesAt: 'registration_closes_at',
+  maxRegistrants:       'max_registrants',
+  maxCars:              'max_cars'
+};
+
+const DATE_FIELDS = ['startsAt', 'endsAt', 'registrationOpensAt', 'registrationClosesAt'];
+const CAPACITY_FIELDS = ['maxRegistrants', 'maxCars'];
+
+// Pulls the editable fields out of a request body, converting date strings to Date objects
+// and capacity limits to integers (null meaning unlimited).
+// Returns { values } keyed by body name, or { error } if a value could not be parsed.
+function readEventFields(body) {
+  const values = {};
+  for (const key of Object.keys(EDITABLE_FIELDS)) {
+    if (body[key] === undefined) continue;
+
+    let value = body[key];
+    if (typeof value === 'string') value = value.trim();
+    if (value === '') value = null;
+
+    if (DATE_FIELDS.includes(key) && value !== null) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `${key} must be a valid date.` };
+      }
+      value = date;
+    }
+    if (CAPACITY_FIELDS.includes(key) && value !== null) {
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 0) {
+        return { error: `${key} must be a whole number of 0 or more.` };
+      }
+      value = limit;
+    }
+    values[key] = value;
+  }
+  return { values };
+}
+
+// Checks that a full set of event fields (after merging an update) is consistent
+function validateEvent(event) {
+  if (!event.title) return 'Title is required.';
+  if (!event.startsAt) return 'Start time is required.';
+  if (event.endsAt && event.endsAt < event.startsAt) {
+    return 'End time must be after the start time.';
+  }
+  if (event.registrationOpensAt && event.registrationClosesAt &&
+      event.registrationClosesAt <= event.registrationOpensAt) {
+    return 'Registration must close after it opens.';
+  }
+  const lastRegistrationMoment = event.endsAt || event.startsAt;
+  if (event.registrationClosesAt && event.registrationClosesAt > lastRegistrationMoment) {
+    return 'Registration cannot close after the event is over.';
+  }
+  return null;
+}
+
+// Converts an Events row into the body-keyed shape used by readEventFields/validateEvent
+function rowToFields(row) {
+  const fields = {};
+  for (const [key, column] of Object.entries(EDITABLE_FIELDS)) {
+    fields[key] = row[column];
+  }
+  return fields;
+}
+
+// Columns of the attendee export, in output order
+const EXPORT_COLUMNS = [
+  'registration_id', 'registration_status', 'name', 'email', 'phone',
+  'registered_at', 'checked_in_at',
+  'car_id', 'make', 'model', 'year', 'color', 'mileage', 'modifications', 'car_checked_in_at'
+];
+
+const EXPORT_STATUSES = ['confirmed', 'waitlisted', 'cancelled', 'all'];
+
+// Builds the WHERE clause for an attendee export from the query string.
+// Returns { where, params } or { error }.
+function buildExportFilters(eventId, query) {
+  const where = ['er.event_id = ?'];
+  const params = [eventId];
+
+  const status = query.status || 'confirmed';
+  if (!EXPORT_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${EXPORT_STATUSES.join(', ')}.` };
+  }
+  if (status !== 'all') {
+    where.push('er.status = ?');
+    params.push(status);
+  }
+
+  if (query.checkedIn === 'true') {
+    where.push('er.checked_in_at IS NOT NULL');
+  } else if (query.checkedIn === 'false') {
+    where.push('er.checked_in_at IS NULL');
+  } else if (query.checkedIn !== undefined) {
+    return { error: 'checkedIn must be true or false.' };
+  }
+
+  for (const [key, operator] of [['registeredFrom', '>='], ['registeredTo', '<=']]) {
+    if (query[key] === undefined) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      return { error: `${key} must be a valid date.` };
+    }
+    where.push(`er.registered_at ${operator} ?`);
+    params.push(date);
+  }
+
+  return { where, params };
+}
+
+// Returns a configured router for organizer event management
+function createEventRoutes(pool) {
+  const router = express.Router();
+  const { authenticate, requirePermission, hasPermission } = createAuth(pool);
+
+  // The event's own organizer, or staff allowed to manage any event
+  function canManageEvent(req, event) {
+    return event.organizer_id === req.user.id || hasPermission(req, 'events:manage_any');
+  }
+
+  /**
+   * @route   GET /api/events
+   * @desc    List all events
+   * @access  Protected
+   */
+  router.get('/', authenticate, async (req, res) => {
+    try {
+      const [events] = await pool.execute('SELECT * FROM Events');
+      res.json({ success: true, events });
+    } catch (error) {
+      console.error('Error fetching events:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch events' });
+    }
+  });
+
+  /**
+   * @route   GET /api/events/mine
+   * @desc    List the events organized by the logged-in user
+   * @access  Protected
+   */
+  router.get('/mine', authenticate, async (req, res) => {
+    try {
+      const [events] = await pool.execute(
+        `SELECT e.*,
+                (SELECT COUNT(*) FROM event_registrations er
+                  WHERE er.event_id = e.id AND er.status = 'confirmed') AS active_registrations
+           FROM Events e
+          WHERE e.organizer_id = ?
+          ORDER BY e.starts_at DESC`,
+        [req.user.id]
+      );
+      res.json({ success: true, events });
+    } catch (error) {
+      console.error('Error fetching organizer events:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch events' });
+    }
+  });
+
+  /**
+   * @route   GET /api/events/:id
+   * @desc    Fetch a single event
+   * @access  Protected
+   */
+  router.get('/:id', authenticate, async (req, res) => {
+    try {
+      const [[event]] = await pool.execute('SELECT * FROM Events WHERE id = ?', [req.params.id]);
+      if (!event) {
+        return res.status(404).json({ success: false, message: 'Event not found.' });
+      }
+      const usage = await getConfirmedUsage(pool, event.id);
+      const [[waitlist]] = await pool.execute(
+        `SELECT COUNT(*) AS waiting FROM event_registrations WHERE event_id = ? AND status = 'waitlisted'`,
+        [event.id]
+      );
+
+      res.json({
+        success: true,
+        event,
+        capacity: {
+          maxRegistrants:       event.max_registrants,
+          maxCars:              event.max_cars,
+          confirmedRegistrants: usage.registrants,
+          confirmedCars:        usage.cars,
+          waitlisted:           Number(waitlist.waiting)
+        },
+        isOrganizer: canManageEvent(req, event)
+      });
+    } catch (error) {
+      console.error('Error fetching event:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch event' });
+    }
+  });
+
+  /**
+   * @route   POST /api/events
+   * @desc    Create an event owned by the logged-in organizer
+   * @access  Protected (events:create)
+   */
+  router.post('/', authenticate, requirePermission('events:create'), async (req, res) => {
+    const { values, error } = readEventFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const validationError = validateEvent(values);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO Events
+           (organizer_id, title, venue, description, starts_at, ends_at,
+            registration_opens_at, registration_closes_at, max_registrants, max_cars)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          req.user.id,
+          values.title,
+          values.venue               ?? null,
+          values.description         ?? null,
+          values.startsAt,
+          values.endsAt              ?? null,
+          values.registrationOpensAt ?? null,
+          values.registrationClosesAt ?? null,
+          values.maxRegistrants      ?? null,
+          values.maxCars             ?? null
+        ]
+      );
+      const [[event]] = await pool.execute('SELECT * FROM Events WHERE id = ?', [result.insertId]);
+      res.status(201).json({ success: true, message: 'Event created.', event });
+    } catch (err) {
+      console.error('Error creating event:', err);
+      res.status(500).json({ success: false, message: 'Failed to create event.' });
+    }
+  });
+
+  /**
+   * @route   PUT /api/events/:id
+   * @desc    Update or reschedule an event. Only the fields present in the body change.
+   * @access  Protected (organizer or events:manage_any)
+   */
+  router.put('/:id', authenticate, async (req, res) => {
+    const eventId = req.params.id;
+    const { values, error } = readEventFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ success: false, message: 'No event fields provided to update.' });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [[event]] = await conn.execute('SELECT * FROM Events WHERE id = ? FOR UPDATE', [eventId]);
+      if (!event) {
+        await conn.rollback();
+        return res.status(404).json({ success: false, message: 'Event not found.' });
+      }
+      if (!canManageEvent(req, event)) {
+        await conn.rollback();
+        return res.status(403).json({ success: false, message: 'You are not authorized to edit this event.' });
+      }
+      if (event.status === 'cancelled') {
+        await conn.rollback();
+        return res.status(409).json({ success: false, message: 'Cancelled events cannot be edited.' });
+      }
+
+      const validationError = validateEvent({ ...rowToFields(event), ...values });
+      if (validationError) {
+        await conn.rollback();
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const setClauses = Object.keys(values).map(key => `${EDITABLE_FIELDS[key]} = ?`);
+      await conn.execute(
+        `UPDATE Events SET ${setClauses.join(', ')}, sequence = sequence + 1 WHERE id = ?`,
+        [...Object.values(values), eventId]
+      );
+
+      const [[updated]] = await conn.execute('SELECT * FROM Events WHERE id = ?', [eventId]);
+
+      const notifications = await notifyEventRegistrants(conn, updated, 'event_updated', {
+        actorId: req.user.id,
+        data: { changed: Object.keys(values) }
+      });
+
+      // Raising or removing a cap opens spots for the waitlist
+      if (CAPACITY_FIELDS.some(key => key in values)) {
+        const promoted = await promoteWaitlisted(conn, updated);
+        notifications.push(...await notifyPromotedRegistrations(conn, updated, promoted));
+      }
+
+      await conn.commit();
+      publish(notifications);
+      res.json({ success: true, message: 'Event updated.', event: updated });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Error updating event:', err);
+      res.status(500).json({ success: false, message: 'Failed to update event.' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  /**
+   * @route   POST /api/events/:id/cancel
+   * @desc    Cancel an event and mark all of its active registrations as cancelled
+   * @access  Protected (organizer or events:manage_any)
+   */
+  router.post('/:id/cancel', authenticate, async (req, res) => {
+    const eventId = req.params.id;
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [[event]] = await conn.execute(
+        'SELECT id, organizer_id, title, status FROM Events WHERE id = ? FOR UPDATE',
+        [eventId]
+      );
+      if (!event) {
+        await conn.rollback();
+        return res.status(404).json({ success: false, message: 'Event not found.' });
+      }
+      if (!canManageEvent(req, event)) {
+        await conn.rollback();
+        return res.status(403).json({ success: false, message: 'You are not authorized to cancel this event.' });
+      }
+      if (event.status === 'cancelled') {
+        await conn.rollback();
+        return res.status(409).json({ success: false, message: 'Event is already cancelled.' });
+      }
+
+      // Registrants are looked up before their registrations are cancelled below
+      const notifications = await notifyEventRegistrants(conn, event, 'event_cancelled', {
+        actorId: req.user.id
+      });
+
+      await conn.execute(
+        `UPDATE Events SET status = 'cancelled', cancelled_at = NOW(), sequence = sequence + 1 WHERE id = ?`,
+        [eventId]
+      );
+      const [result] = await conn.execute(
+        `UPDATE event_registrations
+            SET status = 'cancelled', cancel_reason = 'event_cancelled', cancelled_at = NOW()
+          WHERE event_id = ? AND status <> 'cancelled'`,
+        [eventId]
+      );
+
+      await conn.commit();
+      publish(notifications);
+      res.json({
+        success: true,
+        message: 'Event cancelled.',
+        cancelledRegistrations: result.affectedRows
+      });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Error cancelling event:', err);
+      res.status(500).json({ success: false, message: 'Failed to cancel event.' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  /**
+   * @route   POST /api/events/:id/check-in
+   * @desc    Redeem a registrant's check-in token at the gate. Records the check-in time on the
+   *          registration and on its cars (all of them, or only `carIds` if given).
+   * @access  Protected (organizer or events:manage_any)
+   */
+  router.post('/:id/check-in', authenticate, async (req, res) => {
+    const eventId = Number(req.params.id);
+    const { token, carIds } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Check-in token is required.' });
+    }
+    if (carIds !== undefined && !Array.isArray(carIds)) {
+      return res.status(400).json({ success: false, message: 'carIds must be an array.' });
+    }
+
+    const ticket = verifyCheckInToken(token);
+    if (!ticket) {
+      return res.status(400).json({ success: false, message: 'Invalid check-in code.' });
+    }
+    if (ticket.eventId !== eventId) {
+      return res.status(409).json({ success: false, message: 'This check-in code is for a different event.' });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [[event]] = await conn.execute(
+        'SELECT organizer_id, status FROM Events WHERE id = ?',
+        [eventId]
+      );
+      if (!event) {
+        await conn.rollback();
+        return res.status(404).json({ success: false, message: 'Event not found.' });
+      }
+      if (!canManageEvent(req, event)) {
+        await conn.rollback();
+        return res.status(403).json({ success: false, message: 'You are not authorized to check in attendees for this event.' });
+      }
+      if (event.status === 'cancelled') {
+        await conn.rollback();
+        return res.status(409).json({ success: false, message: 'This event has been cancelled.' });
+      }
+
+      const [[registration]] = await conn.execute(
+        `SELECT id, event_id, name, status, check_in_nonce, checked_in_at
+           FROM event_registrations
+          WHERE id = ?
+          FOR UPDATE`,
+        [ticket.registrationId]
+      );
+      if (!registration || registration.event_id !== eventId ||
+          registration.check_in_nonce !== ticket.nonce) {
+        await conn.rollback();
+        return res.status(400).json({ success: false, message: 'Invalid check-in code.' });
+      }
+      if (registration.checked_in_at) {
+        await conn.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'This registration has already been checked in.',
+          checkedInAt: registration.checked_in_at
+        });
+      }
+      if (registration.status !== 'confirmed') {
+        await conn.rollback();
+        return res.status(409).json({ success: false, message: 'This registration is not confirmed.' });
+      }
+
+      const [cars] = await conn.execute(
+        'SELECT id, make, model, year, color FROM registered_cars WHERE registration_id = ?',
+        [registration.id]
+      );
+      const arrivingIds = carIds ? carIds.map(Number) : cars.map(car => car.id);
+      if (arrivingIds.some(id => !cars.some(car => car.id === id))) {
+        await conn.rollback();
+        return res.status(400).json({ success: false, message: 'One or more cars do not belong to this registration.' });
+      }
+
+      await conn.execute(
+        'UPDATE event_registrations SET checked_in_at = NOW(), checked_in_by = ? WHERE id = ?',
+        [req.user.id, registration.id]
+      );
+      if (arrivingIds.length > 0) {
+        await conn.query(
+          'UPDATE registered_cars SET checked_in_at = NOW() WHERE registration_id = ? AND id IN (?)',
+          [registration.id, arrivingIds]
+        );
+      }
+
+      await conn.commit();
+      res.json({
+        success: true,
+        message: `${registration.name} checked in.`,
+        registrationId: registration.id,
+        name: registration.name,
+        cars: cars.map(car => ({ ...car, checkedIn: arrivingIds.includes(car.id) }))
+      });
+    } catch (err) {
+      await conn.rollback();
+      console.error('Error checking in registration:', err);
+      res.status(500).json({ success: false, message: 'Failed to check in registration.' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  /**
+   * @route   GET /api/events/:id/export
+   * @desc    Stream the attendee roster as CSV (default) or JSON, one row per registered car.
+   *          Registrations without cars get a single row with empty car columns.
+   * @query   format=csv|json, status=confirmed|waitlisted|cancelled|all, checkedIn=true|false,
+   *          registeredFrom, registeredTo
+   * @access  Protected (organizer or events:manage_any)
+   */
+  router.get('/:id/export', authenticate, async (req, res) => {
+    const eventId = req.params.id;
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be csv or json.' });
+    }
+    const { where, params, error } = buildExportFilters(eventId, req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    let event;
+    try {
+      [[event]] = await pool.execute('SELECT id, organizer_id FROM Events WHERE id = ?', [eventId]);
+      if (!event) {
+        return res.status(404).json({ success: false, message: 'Event not found.' });
+      }
+      if (!canManageEvent(req, event)) {
+        return res.status(403).json({ success: false, message: 'You are not authorized to export this event.' });
+      }
+    } catch (err) {
+      console.error('Error preparing event export:', err);
+      return res.status(500).json({ success: false, message: 'Failed to export attendees.' });
+    }
+
+    // Rows are streamed straight from MySQL so large shows are never held in memory
+    const rows = pool.pool.query(
+      `SELECT er.id AS registration_id, er.status AS registration_status, er.name, er.email, er.phone,
+              er.registered_at, er.checked_in_at,
+              rc.id AS car_id, rc.make, rc.model, rc.year, rc.color, rc.mileage, rc.modifications,
+              rc.checked_in_at AS car_checked_in_at
+         FROM event_registrations er
+         LEFT JOIN registered_cars rc ON rc.registration_id = er.id
+        WHERE ${where.join(' AND ')}
+        ORDER BY er.name, er.id, rc.id`,
+      params
+    ).stream();
+
+    let first = true;
+    const serializer = new Transform({
+      writableObjectMode: true,
+      transform(row, encoding, callback) {
+        if (format === 'csv') {
+          const header = first ? formatRow(EXPORT_COLUMNS) : '';
+          first = false;
+          return callback(null, header + formatRow(EXPORT_COLUMNS.map(column => row[column])));
+        }
+        const prefix = first ? '[' : ',';
+        first = false;
+        callback(null, prefix + JSON.stringify(row));
+      },
+      flush(callback) {
+        if (format === 'csv') return callback(null, first ? formatRow(EXPORT_COLUMNS) : '');
+        callback(null, first ? '[]' : ']');
+      }
+    });
+
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event.id}-attendees.${format}"`);
+
+    pipeline(rows, serializer, res, err => {
+      if (err) console.error('Error streaming event export:', err);
+    });
+  });
+
+  return router;
+}
+
+module.exports = createEventRoutes;
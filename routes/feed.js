@@ -0,0 +1,107 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { publicUrl } = require('../lib/storage');
+const { visibleBuildsSql } = require('../lib/buildVisibility');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Shapes a joined activities row into a self-contained card
+function rowToItem(row) {
+  return {
+    id:        row.id,
+    type:      row.type,
+    createdAt: row.created_at,
+    actor: {
+      id:          row.actor_id,
+      username:    row.actor_username,
+      displayName: row.actor_display_name,
+      avatarUrl:   publicUrl(row.actor_avatar_url)
+    },
+    build: row.build_id == null ? null : {
+      id:         row.build_id,
+      carName:    row.build_car_name,
+      model:      row.build_model,
+      ownership:  row.build_ownership,
+      coverImage: publicUrl(row.build_cover_image)
+    },
+    business: row.business_id == null ? null : {
+      id:   row.business_id,
+      name: row.business_name
+    },
+    review: row.review_id == null ? null : {
+      id:      row.review_id,
+      rating:  row.review_rating,
+      comment: row.review_comment
+    },
+    details: row.data && row.data.images
+      ? { ...row.data, images: row.data.images.map(publicUrl) }
+      : row.data || {}
+  };
+}
+
+// Returns a configured router for the following feed
+function createFeedRoutes(pool) {
+  const router = express.Router();
+  const { authenticate } = createAuth(pool);
+
+  /**
+   * @route   GET /api/feed
+   * @desc    Newest-first activity from the users the logged-in user follows.
+   *          Pass ?cursor= with the previous page's nextCursor to load older items.
+   * @access  Protected
+   */
+  router.get('/', authenticate, async (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    let beforeId = null;
+    if (req.query.cursor) {
+      beforeId = decodeCursor(req.query.cursor);
+      if (beforeId === null) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+      }
+    }
+
+    // Activity about builds the user may not see is left out
+    const visible = visibleBuildsSql('b', req.user.id);
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT a.id, a.type, a.data, a.created_at, a.actor_id,
+                u.username AS actor_username, u.display_name AS actor_display_name,
+                u.avatar_url AS actor_avatar_url,
+                b.id AS build_id, b.car_name AS build_car_name, b.model AS build_model,
+                b.ownership_status AS build_ownership, b.cover_image AS build_cover_image,
+                biz.id AS business_id, biz.name AS business_name,
+                br.id AS review_id, br.rating AS review_rating, br.comment AS review_comment
+           FROM follows f
+           JOIN activities a ON a.actor_id = f.followed_id
+           JOIN users u ON u.id = a.actor_id
+           LEFT JOIN builds b ON b.id = a.build_id
+           LEFT JOIN businesses biz ON biz.id = a.business_id
+           LEFT JOIN business_reviews br ON br.id = a.review_id
+          WHERE f.follower_id = ?
+            AND (a.build_id IS NULL OR ${visible.sql})
+            ${beforeId ? 'AND a.id < ?' : ''}
+          ORDER BY a.id DESC
+          LIMIT ?`,
+        [req.user.id, ...visible.params, ...(beforeId ? [beforeId] : []), limit + 1]
+      );
+
+      const hasMore = rows.length > limit;
+      const items = rows.slice(0, limit).map(rowToItem);
+      res.json({
+        success: true,
+        items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1].id) : null
+      });
+    } catch (error) {
+      console.error('Error fetching feed:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch feed.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFeedRoutes;
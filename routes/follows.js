@@ -1,10 +1,15 @@
 const express = require('express');
-const ensureAuthenticated = require('../middleware/ensureAuthenticated');
+const createAuth = require('../middleware/auth');
+const { notify } = require('../lib/notifications');
+const { publicUrl } = require('../lib/storage');
+
+const withAvatarUrl = user => ({ ...user, avatar_url: publicUrl(user.avatar_url) });
 
 function createFollowsRoutes(pool) {
     const router = express.Router();
+    const { authenticate } = createAuth(pool);
 
-    router.post('/', ensureAuthenticated, async (req, res) => {
+    router.post('/', authenticate, async (req, res) => {
         const followerId = req.user.id;
         const { followedId } = req.body;
 
@@ -20,6 +25,10 @@ function createFollowsRoutes(pool) {
                 'INSERT INTO follows (follower_id, followed_id) VALUES (?, ?)',
                 [followerId, followedId]
             );
+            await notify(pool, [followedId], 'new_follower', {
+                actorId: followerId,
+                data: { username: req.user.username }
+            });
             res.status(201).json({ success: true, message: 'Successfully followed user.' });
         } catch (error) {
             if (error.code === 'ER_DUP_ENTRY') {
@@ -30,7 +39,7 @@ function createFollowsRoutes(pool) {
         }
     });
 
-    router.delete('/:followedId', ensureAuthenticated, async (req, res) => {
+    router.delete('/:followedId', authenticate, async (req, res) => {
         const followerId = req.user.id;
         const { followedId } = req.params;
 
@@ -49,7 +58,7 @@ function createFollowsRoutes(pool) {
         }
     });
 
-    router.get('/status/:targetUserId', ensureAuthenticated, async (req, res) => {
+    router.get('/status/:targetUserId', authenticate, async (req, res) => {
         const loggedInUserId = req.user.id;
         const { targetUserId } = req.params;
         try {
@@ -74,7 +83,7 @@ function createFollowsRoutes(pool) {
                 WHERE f.followed_id = ?`,
                 [userId]
             );
-            res.json({ success: true, followers });
+            res.json({ success: true, followers: followers.map(withAvatarUrl) });
         } catch (error) {
             console.error('Error fetching followers:', error);
             res.status(500).json({ success: false, message: 'Server error.' });
@@ -91,7 +100,7 @@ function createFollowsRoutes(pool) {
                 WHERE f.follower_id = ?`,
                 [userId]
             );
-            res.json({ success: true, following });
+            res.json({ success: true, following: following.map(withAvatarUrl) });
         } catch (error) {
             console.error('Error fetching following list:', error);
             res.status(500).json({ success: false, message: 'Server error.' });
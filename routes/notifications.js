@@ -0,0 +1,257 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const { checkSessionActive } = require('../lib/sessions');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { publicUrl } = require('../lib/storage');
+const {
+  NOTIFICATION_TYPES,
+  subscribe,
+  publishUnreadCount,
+  countUnread,
+  rowToNotification,
+  getPreferences
+} = require('../lib/notifications');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Keeps proxies from closing idle streams, and re-checks that the session is still valid
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Returns a configured router for in-app notifications
+function createNotificationRoutes(pool) {
+  const router = express.Router();
+  const { authenticate } = createAuth(pool);
+
+  /**
+   * @route   GET /api/notifications
+   * @desc    The logged-in user's notifications, newest first. ?unread=true for unread only;
+   *          pass ?cursor= with the previous page's nextCursor to load older ones.
+   * @access  Protected
+   */
+  router.get('/', authenticate, async (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const unreadOnly = req.query.unread === 'true';
+    let beforeId = null;
+    if (req.query.cursor) {
+      beforeId = decodeCursor(req.query.cursor);
+      if (beforeId === null) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+      }
+    }
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT n.id, n.user_id, n.type, n.actor_id, n.data, n.read_at, n.created_at,
+                u.username AS actor_username, u.display_name AS actor_display_name,
+                u.avatar_url AS actor_avatar_url
+           FROM notifications n
+           LEFT JOIN users u ON u.id = n.actor_id
+          WHERE n.user_id = ?
+            ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+            ${beforeId ? 'AND n.id < ?' : ''}
+          ORDER BY n.id DESC
+          LIMIT ?`,
+        [req.user.id, ...(beforeId ? [beforeId] : []), limit + 1]
+      );
+
+      const hasMore = rows.length > limit;
+      const notifications = rows.slice(0, limit).map(row => ({
+        ...rowToNotification(row),
+        actor: row.actor_id == null ? null : {
+          id:          row.actor_id,
+          username:    row.actor_username,
+          displayName: row.actor_display_name,
+          avatarUrl:   publicUrl(row.actor_avatar_url)
+        }
+      }));
+      res.json({
+        success: true,
+        notifications,
+        nextCursor: hasMore ? encodeCursor(notifications[notifications.length - 1].id) : null
+      });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch notifications.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/notifications/unread-count
+   * @desc    Number of unread notifications, for the badge
+   * @access  Protected
+   */
+  router.get('/unread-count', authenticate, async (req, res) => {
+    try {
+      res.json({ success: true, count: await countUnread(pool, req.user.id) });
+    } catch (error) {
+      console.error('Error counting unread notifications:', error);
+      res.status(500).json({ success: false, message: 'Failed to count notifications.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/notifications/stream
+   * @desc    Server-Sent Events stream. Sends `unread` ({ count }) on connect and whenever the
+   *          count changes, and `notification` for each new notification.
+   * @access  Protected
+   */
+  router.get('/stream', authenticate, async (req, res) => {
+    const userId = req.user.id;
+
+    res.set({
+      'Content-Type':      'text/event-stream',
+      'Cache-Control':     'no-cache',
+      'Connection':        'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, payload) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const unsubscribe = subscribe(userId, async (event, payload) => {
+      try {
+        send(event, payload);
+        if (event === 'notification') {
+          send('unread', { count: await countUnread(pool, userId) });
+        }
+      } catch (err) {
+        console.error('Error writing to notification stream:', err);
+      }
+    });
+
+    // The stream outlives the short-lived access token, so signing out elsewhere is
+    // picked up on the next heartbeat instead
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await checkSessionActive(pool, userId, req.sessionId))) {
+          send('session_ended', {});
+          res.end();
+          return;
+        }
+        res.write(': heartbeat\n\n');
+      } catch (err) {
+        console.error('Notification stream heartbeat error:', err);
+      }
+    }, STREAM_HEARTBEAT_MS);
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    req.on('close', close);
+    res.on('finish', close);
+
+    try {
+      res.write('retry: 5000\n\n');
+      send('unread', { count: await countUnread(pool, userId) });
+    } catch (error) {
+      console.error('Error opening notification stream:', error);
+      close();
+      res.end();
+    }
+  });
+
+  /**
+   * @route   GET /api/notifications/preferences
+   * @desc    Which notification types the user receives, as { type: enabled }
+   * @access  Protected
+   */
+  router.get('/preferences', authenticate, async (req, res) => {
+    try {
+      res.json({ success: true, preferences: await getPreferences(pool, req.user.id) });
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch notification preferences.' });
+    }
+  });
+
+  /**
+   * @route   PUT /api/notifications/preferences
+   * @desc    Turn notification types on or off. Body: { preferences: { type: boolean } };
+   *          types left out keep their current setting.
+   * @access  Protected
+   */
+  router.put('/preferences', authenticate, async (req, res) => {
+    const { preferences } = req.body;
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return res.status(400).json({ success: false, message: 'preferences must be an object of type: boolean.' });
+    }
+    for (const [type, enabled] of Object.entries(preferences)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, message: `Unknown notification type "${type}".` });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ success: false, message: `The setting for "${type}" must be true or false.` });
+      }
+    }
+
+    try {
+      for (const [type, enabled] of Object.entries(preferences)) {
+        await pool.execute(
+          `INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+           ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+          [req.user.id, type, enabled]
+        );
+      }
+      res.json({
+        success: true,
+        message: 'Notification preferences saved.',
+        preferences: await getPreferences(pool, req.user.id)
+      });
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      res.status(500).json({ success: false, message: 'Failed to save notification preferences.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/notifications/read-all
+   * @desc    Mark every notification as read
+   * @access  Protected
+   */
+  router.post('/read-all', authenticate, async (req, res) => {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+        [req.user.id]
+      );
+      publishUnreadCount(req.user.id, 0);
+      res.json({ success: true, message: 'All notifications marked as read.', updated: result.affectedRows });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      res.status(500).json({ success: false, message: 'Failed to mark notifications as read.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/notifications/:id/read
+   * @desc    Mark one notification as read
+   * @access  Protected
+   */
+  router.post('/:id/read', authenticate, async (req, res) => {
+    try {
+      const [[notification]] = await pool.execute(
+        'SELECT id, read_at FROM notifications WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+      if (!notification) {
+        return res.status(404).json({ success: false, message: 'Notification not found.' });
+      }
+      if (!notification.read_at) {
+        await pool.execute('UPDATE notifications SET read_at = NOW() WHERE id = ?', [notification.id]);
+        publishUnreadCount(req.user.id, await countUnread(pool, req.user.id));
+      }
+      res.json({ success: true, message: 'Notification marked as read.' });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({ success: false, message: 'Failed to mark notification as read.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNotificationRoutes;
@@ -0,0 +1,397 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const { publicUrl } = require('../lib/storage');
+const { visibleBuildsSql } = require('../lib/buildVisibility');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Pulls part fields from a request body. With `partial`, only the fields present are
+// returned (for updates); otherwise brandId, categoryId and name are required.
+function readPartFields(body, { partial = false } = {}) {
+  const values = {};
+  if (!partial || body.brandId !== undefined) {
+    if (!Number.isInteger(Number(body.brandId)) || !body.brandId) return { error: 'brandId is required.' };
+    values.brand_id = Number(body.brandId);
+  }
+  if (!partial || body.categoryId !== undefined) {
+    if (!Number.isInteger(Number(body.categoryId)) || !body.categoryId) return { error: 'categoryId is required.' };
+    values.category_id = Number(body.categoryId);
+  }
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Part name is required.' };
+    if (name.length > 200) return { error: 'Part name can be at most 200 characters.' };
+    values.name = name;
+  }
+  if (body.partNumber !== undefined) {
+    const partNumber = body.partNumber == null ? '' : String(body.partNumber).trim();
+    if (partNumber.length > 100) return { error: 'Part number can be at most 100 characters.' };
+    values.part_number = partNumber || null;
+  }
+  if (body.description !== undefined) {
+    values.description = body.description ? String(body.description) : null;
+  }
+  return { values };
+}
+
+// Validates an optional fitments array: [{ make, model?, yearFrom?, yearTo?, notes? }]
+function readFitments(fitments) {
+  if (fitments === undefined) return { fitments: undefined };
+  if (!Array.isArray(fitments)) return { error: 'fitments must be an array.' };
+
+  const rows = [];
+  for (const f of fitments) {
+    const make = f && typeof f.make === 'string' ? f.make.trim() : '';
+    if (!make) return { error: 'Every fitment needs a make.' };
+    const yearFrom = f.yearFrom == null || f.yearFrom === '' ? null : Number(f.yearFrom);
+    const yearTo = f.yearTo == null || f.yearTo === '' ? null : Number(f.yearTo);
+    for (const year of [yearFrom, yearTo]) {
+      if (year !== null && (!Number.isInteger(year) || year < 1886 || year > 2100)) {
+        return { error: 'Fitment years must be valid model years.' };
+      }
+    }
+    if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) {
+      return { error: 'Fitment yearFrom cannot be after yearTo.' };
+    }
+    rows.push({
+      make,
+      model: f.model ? String(f.model).trim() : null,
+      yearFrom,
+      yearTo,
+      notes: f.notes ? String(f.notes).slice(0, 255) : null
+    });
+  }
+  return { fitments: rows };
+}
+
+function rowToPart(row) {
+  return {
+    id:          row.id,
+    name:        row.name,
+    partNumber:  row.part_number,
+    description: row.description,
+    brand:       { id: row.brand_id, name: row.brand_name },
+    category:    { id: row.category_id, name: row.category_name, parentId: row.category_parent_id }
+  };
+}
+
+const PART_SELECT = `
+  SELECT p.id, p.name, p.part_number, p.description,
+         p.brand_id, b.name AS brand_name,
+         p.category_id, c.name AS category_name, c.parent_id AS category_parent_id
+    FROM parts p
+    JOIN brands b ON b.id = p.brand_id
+    JOIN part_categories c ON c.id = p.category_id`;
+
+// Returns a configured router for the parts catalog
+function createPartsRoutes(pool) {
+  const router = express.Router();
+  const { authenticate, optionalAuthenticate, requirePermission } = createAuth(pool);
+
+  async function replaceFitments(conn, partId, fitments) {
+    await conn.execute('DELETE FROM part_fitments WHERE part_id = ?', [partId]);
+    for (const f of fitments) {
+      await conn.execute(
+        `INSERT INTO part_fitments (part_id, make, model, year_from, year_to, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [partId, f.make, f.model, f.yearFrom, f.yearTo, f.notes]
+      );
+    }
+  }
+
+  async function loadPart(db, partId) {
+    const [[row]] = await db.execute(`${PART_SELECT} WHERE p.id = ?`, [partId]);
+    if (!row) return undefined;
+    const [fitments] = await db.execute(
+      `SELECT make, model, year_from AS yearFrom, year_to AS yearTo, notes
+         FROM part_fitments WHERE part_id = ? ORDER BY make, model, year_from`,
+      [partId]
+    );
+    return { ...rowToPart(row), fitments };
+  }
+
+  /**
+   * @route   GET /api/parts/categories
+   * @desc    The category taxonomy as a tree
+   * @access  Public
+   */
+  router.get('/categories', async (req, res) => {
+    try {
+      const [rows] = await pool.execute('SELECT id, parent_id, name, slug FROM part_categories ORDER BY name');
+      const byId = new Map(rows.map(r => [r.id, { id: r.id, name: r.name, slug: r.slug, children: [] }]));
+      const categories = [];
+      for (const row of rows) {
+        const parent = row.parent_id && byId.get(row.parent_id);
+        if (parent) parent.children.push(byId.get(row.id));
+        else categories.push(byId.get(row.id));
+      }
+      res.json({ success: true, categories });
+    } catch (error) {
+      console.error('Error fetching part categories:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch part categories.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/parts/brands
+   * @desc    All brands, alphabetically
+   * @access  Public
+   */
+  router.get('/brands', async (req, res) => {
+    try {
+      const [brands] = await pool.execute('SELECT id, name, website FROM brands ORDER BY name');
+      res.json({ success: true, brands });
+    } catch (error) {
+      console.error('Error fetching brands:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch brands.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/parts/brands
+   * @desc    Add a brand. Body: { name, website? }
+   * @access  Protected (parts:manage)
+   */
+  router.post('/brands', authenticate, requirePermission('parts:manage'), async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ success: false, message: 'Brand name is required (max 100 characters).' });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        'INSERT INTO brands (name, website) VALUES (?, ?)',
+        [name, req.body.website || null]
+      );
+      res.status(201).json({ success: true, brand: { id: result.insertId, name, website: req.body.website || null } });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'A brand with that name already exists.' });
+      }
+      console.error('Error creating brand:', error);
+      res.status(500).json({ success: false, message: 'Failed to create brand.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/parts
+   * @desc    Search the catalog. Filters: ?q= (name or part number), ?brandId=, ?categoryId=
+   *          (includes subcategories), and ?make=&model=&year= for parts listed as fitting
+   *          that vehicle. Paged with ?page=&limit=.
+   * @access  Public
+   */
+  router.get('/', async (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const { q, brandId, categoryId, make, model, year } = req.query;
+
+    const where = [];
+    const params = [];
+    if (q) {
+      where.push('(p.name LIKE ? OR p.part_number LIKE ?)');
+      params.push(`%${q}%`, `%${q}%`);
+    }
+    if (brandId) {
+      where.push('p.brand_id = ?');
+      params.push(brandId);
+    }
+    if (categoryId) {
+      where.push('(c.id = ? OR c.parent_id = ?)');
+      params.push(categoryId, categoryId);
+    }
+    if (make) {
+      where.push(`EXISTS (SELECT 1 FROM part_fitments f
+                           WHERE f.part_id = p.id AND f.make = ?
+                             AND (? IS NULL OR f.model IS NULL OR f.model = ?)
+                             AND (? IS NULL OR f.year_from IS NULL OR f.year_from <= ?)
+                             AND (? IS NULL OR f.year_to IS NULL OR f.year_to >= ?))`);
+      const yearValue = year ? Number(year) : null;
+      params.push(make, model || null, model || null, yearValue, yearValue, yearValue, yearValue);
+    }
+
+    try {
+      const [rows] = await pool.query(
+        `${PART_SELECT}
+          ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY b.name, p.name
+          LIMIT ? OFFSET ?`,
+        [...params, limit + 1, (page - 1) * limit]
+      );
+      res.json({
+        success: true,
+        parts: rows.slice(0, limit).map(rowToPart),
+        page,
+        hasMore: rows.length > limit
+      });
+    } catch (error) {
+      console.error('Error searching parts:', error);
+      res.status(500).json({ success: false, message: 'Failed to search parts.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/parts
+   * @desc    Add a catalog part. Body: { brandId, categoryId, name, partNumber?, description?, fitments? }
+   * @access  Protected (parts:manage)
+   */
+  router.post('/', authenticate, requirePermission('parts:manage'), async (req, res) => {
+    const { values, error } = readPartFields(req.body);
+    const { fitments, error: fitmentError } = readFitments(req.body.fitments);
+    if (error || fitmentError) {
+      return res.status(400).json({ success: false, message: error || fitmentError });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [result] = await conn.execute(
+        `INSERT INTO parts (brand_id, category_id, name, part_number, description, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [values.brand_id, values.category_id, values.name, values.part_number ?? null,
+          values.description ?? null, req.user.id]
+      );
+      if (fitments) await replaceFitments(conn, result.insertId, fitments);
+      const part = await loadPart(conn, result.insertId);
+      await conn.commit();
+      res.status(201).json({ success: true, message: 'Part added to the catalog.', part });
+    } catch (err) {
+      await conn.rollback();
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'That brand already has a part with this part number.' });
+      }
+      if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({ success: false, message: 'Unknown brand or category.' });
+      }
+      console.error('Error creating part:', err);
+      res.status(500).json({ success: false, message: 'Failed to create part.' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  /**
+   * @route   GET /api/parts/:id
+   * @desc    One part with its fitments and how many builds the viewer may see use it
+   * @access  Public
+   */
+  router.get('/:id', optionalAuthenticate, async (req, res) => {
+    try {
+      const part = await loadPart(pool, req.params.id);
+      if (!part) {
+        return res.status(404).json({ success: false, message: 'Part not found.' });
+      }
+      const visible = visibleBuildsSql('b', req.user ? req.user.id : null);
+      const [[usage]] = await pool.execute(
+        `SELECT COUNT(DISTINCT bm.build_id) AS builds
+           FROM build_mods bm
+           JOIN builds b ON b.id = bm.build_id
+          WHERE bm.part_id = ? AND bm.removed_at IS NULL AND ${visible.sql}`,
+        [part.id, ...visible.params]
+      );
+      res.json({ success: true, part: { ...part, buildCount: Number(usage.builds) } });
+    } catch (error) {
+      console.error('Error fetching part:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch part.' });
+    }
+  });
+
+  /**
+   * @route   PUT /api/parts/:id
+   * @desc    Edit a part. Only the fields present change; `fitments`, if sent, replaces the list.
+   * @access  Protected (parts:manage)
+   */
+  router.put('/:id', authenticate, requirePermission('parts:manage'), async (req, res) => {
+    const { values, error } = readPartFields(req.body, { partial: true });
+    const { fitments, error: fitmentError } = readFitments(req.body.fitments);
+    if (error || fitmentError) {
+      return res.status(400).json({ success: false, message: error || fitmentError });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [[existing]] = await conn.execute('SELECT id FROM parts WHERE id = ? FOR UPDATE', [req.params.id]);
+      if (!existing) {
+        await conn.rollback();
+        return res.status(404).json({ success: false, message: 'Part not found.' });
+      }
+
+      const columns = Object.keys(values);
+      if (columns.length) {
+        await conn.execute(
+          `UPDATE parts SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...Object.values(values), existing.id]
+        );
+      }
+      if (fitments) await replaceFitments(conn, existing.id, fitments);
+
+      const part = await loadPart(conn, existing.id);
+      await conn.commit();
+      res.json({ success: true, message: 'Part updated.', part });
+    } catch (err) {
+      await conn.rollback();
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'That brand already has a part with this part number.' });
+      }
+      if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({ success: false, message: 'Unknown brand or category.' });
+      }
+      console.error('Error updating part:', err);
+      res.status(500).json({ success: false, message: 'Failed to update part.' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  /**
+   * @route   GET /api/parts/:id/builds
+   * @desc    Builds running this part that the viewer may see, most recently installed
+   *          first. Paged with ?page=&limit=.
+   * @access  Public
+   */
+  router.get('/:id/builds', optionalAuthenticate, async (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    try {
+      const [[part]] = await pool.execute('SELECT id FROM parts WHERE id = ?', [req.params.id]);
+      if (!part) {
+        return res.status(404).json({ success: false, message: 'Part not found.' });
+      }
+
+      const visible = visibleBuildsSql('b', req.user ? req.user.id : null);
+      const [rows] = await pool.query(
+        `SELECT b.id, b.car_name, b.model, b.cover_image, b.ownership_status,
+                u.id AS owner_id, u.username AS owner_username,
+                MAX(DATE_FORMAT(bm.install_date, '%Y-%m-%d')) AS install_date
+           FROM build_mods bm
+           JOIN builds b ON b.id = bm.build_id
+           JOIN users u ON u.id = b.user_id
+          WHERE bm.part_id = ? AND bm.removed_at IS NULL AND ${visible.sql}
+          GROUP BY b.id, b.car_name, b.model, b.cover_image, b.ownership_status, u.id, u.username
+          ORDER BY install_date IS NULL, install_date DESC, b.id DESC
+          LIMIT ? OFFSET ?`,
+        [part.id, ...visible.params, limit + 1, (page - 1) * limit]
+      );
+
+      const builds = rows.slice(0, limit).map(r => ({
+        id:          r.id,
+        carName:     r.car_name,
+        model:       r.model,
+        coverImage:  publicUrl(r.cover_image),
+        ownership:   r.ownership_status,
+        installDate: r.install_date,
+        owner:       { id: r.owner_id, username: r.owner_username }
+      }));
+      res.json({ success: true, builds, page, hasMore: rows.length > limit });
+    } catch (error) {
+      console.error('Error fetching builds using part:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch builds.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPartsRoutes;
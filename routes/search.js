@@ -0,0 +1,271 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const createThrottle = require('../middleware/throttle');
+const { publicUrl } = require('../lib/storage');
+const { parseSearchTerms, toBooleanQuery, highlightFields } = require('../lib/search');
+const { createSuggester } = require('../lib/suggestions');
+const { visibleBuildsSql } = require('../lib/buildVisibility');
+
+const SEARCH_TYPES = ['users', 'builds', 'businesses', 'events'];
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MIN_SUGGEST_LENGTH = 2;
+const MAX_SUGGEST_LENGTH = 50;
+
+const USER_MATCH = 'MATCH(u.username, u.display_name, u.bio) AGAINST (? IN BOOLEAN MODE)';
+const BUILD_MATCH = 'MATCH(b.car_name, b.model, b.description) AGAINST (? IN BOOLEAN MODE)';
+const MOD_MATCH = 'MATCH(bm.mod_name, bm.mod_note) AGAINST (? IN BOOLEAN MODE)';
+const BUSINESS_MATCH = 'MATCH(bz.name) AGAINST (? IN BOOLEAN MODE)';
+const EVENT_MATCH = 'MATCH(e.title, e.venue, e.description) AGAINST (? IN BOOLEAN MODE)';
+
+// Build facets and the filter each one sets
+const BUILD_FACETS = {
+  bodyStyle: { column: 'b.body_style',       filter: 'b.body_style = ?' },
+  ownership: { column: 'b.ownership_status', filter: 'b.ownership_status = ?' },
+  category:  {
+    column: 'fm.category',
+    filter: `EXISTS (SELECT 1 FROM build_mods fc
+                      WHERE fc.build_id = b.id AND fc.removed_at IS NULL AND fc.category = ?)`
+  }
+};
+
+// Builds the viewer may see whose own text or any current mod matches, narrowed by the facet
+// filters except `except` (so a facet's counts do not collapse to the value already picked).
+// Returns { from, where, params } with params in the order they appear in the SQL.
+function matchingBuilds(query, filters, viewerId, { except } = {}) {
+  const from = `builds b
+    JOIN users u ON u.id = b.user_id
+    LEFT JOIN (SELECT bm.build_id, MAX(${MOD_MATCH}) AS score
+                 FROM build_mods bm
+                WHERE bm.removed_at IS NULL AND ${MOD_MATCH}
+                GROUP BY bm.build_id) mm ON mm.build_id = b.id`;
+  const visible = visibleBuildsSql('b', viewerId);
+  const where = [`(${BUILD_MATCH} OR mm.build_id IS NOT NULL)`, visible.sql];
+  const params = [query, query, query, ...visible.params];
+  for (const [name, facet] of Object.entries(BUILD_FACETS)) {
+    if (name === except || !filters[name]) continue;
+    where.push(facet.filter);
+    params.push(filters[name]);
+  }
+  return { from, where: where.join(' AND '), params };
+}
+
+// Returns a configured router for site-wide search
+function createSearchRoutes(pool) {
+  const router = express.Router();
+  const { optionalAuthenticate } = createAuth(pool);
+  const suggest = createSuggester(pool);
+  // Typeahead fires on every keystroke; this leaves room for fast typists, not for scraping
+  const suggestThrottle = createThrottle({ limit: 30, windowMs: 10 * 1000 });
+
+  async function searchUsers(query, terms, { limit, offset }) {
+    const [rows] = await pool.query(
+      `SELECT u.id, u.username, u.display_name, u.bio, u.avatar_url, ${USER_MATCH} AS score
+         FROM users u
+        WHERE ${USER_MATCH}
+        ORDER BY score DESC, u.id DESC
+        LIMIT ? OFFSET ?`,
+      [query, query, limit + 1, offset]
+    );
+    return rows.map(row => ({
+      id:          row.id,
+      username:    row.username,
+      displayName: row.display_name,
+      avatarUrl:   publicUrl(row.avatar_url),
+      score:       row.score,
+      highlights:  highlightFields({ username: row.username, displayName: row.display_name, bio: row.bio }, terms)
+    }));
+  }
+
+  async function searchBuilds(query, terms, filters, viewerId, { limit, offset }) {
+    const { from, where, params } = matchingBuilds(query, filters, viewerId);
+    const [rows] = await pool.query(
+      `SELECT b.id, b.car_name, b.model, b.description, b.body_style, b.ownership_status, b.cover_image,
+              u.id AS owner_id, u.username AS owner_username, u.display_name AS owner_display_name,
+              ${BUILD_MATCH} + COALESCE(mm.score, 0) AS score
+         FROM ${from}
+        WHERE ${where}
+        ORDER BY score DESC, b.id DESC
+        LIMIT ? OFFSET ?`,
+      [query, ...params, limit + 1, offset]
+    );
+
+    // Which mods matched, to show why a build came up
+    const modHighlights = new Map();
+    if (rows.length) {
+      const [mods] = await pool.query(
+        `SELECT bm.id, bm.build_id, bm.mod_name, bm.mod_note
+           FROM build_mods bm
+          WHERE bm.build_id IN (?) AND bm.removed_at IS NULL AND ${MOD_MATCH}
+          ORDER BY bm.id`,
+        [rows.map(row => row.id), query]
+      );
+      for (const mod of mods) {
+        const list = modHighlights.get(mod.build_id) || [];
+        for (const match of highlightFields({ modName: mod.mod_name, modNote: mod.mod_note }, terms)) {
+          list.push({ ...match, modId: mod.id });
+        }
+        modHighlights.set(mod.build_id, list);
+      }
+    }
+
+    return rows.map(row => ({
+      id:         row.id,
+      carName:    row.car_name,
+      model:      row.model,
+      bodyStyle:  row.body_style,
+      ownership:  row.ownership_status,
+      coverImage: publicUrl(row.cover_image),
+      owner:      { id: row.owner_id, username: row.owner_username, displayName: row.owner_display_name },
+      score:      row.score,
+      highlights: [
+        ...highlightFields({ carName: row.car_name, model: row.model, description: row.description }, terms),
+        ...(modHighlights.get(row.id) || [])
+      ]
+    }));
+  }
+
+  async function searchBusinesses(query, terms, { limit, offset }) {
+    const [rows] = await pool.query(
+      `SELECT bz.id, bz.name, ${BUSINESS_MATCH} AS score
+         FROM businesses bz
+        WHERE ${BUSINESS_MATCH}
+        ORDER BY score DESC, bz.id DESC
+        LIMIT ? OFFSET ?`,
+      [query, query, limit + 1, offset]
+    );
+    return rows.map(row => ({
+      id:         row.id,
+      name:       row.name,
+      score:      row.score,
+      highlights: highlightFields({ name: row.name }, terms)
+    }));
+  }
+
+  async function searchEvents(query, terms, { limit, offset }) {
+    const [rows] = await pool.query(
+      `SELECT e.id, e.title, e.venue, e.description, e.starts_at, e.status, ${EVENT_MATCH} AS score
+         FROM Events e
+        WHERE ${EVENT_MATCH}
+        ORDER BY score DESC, e.starts_at DESC
+        LIMIT ? OFFSET ?`,
+      [query, query, limit + 1, offset]
+    );
+    return rows.map(row => ({
+      id:         row.id,
+      title:      row.title,
+      venue:      row.venue,
+      startsAt:   row.starts_at,
+      status:     row.status,
+      score:      row.score,
+      highlights: highlightFields({ title: row.title, venue: row.venue, description: row.description }, terms)
+    }));
+  }
+
+  // Counts per facet value among the matching builds
+  async function buildFacets(query, filters, viewerId) {
+    const facets = {};
+    for (const [name, facet] of Object.entries(BUILD_FACETS)) {
+      const { from, where, params } = matchingBuilds(query, filters, viewerId, { except: name });
+      const modJoin = name === 'category'
+        ? 'JOIN build_mods fm ON fm.build_id = b.id AND fm.removed_at IS NULL'
+        : '';
+      const [rows] = await pool.query(
+        `SELECT ${facet.column} AS value, COUNT(DISTINCT b.id) AS count
+           FROM ${from}
+           ${modJoin}
+          WHERE ${where} AND ${facet.column} IS NOT NULL AND ${facet.column} <> ''
+          GROUP BY ${facet.column}
+          ORDER BY count DESC, value`,
+        params
+      );
+      facets[name] = rows.map(row => ({ value: row.value, count: Number(row.count) }));
+    }
+    return facets;
+  }
+
+  /**
+   * @route   GET /api/search?q=
+   * @desc    Relevance-ranked search over users, builds (including their mods), businesses
+   *          and events. Every type is paged on its own with ?page= and ?limit=; use
+   *          ?type=builds (or a comma-separated list) to ask for fewer types. Builds can be
+   *          filtered with ?bodyStyle=, ?ownership= and ?category= (a mod category), and
+   *          come with counts for each of those facets. Each result lists the fields that
+   *          matched in `highlights`, with the matched words as [start, end) ranges.
+   *          Builds are limited to the ones the viewer may see; unlisted builds never match.
+   * @access  Public
+   */
+  router.get('/', optionalAuthenticate, async (req, res) => {
+    const terms = parseSearchTerms(req.query.q);
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const types = req.query.type ? String(req.query.type).split(',') : SEARCH_TYPES;
+    const filters = {
+      bodyStyle: req.query.bodyStyle || null,
+      ownership: req.query.ownership || null,
+      category:  req.query.category || null
+    };
+
+    const unknownType = types.find(type => !SEARCH_TYPES.includes(type));
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown type "${unknownType}". Use ${SEARCH_TYPES.join(', ')}.`
+      });
+    }
+    if (terms.length === 0) {
+      return res.status(400).json({ success: false, message: 'Enter something to search for.' });
+    }
+
+    const query = toBooleanQuery(terms);
+    const paging = { limit, offset: (page - 1) * limit };
+    const viewerId = req.user ? req.user.id : null;
+
+    try {
+      const searches = {
+        users:      () => searchUsers(query, terms, paging),
+        builds:     () => searchBuilds(query, terms, filters, viewerId, paging),
+        businesses: () => searchBusinesses(query, terms, paging),
+        events:     () => searchEvents(query, terms, paging)
+      };
+
+      const results = {};
+      for (const type of types) {
+        const items = await searches[type]();
+        results[type] = { items: items.slice(0, limit), page, hasMore: items.length > limit };
+      }
+      const facets = types.includes('builds') ? await buildFacets(query, filters, viewerId) : undefined;
+
+      res.json({ success: true, query: terms.join(' '), results, facets });
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ success: false, message: 'Search failed due to a server error.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/search/suggest?q=
+   * @desc    Typeahead for the search bar: up to a few names per type that start with q
+   *          (users, builds, vehicle makes and models, businesses and popular mods), each
+   *          tagged with its type
+   * @access  Public (throttled per client)
+   */
+  router.get('/suggest', suggestThrottle, async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (q.length < MIN_SUGGEST_LENGTH) {
+      return res.json({ success: true, suggestions: [] });
+    }
+
+    try {
+      const suggestions = await suggest(q.slice(0, MAX_SUGGEST_LENGTH));
+      res.json({ success: true, suggestions });
+    } catch (error) {
+      console.error('Error fetching suggestions:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch suggestions.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSearchRoutes;
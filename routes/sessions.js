@@ -0,0 +1,75 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const { revokeSessions } = require('../lib/sessions');
+
+// Returns a configured router for the "my sessions" manager
+function createSessionRoutes(pool) {
+  const router = express.Router();
+  const { authenticate } = createAuth(pool);
+
+  /**
+   * @route   GET /api/sessions
+   * @desc    List the logged-in user's active sessions (devices)
+   * @access  Protected
+   */
+  router.get('/', authenticate, async (req, res) => {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, user_agent, ip_address, created_at, last_seen_at
+           FROM user_sessions
+          WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+          ORDER BY last_seen_at DESC`,
+        [req.user.id]
+      );
+      const sessions = rows.map(row => ({
+        id:         row.id,
+        userAgent:  row.user_agent,
+        ipAddress:  row.ip_address,
+        createdAt:  row.created_at,
+        lastSeenAt: row.last_seen_at,
+        current:    String(row.id) === String(req.sessionId)
+      }));
+      res.json({ success: true, sessions });
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch sessions.' });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/sessions
+   * @desc    Sign out every session except the current one
+   * @access  Protected
+   */
+  router.delete('/', authenticate, async (req, res) => {
+    try {
+      const revoked = await revokeSessions(pool, req.user.id, { exceptSessionId: req.sessionId });
+      res.json({ success: true, message: 'Signed out of all other sessions.', revoked });
+    } catch (error) {
+      console.error('Error revoking other sessions:', error);
+      res.status(500).json({ success: false, message: 'Failed to sign out other sessions.' });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/sessions/:sessionId
+   * @desc    Sign out one of the logged-in user's sessions
+   * @access  Protected
+   */
+  router.delete('/:sessionId', authenticate, async (req, res) => {
+    try {
+      const revoked = await revokeSessions(pool, req.user.id, { sessionId: req.params.sessionId });
+      if (revoked === 0) {
+        return res.status(404).json({ success: false, message: 'Session not found.' });
+      }
+      res.json({ success: true, message: 'Session signed out.' });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      res.status(500).json({ success: false, message: 'Failed to sign out session.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSessionRoutes;
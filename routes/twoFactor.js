@@ -0,0 +1,241 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const createAuth = require('../middleware/auth');
+const { completeLogin } = require('../lib/sessions');
+const { recordLoginAttempt } = require('../lib/loginLimiter');
+const {
+  verifyLoginChallenge,
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countUnusedRecoveryCodes,
+  disableTwoFactor
+} = require('../lib/twoFactor');
+
+// Returns a configured router for TOTP two-factor authentication.
+// loginLimiter is shared with /api/login so second-factor guesses count toward the same lockout.
+function createTwoFactorRoutes(pool, { loginLimiter }) {
+  const router = express.Router();
+  const { authenticate } = createAuth(pool);
+
+  async function findUser(userId) {
+    const [[user]] = await pool.execute('SELECT * FROM users WHERE id = ?', [userId]);
+    return user;
+  }
+
+  /**
+   * @route   GET /api/2fa/status
+   * @desc    Whether 2FA is on for the logged-in user, whether a role requires it,
+   *          and how many recovery codes are left
+   * @access  Protected
+   */
+  router.get('/status', authenticate, async (req, res) => {
+    try {
+      const user = await findUser(req.user.id);
+      res.json({
+        success: true,
+        enabled: !!user.totp_enabled_at,
+        required: await isTwoFactorRequired(pool, user.id),
+        recoveryCodesRemaining: user.totp_enabled_at ? await countUnusedRecoveryCodes(pool, user.id) : 0
+      });
+    } catch (error) {
+      console.error('Error fetching 2FA status:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch two-factor status.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/2fa/enroll
+   * @desc    Start enrollment. Returns the secret and an otpauth:// URI for a QR code.
+   * @access  Protected
+   */
+  router.post('/enroll', authenticate, async (req, res) => {
+    try {
+      const user = await findUser(req.user.id);
+      if (user.totp_enabled_at) {
+        return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled.' });
+      }
+      const { secret, otpauthUri } = await beginEnrollment(pool, user);
+      res.json({ success: true, secret, otpauthUri });
+    } catch (error) {
+      console.error('Error starting 2FA enrollment:', error);
+      res.status(500).json({ success: false, message: 'Failed to start two-factor enrollment.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/2fa/enroll/verify
+   * @desc    Finish enrollment with a first code. Returns one-time recovery codes.
+   * @access  Protected
+   */
+  router.post('/enroll/verify', authenticate, async (req, res) => {
+    try {
+      const recoveryCodes = await completeEnrollment(pool, req.user.id, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({ success: false, message: 'That code is not valid. Check your authenticator app and try again.' });
+      }
+      res.json({ success: true, message: 'Two-factor authentication enabled.', recoveryCodes });
+    } catch (error) {
+      console.error('Error completing 2FA enrollment:', error);
+      res.status(500).json({ success: false, message: 'Failed to enable two-factor authentication.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/2fa/recovery-codes
+   * @desc    Replace all recovery codes. Requires a current TOTP code.
+   * @access  Protected
+   */
+  router.post('/recovery-codes', authenticate, async (req, res) => {
+    try {
+      if (!(await verifySecondFactor(pool, req.user.id, { code: req.body.code }))) {
+        return res.status(400).json({ success: false, message: 'That code is not valid.' });
+      }
+      const recoveryCodes = await replaceRecoveryCodes(pool, req.user.id);
+      res.json({ success: true, recoveryCodes });
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      res.status(500).json({ success: false, message: 'Failed to regenerate recovery codes.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/2fa/disable
+   * @desc    Turn 2FA off. Requires the password and a code or recovery code, and is refused
+   *          while one of the user's roles requires 2FA.
+   * @access  Protected
+   */
+  router.post('/disable', authenticate, async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: 'Password and a code are required.' });
+    }
+
+    try {
+      const user = await findUser(req.user.id);
+      if (!user.totp_enabled_at) {
+        return res.status(409).json({ success: false, message: 'Two-factor authentication is not enabled.' });
+      }
+      if (await isTwoFactorRequired(pool, user.id)) {
+        return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your role.' });
+      }
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        return res.status(401).json({ success: false, message: 'Password is incorrect.' });
+      }
+      if (!(await verifySecondFactor(pool, user.id, { code, recoveryCode }))) {
+        return res.status(400).json({ success: false, message: 'That code is not valid.' });
+      }
+
+      await disableTwoFactor(pool, user.id);
+      res.json({ success: true, message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+      console.error('Error disabling 2FA:', error);
+      res.status(500).json({ success: false, message: 'Failed to disable two-factor authentication.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/2fa/login
+   * @desc    Second login step. Body: { challengeToken, code } or { challengeToken, recoveryCode }.
+   *          Sets the auth cookies on success.
+   * @access  Public (requires the challenge token from /api/login)
+   */
+  router.post('/login', async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = verifyLoginChallenge(challengeToken, 'verify');
+    if (!userId) {
+      return res.status(401).json({ success: false, code: 'CHALLENGE_EXPIRED', message: 'Your login has expired. Please log in again.' });
+    }
+
+    try {
+      const user = await findUser(userId);
+      if (!user || !user.totp_enabled_at) {
+        return res.status(401).json({ success: false, code: 'CHALLENGE_EXPIRED', message: 'Your login has expired. Please log in again.' });
+      }
+
+      const retryAfterMs = await loginLimiter.check(user.email, req.ip);
+      if (retryAfterMs > 0) {
+        await recordLoginAttempt(pool, { email: user.email, userId: user.id, req, outcome: 'locked' });
+        const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+          success: false,
+          code: 'LOGIN_LOCKED',
+          message: 'Too many failed login attempts. Please try again later.',
+          retryAfterSeconds
+        });
+      }
+
+      if (!(await verifySecondFactor(pool, user.id, { code, recoveryCode }))) {
+        await loginLimiter.recordFailure(user.email, req.ip);
+        await recordLoginAttempt(pool, { email: user.email, userId: user.id, req, outcome: 'failed' });
+        return res.status(401).json({ success: false, message: 'That code is not valid.' });
+      }
+
+      await loginLimiter.recordSuccess(user.email);
+      await completeLogin(pool, req, res, user, recoveryCode
+        ? { recoveryCodesRemaining: await countUnusedRecoveryCodes(pool, user.id) }
+        : {});
+    } catch (error) {
+      console.error('Error verifying second factor:', error);
+      res.status(500).json({ success: false, message: 'Login failed' });
+    }
+  });
+
+  /**
+   * @route   POST /api/2fa/login/enroll
+   * @desc    For users whose role requires 2FA but who have not set it up: start enrollment
+   *          during login. Body: { challengeToken }
+   * @access  Public (requires the enrollment challenge token from /api/login)
+   */
+  router.post('/login/enroll', async (req, res) => {
+    const userId = verifyLoginChallenge(req.body.challengeToken, 'enroll');
+    if (!userId) {
+      return res.status(401).json({ success: false, code: 'CHALLENGE_EXPIRED', message: 'Your login has expired. Please log in again.' });
+    }
+
+    try {
+      const user = await findUser(userId);
+      if (!user || user.totp_enabled_at) {
+        return res.status(401).json({ success: false, code: 'CHALLENGE_EXPIRED', message: 'Your login has expired. Please log in again.' });
+      }
+      const { secret, otpauthUri } = await beginEnrollment(pool, user);
+      res.json({ success: true, secret, otpauthUri });
+    } catch (error) {
+      console.error('Error starting 2FA enrollment during login:', error);
+      res.status(500).json({ success: false, message: 'Failed to start two-factor enrollment.' });
+    }
+  });
+
+  /**
+   * @route   POST /api/2fa/login/enroll/verify
+   * @desc    Finish enrollment during login and sign in. Body: { challengeToken, code }.
+   *          Returns the recovery codes along with the usual login response.
+   * @access  Public (requires the enrollment challenge token from /api/login)
+   */
+  router.post('/login/enroll/verify', async (req, res) => {
+    const userId = verifyLoginChallenge(req.body.challengeToken, 'enroll');
+    if (!userId) {
+      return res.status(401).json({ success: false, code: 'CHALLENGE_EXPIRED', message: 'Your login has expired. Please log in again.' });
+    }
+
+    try {
+      const recoveryCodes = await completeEnrollment(pool, userId, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({ success: false, message: 'That code is not valid. Check your authenticator app and try again.' });
+      }
+      const user = await findUser(userId);
+      await loginLimiter.recordSuccess(user.email);
+      await completeLogin(pool, req, res, user, { recoveryCodes });
+    } catch (error) {
+      console.error('Error completing 2FA enrollment during login:', error);
+      res.status(500).json({ success: false, message: 'Login failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTwoFactorRoutes;
@@ -0,0 +1,185 @@
+const express = require('express');
+const createAuth = require('../middleware/auth');
+const { decodeVin } = require('../lib/vin');
+const { publicUrl } = require('../lib/storage');
+const { visibleBuildsSql } = require('../lib/buildVisibility');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Returns a configured router for vehicle lookups (makes, models, trims, VIN decoding)
+function createVehicleRoutes(pool) {
+  const router = express.Router();
+  const { optionalAuthenticate } = createAuth(pool);
+
+  /**
+   * @route   GET /api/vehicles/makes
+   * @desc    Makes, alphabetically, with how many builds each has that the viewer may see.
+   *          Filter with ?q=
+   * @access  Public
+   */
+  router.get('/makes', optionalAuthenticate, async (req, res) => {
+    const { q } = req.query;
+    const visible = visibleBuildsSql('b', req.user ? req.user.id : null);
+    try {
+      const [makes] = await pool.query(
+        `SELECT mk.id, mk.name, COUNT(b.id) AS buildCount
+           FROM vehicle_makes mk
+           LEFT JOIN builds b ON b.vehicle_make_id = mk.id AND ${visible.sql}
+          ${q ? 'WHERE mk.name LIKE ?' : ''}
+          GROUP BY mk.id, mk.name
+          ORDER BY mk.name`,
+        [...visible.params, ...(q ? [`${q}%`] : [])]
+      );
+      res.json({ success: true, makes: makes.map(m => ({ ...m, buildCount: Number(m.buildCount) })) });
+    } catch (error) {
+      console.error('Error fetching vehicle makes:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch makes.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/vehicles/makes/:makeId/models
+   * @desc    A make's models, with counts of the builds the viewer may see. ?year= keeps
+   *          models sold that year.
+   * @access  Public
+   */
+  router.get('/makes/:makeId/models', optionalAuthenticate, async (req, res) => {
+    const year = req.query.year ? Number(req.query.year) : null;
+    const visible = visibleBuildsSql('b', req.user ? req.user.id : null);
+    try {
+      const [models] = await pool.query(
+        `SELECT vm.id, vm.name, vm.year_from AS yearFrom, vm.year_to AS yearTo, COUNT(b.id) AS buildCount
+           FROM vehicle_models vm
+           LEFT JOIN builds b ON b.vehicle_model_id = vm.id AND ${visible.sql}
+          WHERE vm.make_id = ?
+            ${year ? 'AND (vm.year_from IS NULL OR vm.year_from <= ?) AND (vm.year_to IS NULL OR vm.year_to >= ?)' : ''}
+          GROUP BY vm.id, vm.name, vm.year_from, vm.year_to
+          ORDER BY vm.name`,
+        [...visible.params, req.params.makeId, ...(year ? [year, year] : [])]
+      );
+      res.json({ success: true, models: models.map(m => ({ ...m, buildCount: Number(m.buildCount) })) });
+    } catch (error) {
+      console.error('Error fetching vehicle models:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch models.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/vehicles/models/:modelId/trims
+   * @desc    A model's trims. ?year= keeps trims offered that year.
+   * @access  Public
+   */
+  router.get('/models/:modelId/trims', async (req, res) => {
+    const year = req.query.year ? Number(req.query.year) : null;
+    try {
+      const [trims] = await pool.query(
+        `SELECT id, name, year_from AS yearFrom, year_to AS yearTo
+           FROM vehicle_trims
+          WHERE model_id = ?
+            ${year ? 'AND (year_from IS NULL OR year_from <= ?) AND (year_to IS NULL OR year_to >= ?)' : ''}
+          ORDER BY name`,
+        year ? [req.params.modelId, year, year] : [req.params.modelId]
+      );
+      res.json({ success: true, trims });
+    } catch (error) {
+      console.error('Error fetching vehicle trims:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch trims.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/vehicles/vin/:vin
+   * @desc    Validate and decode a VIN offline: manufacturer, country and model year, plus
+   *          the matching make from the lookup tables when there is one
+   * @access  Public
+   */
+  router.get('/vin/:vin', async (req, res) => {
+    const decoded = decodeVin(req.params.vin);
+    if (!decoded.valid) {
+      return res.status(400).json({ success: false, message: decoded.error });
+    }
+
+    try {
+      let make = null;
+      if (decoded.make) {
+        const [[row]] = await pool.execute('SELECT id, name FROM vehicle_makes WHERE name = ?', [decoded.make]);
+        make = row || null;
+      }
+      res.json({ success: true, vin: { ...decoded, make } });
+    } catch (error) {
+      console.error('Error decoding VIN:', error);
+      res.status(500).json({ success: false, message: 'Failed to decode VIN.' });
+    }
+  });
+
+  /**
+   * @route   GET /api/vehicles/builds
+   * @desc    Builds of a given vehicle that the viewer may see, newest first. Filters:
+   *          ?makeId=&modelId=&trimId=&year= (or ?yearFrom=&yearTo=). Paged with ?page=&limit=.
+   * @access  Public
+   */
+  router.get('/builds', optionalAuthenticate, async (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const { makeId, modelId, trimId, year, yearFrom, yearTo } = req.query;
+
+    const where = [];
+    const params = [];
+    const filters = [
+      [makeId, 'b.vehicle_make_id = ?'],
+      [modelId, 'b.vehicle_model_id = ?'],
+      [trimId, 'b.vehicle_trim_id = ?'],
+      [year, 'b.vehicle_year = ?'],
+      [yearFrom, 'b.vehicle_year >= ?'],
+      [yearTo, 'b.vehicle_year <= ?']
+    ];
+    for (const [value, clause] of filters) {
+      if (value) {
+        where.push(clause);
+        params.push(value);
+      }
+    }
+    if (where.length === 0) {
+      return res.status(400).json({ success: false, message: 'Filter by at least a make, model, trim or year.' });
+    }
+    const visible = visibleBuildsSql('b', req.user ? req.user.id : null);
+    where.push(visible.sql);
+    params.push(...visible.params);
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT b.id, b.car_name, b.model, b.cover_image, b.ownership_status, b.vehicle_year,
+                vmk.name AS make_name, vmd.name AS model_name, vt.name AS trim_name,
+                u.id AS owner_id, u.username AS owner_username
+           FROM builds b
+           JOIN users u ON u.id = b.user_id
+           LEFT JOIN vehicle_makes vmk  ON vmk.id = b.vehicle_make_id
+           LEFT JOIN vehicle_models vmd ON vmd.id = b.vehicle_model_id
+           LEFT JOIN vehicle_trims vt   ON vt.id = b.vehicle_trim_id
+          WHERE ${where.join(' AND ')}
+          ORDER BY b.id DESC
+          LIMIT ? OFFSET ?`,
+        [...params, limit + 1, (page - 1) * limit]
+      );
+
+      const builds = rows.slice(0, limit).map(r => ({
+        id:         r.id,
+        carName:    r.car_name,
+        model:      r.model,
+        coverImage: publicUrl(r.cover_image),
+        ownership:  r.ownership_status,
+        vehicle:    { year: r.vehicle_year, make: r.make_name, model: r.model_name, trim: r.trim_name },
+        owner:      { id: r.owner_id, username: r.owner_username }
+      }));
+      res.json({ success: true, builds, page, hasMore: rows.length > limit });
+    } catch (error) {
+      console.error('Error fetching builds by vehicle:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch builds.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVehicleRoutes;
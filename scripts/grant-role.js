@@ -0,0 +1,34 @@
+// Grants a role from the command line, e.g. to bootstrap the first admin.
+// Usage: npm run grant-role -- <userId> <role>
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+async function run() {
+  const [userId, role] = process.argv.slice(2);
+  if (!userId || !role) {
+    console.error('Usage: npm run grant-role -- <userId> <role>');
+    process.exit(1);
+  }
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME
+  });
+
+  try {
+    await connection.execute(
+      'INSERT IGNORE INTO user_roles (user_id, role) VALUES (?, ?)',
+      [userId, role]
+    );
+    console.log(`Granted ${role} to user ${userId}.`);
+  } finally {
+    await connection.end();
+  }
+}
+
+run().catch(err => {
+  console.error('Failed to grant role:', err);
+  process.exit(1);
+});
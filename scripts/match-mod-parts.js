@@ -0,0 +1,60 @@
+// Links existing free-text build mods to catalog parts where the text names exactly one
+// part (by part number, or by brand plus part name). Mods that already have a part are
+// left alone, and matches are marked part_matched_by = 'auto' so owners can review them.
+// Usage: npm run match-mod-parts -- [--dry-run]
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { createPartMatcher } = require('../lib/parts');
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME
+  });
+
+  try {
+    const [parts] = await connection.execute(
+      `SELECT p.id, p.name, p.part_number, b.name AS brand_name
+         FROM parts p
+         JOIN brands b ON b.id = p.brand_id`
+    );
+    const match = createPartMatcher(parts);
+    const partsById = new Map(parts.map(p => [p.id, p]));
+
+    const [mods] = await connection.execute(
+      `SELECT id, sub_category, mod_name, mod_note
+         FROM build_mods
+        WHERE part_id IS NULL AND removed_at IS NULL`
+    );
+
+    let matched = 0;
+    for (const mod of mods) {
+      const partId = match([mod.sub_category, mod.mod_name, mod.mod_note].filter(Boolean).join(' '));
+      if (!partId) continue;
+
+      matched++;
+      const part = partsById.get(partId);
+      console.log(`mod ${mod.id} "${mod.mod_name}" -> part ${partId} (${part.brand_name} ${part.name})`);
+      if (!dryRun) {
+        await connection.execute(
+          `UPDATE build_mods SET part_id = ?, part_matched_by = 'auto'
+            WHERE id = ? AND part_id IS NULL`,
+          [partId, mod.id]
+        );
+      }
+    }
+
+    console.log(`${dryRun ? 'Would match' : 'Matched'} ${matched} of ${mods.length} unlinked mods.`);
+  } finally {
+    await connection.end();
+  }
+}
+
+run().catch(err => {
+  console.error('Failed to match mods to parts:', err);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+// Copies every uploaded file from one storage driver to another and rewrites image columns
+// that still hold URLs (old "/uploads/..." paths or either driver's URLs) to storage keys.
+// Files already present in the target are not copied again, so an interrupted run can be
+// repeated. Source files are left in place; switch STORAGE_DRIVER once the copy succeeds.
+// Images referenced only from build history and feed activity are copied but their JSON is
+// not rewritten; those values are read through toStorageKey() anyway.
+// Usage: npm run migrate-media -- --from local --to cloudinary [--dry-run]
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { createStorageDriver, isExternalUrl, toStorageKey } = require('../lib/storage');
+
+// Columns that hold one image each, keyed by their table's primary key
+const IMAGE_COLUMNS = [
+  { table: 'builds',        column: 'cover_image' },
+  { table: 'builds',        column: 'cover_image2' },
+  { table: 'build_gallery', column: 'image_url' },
+  { table: 'build_mods',    column: 'image_url' },
+  { table: 'users',         column: 'avatar_url' }
+];
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function run() {
+  const from = readOption('from');
+  const to = readOption('to');
+  const dryRun = process.argv.includes('--dry-run');
+  if (!from || !to) {
+    throw new Error('Usage: npm run migrate-media -- --from <driver> --to <driver> [--dry-run]');
+  }
+
+  const source = createStorageDriver(from);
+  const target = from === to ? source : createStorageDriver(to);
+  // Values may be URLs handed out by either driver
+  const keyOf = value => {
+    const key = toStorageKey(value, source);
+    return key === value ? toStorageKey(value, target) : key;
+  };
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME
+  });
+
+  try {
+    const keys = new Set();
+    const addKey = value => {
+      const key = value && keyOf(value);
+      if (key && !isExternalUrl(key)) keys.add(key);
+    };
+
+    let rewritten = 0;
+    for (const { table, column } of IMAGE_COLUMNS) {
+      const [rows] = await connection.query(
+        `SELECT id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${column} <> ''`
+      );
+      for (const { id, value } of rows) {
+        addKey(value);
+        const key = keyOf(value);
+        if (key === value) continue;
+        rewritten++;
+        if (!dryRun) {
+          await connection.query(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [key, id]);
+        }
+      }
+    }
+
+    const [media] = await connection.query('SELECT storage_key, medium_key, thumb_key FROM media');
+    for (const row of media) {
+      addKey(row.storage_key);
+      addKey(row.medium_key);
+      addKey(row.thumb_key);
+    }
+
+    const [revisions] = await connection.query('SELECT snapshot FROM build_revisions');
+    for (const { snapshot } of revisions) {
+      snapshot.covers.forEach(addKey);
+      snapshot.gallery.forEach(addKey);
+      snapshot.mods.forEach(mod => addKey(mod.image_url));
+    }
+    const [activities] = await connection.query(
+      "SELECT data FROM activities WHERE type = 'build_photos_added'"
+    );
+    for (const { data } of activities) (data.images || []).forEach(addKey);
+
+    let copied = 0;
+    let missing = 0;
+    if (source !== target) {
+      for (const key of keys) {
+        if (await target.exists(key)) continue;
+        if (!(await source.exists(key))) {
+          missing++;
+          console.warn(`missing in ${from}: ${key}`);
+          continue;
+        }
+        copied++;
+        console.log(`${from} -> ${to}: ${key}`);
+        if (!dryRun) await target.put(key, await source.get(key));
+      }
+    }
+
+    console.log(
+      `${dryRun ? 'Would copy' : 'Copied'} ${copied} of ${keys.size} files (${missing} missing), ` +
+      `${dryRun ? 'would rewrite' : 'rewrote'} ${rewritten} image URLs to storage keys.`
+    );
+  } finally {
+    await connection.end();
+  }
+}
+
+run().catch(err => {
+  console.error('Failed to migrate media:', err);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// Applies the SQL files in /migrations that have not been run yet, in filename order.
+// Usage: npm run migrate
+const fs = require('fs').promises;
+const path = require('path');
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const migrationsDir = path.join(__dirname, '..', 'migrations');
+
+async function run() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    multipleStatements: true
+  });
+
+  try {
+    await connection.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         name       VARCHAR(255) NOT NULL PRIMARY KEY,
+         applied_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+
+    const [appliedRows] = await connection.query('SELECT name FROM schema_migrations');
+    const applied = new Set(appliedRows.map(r => r.name));
+
+    const files = (await fs.readdir(migrationsDir))
+      .filter(f => f.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+
+      const sql = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+      console.log(`[MIGRATE] Applying ${file}`);
+      // MySQL DDL auto-commits, so a failed file has to be fixed up by hand before re-running.
+      await connection.query(sql);
+      await connection.query('INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+    }
+
+    console.log('[MIGRATE] Up to date.');
+  } finally {
+    await connection.end();
+  }
+}
+
+run().catch(err => {
+  console.error('[MIGRATE] Failed:', err);
+  process.exit(1);
+});
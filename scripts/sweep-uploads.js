@@ -0,0 +1,37 @@
+// Finds uploaded files that no database row references (see lib/uploadCleanup.js) and
+// deletes them. With --dry-run it only lists them.
+// Usage: npm run sweep-uploads -- [--dry-run]
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { sweepOrphanedFiles } = require('../lib/uploadCleanup');
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME
+  });
+
+  try {
+    const { scanned, recent, foreign, orphaned } = await sweepOrphanedFiles(connection, { dryRun });
+    for (const file of orphaned) {
+      console.log(`${file.key} (${file.bytes} bytes, ${file.modifiedAt.toISOString()})`);
+    }
+    const bytes = orphaned.reduce((sum, file) => sum + (file.bytes || 0), 0);
+    console.log(
+      `Scanned ${scanned} files: ${orphaned.length} orphaned (${bytes} bytes) ` +
+      `${dryRun ? 'would be deleted' : 'deleted'}, ${recent} too recent to judge, ` +
+      `${foreign} not named by this app and left alone.`
+    );
+  } finally {
+    await connection.end();
+  }
+}
+
+run().catch(err => {
+  console.error('Failed to sweep uploads:', err);
+  process.exit(1);
+});
@@ -1,7 +1,6 @@
 const express = require('express');
 const mysql = require('mysql2/promise');
 const cors = require('cors');
-const fs = require('fs').promises;
 const path = require('path');
 require('dotenv').config();
 const bodyParser = require('body-parser');
@@ -9,6 +8,37 @@ const cookieParser = require('cookie-parser');
 
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const createAuth = require('./middleware/auth');
+const {
+  lockEvent,
+  getConfirmedUsage,
+  fitsCapacity,
+  placeRegistration,
+  promoteWaitlisted,
+  getWaitlistPosition
+} = require('./lib/eventCapacity');
+const { createNonce, signCheckInToken } = require('./lib/checkInTokens');
+const { sendMail, clientUrl } = require('./lib/mailer');
+const { sendVerificationEmail } = require('./lib/accountEmails');
+const { createLoginLimiter, recordLoginAttempt } = require('./lib/loginLimiter');
+const {
+  SessionError,
+  rotateRefreshToken,
+  revokeSessions,
+  setAuthCookies,
+  clearAuthCookies,
+  completeLogin
+} = require('./lib/sessions');
+const { signLoginChallenge, isTwoFactorRequired } = require('./lib/twoFactor');
+const { recordActivity } = require('./lib/activity');
+const { resolveVehicleNames } = require('./lib/vehicles');
+const { publish, notify, notifyPromotedRegistrations } = require('./lib/notifications');
+const { storeImage, loadImageVariants } = require('./lib/media');
+const { ImageValidationError } = require('./lib/imagePipeline');
+const { toStorageKey, publicUrl } = require('./lib/storage');
+const { scheduleFileDeletion, startUploadCollector } = require('./lib/uploadCleanup');
+const { emitChange } = require('./lib/changeEvents');
 
 const app = express();
 
@@ -59,34 +89,33 @@ pool.getConnection()
     process.exit(1);
 });
 
-const authenticateToken = (req, res, next) => {
-  const token = req.cookies.token;
+const { authenticate, optionalAuthenticate, requirePermission, hasPermission } = createAuth(pool);
 
-  if (!token) return res.status(401).json({ success: false, message: 'Token required' });
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ success: false, message: 'Invalid or expired token' });
-    req.user = user;
-    next();
-  });
+// Identity used to be taken from a `userId` in the request body, which anyone could spoof.
+// It now comes only from the session; old clients get an explicit error instead of a silent ignore.
+const rejectClientUserId = (req, res, next) => {
+  if (req.body && req.body.userId !== undefined) {
+    return res.status(400).json({
+      success: false,
+      code: 'USER_ID_DEPRECATED',
+      message: 'Sending userId is no longer supported. The user is taken from your login session; remove userId from the request.'
+    });
+  }
+  next();
 };
 
-app.get('/api/events', authenticateToken, async (req, res) => {
-  try {
-    const [events] = await pool.execute('SELECT * FROM Events');
-    res.json({ success: true, events });
-  } catch (error) {
-    console.error('Error fetching events:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch events' });
-  }
-});
+const loginLimiter = createLoginLimiter(pool);
+
+const GUEST_TOKEN_TTL_HOURS = 48;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 app.post('/api/check-registration', async (req, res) => {
   try {
     const { eventId, email } = req.body;
     
     const [registrations] = await pool.execute(
-      'SELECT * FROM event_registrations WHERE event_id = ? AND email = ?',
+      `SELECT * FROM event_registrations WHERE event_id = ? AND email = ? AND status <> 'cancelled'`,
       [eventId, email]
     );
 
@@ -105,22 +134,65 @@ app.post('/api/check-registration', async (req, res) => {
   }
 });
 
-app.post('/api/register-event', async (req, res) => {
+// Logged-in users register as themselves. Guests (no session) get a pending registration
+// that only takes a spot once they confirm it through the emailed token.
+app.post('/api/register-event', optionalAuthenticate, rejectClientUserId, async (req, res) => {
+  const { firstName, lastName, email, phone, eventId, cars } = req.body;
+  const userId = req.user ? req.user.id : null;
+  const isGuest = !userId;
+
+  if (isGuest && !email) {
+    return res.status(400).json({ success: false, message: 'Email is required to register as a guest.' });
+  }
+
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
 
-    const { firstName, lastName, email, phone, eventId, cars, userId } = req.body;
+    const event = await lockEvent(connection, eventId);
+    if (!event) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Event not found.' });
+    }
+    if (event.status === 'cancelled') {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: 'This event has been cancelled.' });
+    }
+    const now = new Date();
+    if ((event.registration_opens_at && now < event.registration_opens_at) ||
+        (event.registration_closes_at && now > event.registration_closes_at)) {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: 'Registration for this event is not open.' });
+    }
 
-    if (!userId) {
-      return res.status(400).json({ success: false, message: 'User ID is missing. Cannot complete registration.' });
+    // A registrant who withdrew, or a guest who never confirmed in time, may sign up again with the same email
+    const [withdrawn] = await connection.execute(
+      `SELECT id FROM event_registrations
+        WHERE event_id = ? AND email = ?
+          AND ((status = 'cancelled' AND cancel_reason = 'withdrawn')
+            OR (status = 'pending' AND guest_token_expires_at < NOW()))`,
+      [eventId, email]
+    );
+    if (withdrawn.length > 0) {
+      await connection.execute('DELETE FROM registered_cars WHERE registration_id = ?', [withdrawn[0].id]);
+      await connection.execute('DELETE FROM event_registrations WHERE id = ?', [withdrawn[0].id]);
     }
 
     const registrantName = `${firstName || ''} ${lastName || ''}`.trim();
+    const status = isGuest
+      ? 'pending'
+      : await placeRegistration(connection, event, cars ? cars.length : 0);
+    const guestToken = isGuest ? crypto.randomBytes(32).toString('hex') : null;
 
     const [registrationResult] = await connection.execute(
-      'INSERT INTO event_registrations (event_id, user_id, name, email, phone) VALUES (?, ?, ?, ?, ?)',
-      [eventId, userId, registrantName, email, phone] 
+      `INSERT INTO event_registrations
+         (event_id, user_id, name, email, phone, status, waitlisted_at, guest_token_hash, guest_token_expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, IF(? = 'waitlisted', NOW(3), NULL), ?,
+               IF(? IS NULL, NULL, NOW() + INTERVAL ${GUEST_TOKEN_TTL_HOURS} HOUR))`,
+      [
+        eventId, userId, registrantName, email, phone, status, status,
+        guestToken && hashToken(guestToken), guestToken
+      ]
     );
     const registrationId = registrationResult.insertId;
 
@@ -130,15 +202,61 @@ app.post('/api/register-event', async (req, res) => {
 
     if (cars && cars.length > 0) {
       for (const car of cars) {
+        const { makeId, modelId } = await resolveVehicleNames(connection, car.make, car.model);
         await connection.execute(
-          'INSERT INTO registered_cars (registration_id, make, model, year, color, mileage, modifications) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [registrationId, car.make, car.model, car.year, car.color, car.mileage, car.modified]
+          'INSERT INTO registered_cars (registration_id, make, model, year, color, mileage, modifications, vehicle_make_id, vehicle_model_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [registrationId, car.make, car.model, car.year, car.color, car.mileage, car.modified, makeId, modelId]
         );
       }
     }
 
+    const [[registration]] = await connection.execute(
+      'SELECT id, event_id, status, waitlisted_at FROM event_registrations WHERE id = ?',
+      [registrationId]
+    );
+    const waitlistPosition = await getWaitlistPosition(connection, registration);
+
     await connection.commit();
-    res.json({ success: true, message: 'Registration successful!' });
+
+    if (isGuest) {
+      try {
+        await sendMail({
+          to: email,
+          subject: `Confirm your registration for ${event.title}`,
+          text: `Hi ${registrantName || 'there'},\n\n` +
+            `Please confirm your registration for ${event.title} within ${GUEST_TOKEN_TTL_HOURS} hours:\n` +
+            `${clientUrl(`/events/confirm-registration?token=${guestToken}`)}\n\n` +
+            'If you did not register, you can ignore this email.'
+        });
+      } catch (mailError) {
+        // Without the email the guest can never confirm, so the pending registration is
+        // removed again; that frees its place and lets them register once more
+        console.error('Guest confirmation email failed:', mailError);
+        await connection.execute('DELETE FROM registered_cars WHERE registration_id = ?', [registrationId]);
+        await connection.execute('DELETE FROM event_registrations WHERE id = ?', [registrationId]);
+        return res.status(500).json({
+          success: false,
+          code: 'CONFIRMATION_EMAIL_FAILED',
+          message: 'We could not send your confirmation email. Please try registering again.'
+        });
+      }
+      return res.status(202).json({
+        success: true,
+        message: 'Check your email to confirm your registration.',
+        registrationId,
+        status
+      });
+    }
+
+    res.json({
+      success: true,
+      message: status === 'waitlisted'
+        ? 'The event is full. You have been added to the waitlist.'
+        : 'Registration successful!',
+      registrationId,
+      status,
+      waitlistPosition
+    });
 
   } catch (error) {
     if (connection) await connection.rollback();
@@ -166,7 +284,84 @@ app.post('/api/register-event', async (req, res) => {
   }
 });
 
-app.get('/api/get-registration-details', authenticateToken, async (req, res) => {
+// Confirms a guest registration from the emailed token and places it (confirmed or waitlisted)
+app.post('/api/confirm-registration', async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ success: false, message: 'Confirmation token is required.' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [[pending]] = await connection.execute(
+      'SELECT event_id FROM event_registrations WHERE guest_token_hash = ?',
+      [hashToken(token)]
+    );
+    if (!pending) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'This confirmation link is invalid or has already been used.' });
+    }
+
+    const event = await lockEvent(connection, pending.event_id);
+    const [[registration]] = await connection.execute(
+      `SELECT id, status, guest_token_expires_at,
+              (SELECT COUNT(*) FROM registered_cars rc WHERE rc.registration_id = er.id) AS car_count
+         FROM event_registrations er
+        WHERE guest_token_hash = ?
+        FOR UPDATE`,
+      [hashToken(token)]
+    );
+    if (!registration || registration.status !== 'pending') {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'This confirmation link is invalid or has already been used.' });
+    }
+    if (registration.guest_token_expires_at < new Date()) {
+      await connection.rollback();
+      return res.status(410).json({ success: false, message: 'This confirmation link has expired. Please register again.' });
+    }
+    if (event.status === 'cancelled') {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: 'This event has been cancelled.' });
+    }
+
+    const status = await placeRegistration(connection, event, Number(registration.car_count));
+    await connection.execute(
+      `UPDATE event_registrations
+          SET status = ?, waitlisted_at = IF(? = 'waitlisted', NOW(3), NULL),
+              guest_token_hash = NULL, guest_token_expires_at = NULL
+        WHERE id = ?`,
+      [status, status, registration.id]
+    );
+
+    const [[confirmed]] = await connection.execute(
+      'SELECT id, event_id, status, waitlisted_at FROM event_registrations WHERE id = ?',
+      [registration.id]
+    );
+    const waitlistPosition = await getWaitlistPosition(connection, confirmed);
+
+    await connection.commit();
+    res.json({
+      success: true,
+      message: status === 'waitlisted'
+        ? 'Registration confirmed. The event is full, so you have been added to the waitlist.'
+        : 'Registration confirmed!',
+      registrationId: registration.id,
+      status,
+      waitlistPosition
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Confirm registration error:', error);
+    res.status(500).json({ success: false, message: 'Failed to confirm registration.' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+app.get('/api/get-registration-details', authenticate, async (req, res) => {
   const { eventId } = req.query;
   const userId = req.user.id;
 
@@ -194,6 +389,8 @@ app.get('/api/get-registration-details', authenticateToken, async (req, res) =>
       [registrationId]
     );
 
+    const waitlistPosition = await getWaitlistPosition(connection, registration);
+
     const nameParts = registration.name ? registration.name.split(' ') : ['', ''];
     const firstName = nameParts[0];
     const lastName = nameParts.length > 1 ? nameParts.slice(1).join(' ') : '';
@@ -204,6 +401,7 @@ app.get('/api/get-registration-details', authenticateToken, async (req, res) =>
         ...registration,
         firstName,
         lastName,
+        waitlistPosition,
         cars: cars.map(car => ({
           id: car.id,
           make: car.make,
@@ -223,7 +421,7 @@ app.get('/api/get-registration-details', authenticateToken, async (req, res) =>
   }
 });
 
-app.put('/api/update-event-registration/:registrationId', authenticateToken, async (req, res) => {
+app.put('/api/update-event-registration/:registrationId', authenticate, async (req, res) => {
   const { registrationId } = req.params;
   const userId = req.user.id; 
   const { firstName, lastName, email, phone, cars } = req.body; 
@@ -244,7 +442,7 @@ app.put('/api/update-event-registration/:registrationId', authenticateToken, asy
     await connection.beginTransaction();
 
     const [existingRegistrations] = await connection.execute(
-      'SELECT user_id FROM event_registrations WHERE id = ?',
+      'SELECT event_id FROM event_registrations WHERE id = ?',
       [registrationId]
     );
 
@@ -253,11 +451,44 @@ app.put('/api/update-event-registration/:registrationId', authenticateToken, asy
       return res.status(404).json({ success: false, message: 'Registration not found.' });
     }
 
-    if (existingRegistrations[0].user_id !== userId) {
+    // Lock the event before the registration so capacity checks line up with new sign-ups
+    const event = await lockEvent(connection, existingRegistrations[0].event_id);
+    const [[registration]] = await connection.execute(
+      'SELECT user_id, status, checked_in_at FROM event_registrations WHERE id = ? FOR UPDATE',
+      [registrationId]
+    );
+
+    if (registration.user_id !== userId) {
       await connection.rollback(); 
       return res.status(403).json({ success: false, message: 'You are not authorized to update this registration.' });
     }
 
+    if (registration.status === 'cancelled') {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: 'Cancelled registrations cannot be updated.' });
+    }
+
+    if (registration.checked_in_at) {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: 'This registration has already been checked in.' });
+    }
+
+    const validCars = cars.filter(car => {
+      if (!car.make || !car.model || !car.year) {
+        console.warn('Skipping car with missing make/model/year during update:', car);
+        return false;
+      }
+      return true;
+    });
+
+    if (registration.status === 'confirmed') {
+      const usage = await getConfirmedUsage(connection, event.id, registrationId);
+      if (!fitsCapacity(event, usage, validCars.length)) {
+        await connection.rollback();
+        return res.status(409).json({ success: false, message: 'There are not enough car spots left at this event for that many cars.' });
+      }
+    }
+
     const registrantName = `${firstName} ${lastName}`.trim();
     await connection.execute(
       'UPDATE event_registrations SET name = ?, email = ?, phone = ? WHERE id = ?',
@@ -269,21 +500,32 @@ app.put('/api/update-event-registration/:registrationId', authenticateToken, asy
       [registrationId]
     );
 
-    if (cars && cars.length > 0) {
-      for (const car of cars) {
-        if (!car.make || !car.model || !car.year) {
-            console.warn('Skipping car with missing make/model/year during update:', car);
-            continue; 
-        }
-        await connection.execute(
-          'INSERT INTO registered_cars (registration_id, make, model, year, color, mileage, modifications) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [registrationId, car.make, car.model, car.year, car.color, car.mileage, car.modified]
-        );
-      }
+    for (const car of validCars) {
+      const { makeId, modelId } = await resolveVehicleNames(connection, car.make, car.model);
+      await connection.execute(
+        'INSERT INTO registered_cars (registration_id, make, model, year, color, mileage, modifications, vehicle_make_id, vehicle_model_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [registrationId, car.make, car.model, car.year, car.color, car.mileage, car.modified, makeId, modelId]
+      );
     }
 
+    // Freed-up car spots go to the next people in line
+    const promoted = await promoteWaitlisted(connection, event);
+    const notifications = await notifyPromotedRegistrations(connection, event, promoted);
+
+    const [[updated]] = await connection.execute(
+      'SELECT id, event_id, status, waitlisted_at FROM event_registrations WHERE id = ?',
+      [registrationId]
+    );
+    const waitlistPosition = await getWaitlistPosition(connection, updated);
+
     await connection.commit();
-    res.json({ success: true, message: 'Registration updated successfully!' });
+    publish(notifications);
+    res.json({
+      success: true,
+      message: 'Registration updated successfully!',
+      status: updated.status,
+      waitlistPosition
+    });
 
   } catch (error) {
     if (connection) await connection.rollback(); 
@@ -294,6 +536,124 @@ app.put('/api/update-event-registration/:registrationId', authenticateToken, asy
   }
 });
 
+app.post('/api/cancel-event-registration/:registrationId', authenticate, async (req, res) => {
+  const { registrationId } = req.params;
+  const userId = req.user.id;
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [existingRegistrations] = await connection.execute(
+      'SELECT event_id FROM event_registrations WHERE id = ?',
+      [registrationId]
+    );
+    if (existingRegistrations.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Registration not found.' });
+    }
+
+    const event = await lockEvent(connection, existingRegistrations[0].event_id);
+    const [[registration]] = await connection.execute(
+      'SELECT user_id, status, checked_in_at FROM event_registrations WHERE id = ? FOR UPDATE',
+      [registrationId]
+    );
+
+    if (registration.user_id !== userId) {
+      await connection.rollback();
+      return res.status(403).json({ success: false, message: 'You are not authorized to cancel this registration.' });
+    }
+    if (registration.status === 'cancelled') {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: 'This registration is already cancelled.' });
+    }
+    if (registration.checked_in_at) {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: 'This registration has already been checked in.' });
+    }
+
+    await connection.execute(
+      `UPDATE event_registrations
+          SET status = 'cancelled', cancel_reason = 'withdrawn', cancelled_at = NOW(),
+              waitlisted_at = NULL, check_in_nonce = NULL
+        WHERE id = ?`,
+      [registrationId]
+    );
+
+    let notifications = [];
+    if (registration.status === 'confirmed') {
+      const promoted = await promoteWaitlisted(connection, event);
+      notifications = await notifyPromotedRegistrations(connection, event, promoted);
+    }
+
+    await connection.commit();
+    publish(notifications);
+    res.json({ success: true, message: 'Registration cancelled.' });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Cancel registration error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel registration.' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Returns the token to render as a QR code for day-of check-in
+app.get('/api/event-registration/:registrationId/check-in-token', authenticate, async (req, res) => {
+  const { registrationId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const [[registration]] = await pool.execute(
+      `SELECT er.id, er.event_id, er.user_id, er.status, er.check_in_nonce, er.checked_in_at,
+              e.status AS event_status
+         FROM event_registrations er
+         JOIN Events e ON e.id = er.event_id
+        WHERE er.id = ?`,
+      [registrationId]
+    );
+
+    if (!registration) {
+      return res.status(404).json({ success: false, message: 'Registration not found.' });
+    }
+    if (registration.user_id !== userId) {
+      return res.status(403).json({ success: false, message: 'You are not authorized to view this registration.' });
+    }
+    if (registration.status !== 'confirmed' || registration.event_status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'Only confirmed registrations have a check-in code.' });
+    }
+
+    let nonce = registration.check_in_nonce;
+    if (!nonce) {
+      nonce = createNonce();
+      // Another request may have issued a nonce in the meantime; keep whichever landed first
+      await pool.execute(
+        'UPDATE event_registrations SET check_in_nonce = ? WHERE id = ? AND check_in_nonce IS NULL',
+        [nonce, registrationId]
+      );
+      const [[stored]] = await pool.execute(
+        'SELECT check_in_nonce FROM event_registrations WHERE id = ?',
+        [registrationId]
+      );
+      nonce = stored.check_in_nonce;
+    }
+
+    res.json({
+      success: true,
+      checkInToken: signCheckInToken({
+        registrationId: registration.id,
+        eventId: registration.event_id,
+        nonce
+      }),
+      checkedInAt: registration.checked_in_at
+    });
+  } catch (error) {
+    console.error('Error issuing check-in token:', error);
+    res.status(500).json({ success: false, message: 'Failed to issue check-in code.' });
+  }
+});
+
 app.get('/api/businesses', async (req, res) => {
   try {
     const [businesses] = await pool.execute('SELECT * FROM businesses');
@@ -324,9 +684,9 @@ app.get('/api/businesses/:businessId/reviews', async (req, res) => {
   try {
     const { businessId } = req.params;
     const [reviews] = await pool.execute(
-      `SELECT br.*, u.username 
+      `SELECT br.*, COALESCE(u.username, '[deleted]') AS username
       FROM business_reviews br 
-      JOIN users u ON br.user_id = u.id 
+      LEFT JOIN users u ON br.user_id = u.id 
       WHERE br.business_id = ? 
       ORDER BY br.create_time DESC`,
       [businessId]
@@ -338,13 +698,14 @@ app.get('/api/businesses/:businessId/reviews', async (req, res) => {
   }
 });
 
-app.post('/api/businesses/:businessId/reviews', async (req, res) => {
+app.post('/api/businesses/:businessId/reviews', authenticate, requirePermission('reviews:write'), rejectClientUserId, async (req, res) => {
   try {
     const { businessId } = req.params;
-    const { userId, rating, comment } = req.body;
+    const { rating, comment } = req.body;
+    const userId = req.user.id;
 
-    if (!userId || !rating) {
-      return res.status(400).json({ success: false, message: 'User ID and rating are required.' });
+    if (!rating) {
+      return res.status(400).json({ success: false, message: 'Rating is required.' });
     }
     if (rating < 1 || rating > 5) {
       return res.status(400).json({ success: false, message: 'Rating must be between 1 and 5.' });
@@ -363,6 +724,22 @@ app.post('/api/businesses/:businessId/reviews', async (req, res) => {
       'INSERT INTO business_reviews (business_id, user_id, rating, comment) VALUES (?, ?, ?, ?)',
       [businessId, userId, rating, comment || null]
     );
+    await recordActivity(pool, {
+      actorId: userId,
+      type: 'review_created',
+      businessId,
+      reviewId: result.insertId
+    });
+    const [[business]] = await pool.execute(
+      'SELECT id, name, owner_user_id FROM businesses WHERE id = ?',
+      [businessId]
+    );
+    if (business && business.owner_user_id) {
+      await notify(pool, [business.owner_user_id], 'business_review', {
+        actorId: userId,
+        data: { businessId: business.id, businessName: business.name, reviewId: result.insertId, rating }
+      });
+    }
     const [newReview] = await pool.execute(
         `SELECT br.*, u.username 
          FROM business_reviews br
@@ -377,13 +754,14 @@ app.post('/api/businesses/:businessId/reviews', async (req, res) => {
   }
 });
 
-app.put('/api/reviews/:reviewId', async (req, res) => {
+app.put('/api/reviews/:reviewId', authenticate, requirePermission('reviews:write'), rejectClientUserId, async (req, res) => {
   try {
     const { reviewId } = req.params;
-    const { userId, rating, comment } = req.body;
+    const { rating, comment } = req.body;
+    const userId = req.user.id;
 
-    if (!userId || !rating) {
-      return res.status(400).json({ success: false, message: 'User ID and rating are required for update.' });
+    if (!rating) {
+      return res.status(400).json({ success: false, message: 'Rating is required for update.' });
     }
     if (rating < 1 || rating > 5) {
         return res.status(400).json({ success: false, message: 'Rating must be between 1 and 5.' });
@@ -415,14 +793,31 @@ app.put('/api/reviews/:reviewId', async (req, res) => {
   }
 });
 
+app.delete('/api/reviews/:reviewId', authenticate, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    const [reviews] = await pool.execute('SELECT user_id FROM business_reviews WHERE id = ?', [reviewId]);
+    if (reviews.length === 0) {
+      return res.status(404).json({ success: false, message: 'Review not found.' });
+    }
+    if (reviews[0].user_id !== req.user.id && !hasPermission(req, 'reviews:moderate')) {
+      return res.status(403).json({ success: false, message: 'You are not authorized to delete this review.' });
+    }
+
+    await pool.execute('DELETE FROM activities WHERE review_id = ?', [reviewId]);
+    await pool.execute('DELETE FROM business_reviews WHERE id = ?', [reviewId]);
+    res.json({ success: true, message: 'Review deleted successfully.' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete review.' });
+  }
+});
+
 //endpoint for signup
 app.post('/api/signup', async (req, res) => {
   try {
-    console.log('Received signup request:', req.body);
-    console.log(`${req.body.username}, ${req.body.email}, ${req.body.password}`)
-
     const hashedPassword = await bcrypt.hash(req.body.password, 10);
-    console.log('Hashed password:', hashedPassword);
 
     if (!hashedPassword) {
       throw new Error("Hashed password is undefined");
@@ -433,9 +828,22 @@ app.post('/api/signup', async (req, res) => {
       'INSERT INTO users (username, email, password_hash, display_name) VALUES (?, ?, ?, ?)',
       [req.body.username, req.body.email, hashedPassword, req.body.username]
     );
+    emitChange('users');
 
     console.log('User created successfully:', result);
-    res.status(201).json({ success: true, message: 'User created successfully' });
+
+    try {
+      await sendVerificationEmail(
+        pool,
+        { id: result.insertId, username: req.body.username },
+        req.body.email
+      );
+    } catch (mailError) {
+      // The account exists either way; the user can ask for a new link
+      console.error('Failed to send verification email:', mailError);
+    }
+
+    res.status(201).json({ success: true, message: 'User created successfully. Please check your email to verify your address.' });
   } catch (error) {
     console.error('Error during signup:', error);
     if (error.code === 'ER_DUP_ENTRY') {
@@ -445,114 +853,113 @@ app.post('/api/signup', async (req, res) => {
   }
 });
 
-app.post('/api/logout', (req, res) => {
-  res.clearCookie('token', {
-    httpOnly: true,
-    secure: true,         
-    sameSite: 'None'      
-  });
+app.post('/api/logout', async (req, res) => {
+  try {
+    // Revoke the session even if the access token has already expired
+    const token = req.cookies.token;
+    if (token) {
+      const payload = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+      if (payload.sid) {
+        await revokeSessions(pool, payload.id, { sessionId: payload.sid, reason: 'logout' });
+      }
+    }
+  } catch (error) {
+    console.warn('Logout could not revoke session:', error.message);
+  }
+
+  clearAuthCookies(res);
   res.json({ success: true, message: 'Logged out successfully' });
 });
 
+// Trades the refresh_token cookie for a new access token and refresh token
+app.post('/api/refresh', async (req, res) => {
+  const refreshToken = req.cookies.refresh_token;
+  if (!refreshToken) {
+    return res.status(401).json({ success: false, code: 'AUTH_REQUIRED', message: 'Refresh token required' });
+  }
+
+  try {
+    const session = await rotateRefreshToken(pool, refreshToken, req);
+    setAuthCookies(res, session);
+    res.json({ success: true, userId: session.user.id, username: session.user.username });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      if (error.code !== 'REFRESH_RACE') clearAuthCookies(res);
+      return res.status(401).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh session' });
+  }
+});
+
 const PORT = process.env.SERVER_PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
 
+// Deletes files of removed images once their grace period is over
+startUploadCollector(pool);
+
 //endpoint for Logging in a user
 app.post('/api/login', async (req, res) => {
   try {
-    console.log('Received login request:', req.body); 
     const { email, password } = req.body;
-    
+
+    // Refuse before doing any bcrypt work while the account or IP is locked out
+    const retryAfterMs = await loginLimiter.check(email, req.ip);
+    if (retryAfterMs > 0) {
+      await recordLoginAttempt(pool, { email, req, outcome: 'locked' });
+      const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        code: 'LOGIN_LOCKED',
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfterSeconds
+      });
+    }
+
     //find the user
     const [users] = await pool.execute(
       'SELECT * FROM users WHERE email = ?',
       [email]
     );
-    
-    if (users.length === 0) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
-    }
-    
     const user = users[0];
-    console.log('Retrieved user:', user);
-    
+
     // verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    const isPasswordValid = user && await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      await loginLimiter.recordFailure(email, req.ip);
+      await recordLoginAttempt(pool, { email, userId: user ? user.id : null, req, outcome: 'failed' });
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
-    
-    const token = jwt.sign(
-      { id: user.id, username: user.username, displayName: user.display_name },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' } //expiration time
-    );
 
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: true,         
-      sameSite: 'None',       
-      maxAge: 3600000
-    });
+    // With 2FA the password only earns a challenge token; the cookie comes from /api/2fa/login.
+    // The lockout counter is only reset once the login is complete, so wrong codes keep counting.
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signLoginChallenge(user.id, 'verify')
+      });
+    }
+    if (await isTwoFactorRequired(pool, user.id)) {
+      return res.json({
+        success: true,
+        twoFactorEnrollmentRequired: true,
+        challengeToken: signLoginChallenge(user.id, 'enroll')
+      });
+    }
 
-    res.json({ 
-      success: true, 
-      username: user.username, 
-      userId: user.id, 
-      email: user.email,
-      displayName: user.display_name, 
-      avatarUrl: user.avatar_url 
-    });
+    await loginLimiter.recordSuccess(email);
+    await completeLogin(pool, req, res, user);
   } catch (error) {
     console.error('Error during login:', error);
     res.status(500).json({ success: false, message: 'Login failed' });
   }
 });
 
-app.get('/api/search', async (req, res) => {
-  const { q } = req.query;
-  console.log(`[SEARCH API] Received raw query: "${q}"`);
-
-  if (!q || q.trim() === "") {
-    console.log("[SEARCH API] Query is empty or whitespace, returning empty results.");
-    return res.json({ success: true, users: [], builds: [] });
-  }
-
-  const searchTerm = q.trim();
-  const sqlSearchQuery = `%${searchTerm}%`;
-  console.log(`[SEARCH API] Processed SQL search query: "${sqlSearchQuery}"`);
-
-  try {
-    console.log(`[SEARCH API] Executing user search for: ${sqlSearchQuery}`);
-    const [userResults] = await pool.execute(
-      `SELECT id, username, display_name, avatar_url 
-       FROM users 
-       WHERE username LIKE ? OR display_name LIKE ?`,
-      [sqlSearchQuery, sqlSearchQuery]
-    );
-    console.log("[SEARCH API] Raw user results from DB:", JSON.stringify(userResults, null, 2));
-
-    console.log(`[SEARCH API] Executing build search for: ${sqlSearchQuery}`);
-    const [buildResults] = await pool.execute(
-      `SELECT b.id, b.car_name, b.cover_image, b.user_id, 
-              u.username AS owner_username, u.display_name AS owner_display_name
-       FROM builds b
-       JOIN users u ON b.user_id = u.id
-       WHERE b.car_name LIKE ?`,
-      [sqlSearchQuery]
-    );
-    
-
-    res.json({ success: true, users: userResults, builds: buildResults });
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ success: false, message: 'Search failed due to a server error.' });
-  }
-});
-
-app.put('/api/profile/:userId', authenticateToken, async (req, res) => {
+app.put('/api/profile/:userId', authenticate, async (req, res) => {
   const { userId } = req.params;
   let { name, bio, avatar_url } = req.body;
 
@@ -561,43 +968,38 @@ app.put('/api/profile/:userId', authenticateToken, async (req, res) => {
   }
 
   try {
-    let finalAvatarUrl = avatar_url;
-
-    if (avatar_url && avatar_url.startsWith('data:image')) {
-      const matches = avatar_url.match(/^data:(image\/(.+));base64,(.*)$/);
-      if (matches && matches.length === 4) {
-        const imageType = matches[1]; // e.g. "image/png"
-        const extension = matches[2]; // e.g. "png"
-        const base64Data = matches[3];
-
-        const profileDir = path.join(__dirname, 'uploads', 'avatars', 'profilepics');
-        await fs.mkdir(profileDir, { recursive: true });
-
-        // Delete old avatar if exists
-        const [userRows] = await pool.execute('SELECT avatar_url FROM users WHERE id = ?', [userId]);
-        const existingAvatarUrl = userRows[0]?.avatar_url;
-        if (existingAvatarUrl && existingAvatarUrl.startsWith('/uploads/avatars/profilepics/')) {
-          const oldPath = path.join(__dirname, existingAvatarUrl);
-          try {
-            await fs.unlink(oldPath);
-            console.log(`[PROFILE UPDATE] Deleted old avatar: ${oldPath}`);
-          } catch (err) {
-            console.warn(`[PROFILE UPDATE] Failed to delete old avatar: ${oldPath}`, err.message);
-          }
-        }
-
-        // Save new avatar
-        const filename = `avatar-${userId}-${Date.now()}.${extension}`;
-        const filePath = path.join(profileDir, filename);
-        await fs.writeFile(filePath, base64Data, 'base64');
-        finalAvatarUrl = `/uploads/avatars/profilepics/${filename}`;
-        console.log(`[PROFILE UPDATE] Saved uploaded avatar to: ${finalAvatarUrl}`);
-      } else {
-        console.warn("[PROFILE UPDATE] Invalid base64 data URI format for avatar.");
-        finalAvatarUrl = null;
+    const [userRows] = await pool.execute('SELECT avatar_url FROM users WHERE id = ?', [userId]);
+    const currentAvatarUrl = userRows[0]?.avatar_url || null;
+    let finalAvatarUrl = currentAvatarUrl;
+    let previousAvatarUrl = null;
+
+    // The avatar is either a new upload, the current one sent back, or "" to remove it;
+    // nothing else can be pointed at
+    if (typeof avatar_url === 'string' && avatar_url.startsWith('data:image')) {
+      // The declared type is ignored; the pipeline sniffs the real one
+      const matches = avatar_url.match(/^data:image\/[^;]+;base64,(.*)$/);
+      if (!matches) {
+        return res.status(400).json({ success: false, message: 'Invalid avatar image data.' });
       }
-    } else if (avatar_url === "") {
+
+      const stored = await storeImage(pool, Buffer.from(matches[1], 'base64'), {
+        kind: 'avatar',
+        ownerId: userId,
+        label: 'avatar'
+      });
+      finalAvatarUrl = stored.key;
+    } else if (avatar_url === "" || avatar_url === null) {
       finalAvatarUrl = null;
+    } else if (avatar_url !== undefined) {
+      const isCurrent = typeof avatar_url === 'string' && currentAvatarUrl &&
+        toStorageKey(avatar_url) === toStorageKey(currentAvatarUrl);
+      if (!isCurrent) {
+        return res.status(400).json({ success: false, message: 'Upload an image to change your avatar.' });
+      }
+    }
+
+    if (currentAvatarUrl && toStorageKey(currentAvatarUrl) !== toStorageKey(finalAvatarUrl)) {
+      previousAvatarUrl = currentAvatarUrl;
     }
 
     let setClauses = [];
@@ -622,14 +1024,27 @@ app.put('/api/profile/:userId', authenticateToken, async (req, res) => {
     params.push(userId);
     const sql = `UPDATE users SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
     await pool.execute(sql, params);
+    emitChange('users');
+
+    // The old avatar is only removed once the new one is saved
+    if (previousAvatarUrl) await scheduleFileDeletion(pool, [previousAvatarUrl]);
 
     const [updatedUsers] = await pool.execute(
       'SELECT id, username, display_name, email, bio, avatar_url FROM users WHERE id = ?',
       [userId]
     );
+    const user = updatedUsers[0];
+    const variantsOf = await loadImageVariants(pool, [user.avatar_url]);
 
-    res.json({ success: true, message: 'Profile updated successfully.', user: updatedUsers[0] });
+    res.json({
+      success: true,
+      message: 'Profile updated successfully.',
+      user: { ...user, avatar_url: publicUrl(user.avatar_url), avatar_variants: variantsOf(user.avatar_url) }
+    });
   } catch (error) {
+    if (error instanceof ImageValidationError) {
+      return res.status(400).json({ success: false, code: error.code, message: error.message });
+    }
     console.error('Error updating profile:', error);
     res.status(500).json({ success: false, message: 'Failed to update profile.' });
   }
@@ -647,7 +1062,12 @@ app.get('/api/user-profile/:userIdToView', async (req, res) => {
     if (users.length === 0) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
-    res.json({ success: true, user: users[0] });
+    const user = users[0];
+    const variantsOf = await loadImageVariants(pool, [user.avatar_url]);
+    res.json({
+      success: true,
+      user: { ...user, avatar_url: publicUrl(user.avatar_url), avatar_variants: variantsOf(user.avatar_url) }
+    });
   } catch (error) {
     console.error('Error fetching user profile:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch user profile data.' });
@@ -664,11 +1084,41 @@ app.get('/test-db', async (req, res) => {
   }
 });
 
-console.log('JWT_SECRET:', process.env.JWT_SECRET);
-
 //-----------------------CAR BUILD ROUTES-----------------------//
 const carBuildRoutes = require('./routes/carBuilds.js')(pool);
 app.use('/api/builds', require('./routes/carBuilds')(pool));
+app.use('/api/builds/:buildId', require('./routes/buildSocial')(pool));
+// Share pages and oEmbed for public builds (/builds/:id, /api/oembed)
+app.use(require('./routes/buildPages')(pool));
+
+const partsRoutes = require('./routes/parts.js')(pool);
+app.use('/api/parts', partsRoutes);
+
+const vehicleRoutes = require('./routes/vehicles.js')(pool);
+app.use('/api/vehicles', vehicleRoutes);
+
+const searchRoutes = require('./routes/search.js')(pool);
+app.use('/api/search', searchRoutes);
+
+//-----------------------EVENT ROUTES-----------------------//
+const eventRoutes = require('./routes/events.js')(pool);
+app.use('/api/events', eventRoutes);
+
+const calendarRoutes = require('./routes/calendar.js')(pool);
+app.use('/api/calendar', calendarRoutes);
+
+//-----------------------ADMIN ROUTES-----------------------//
+const adminRoutes = require('./routes/admin.js')(pool, { loginLimiter });
+app.use('/api/admin', adminRoutes);
+
+const accountRoutes = require('./routes/account.js')(pool);
+app.use('/api/account', accountRoutes);
+
+const twoFactorRoutes = require('./routes/twoFactor.js')(pool, { loginLimiter });
+app.use('/api/2fa', twoFactorRoutes);
+
+const sessionRoutes = require('./routes/sessions.js')(pool);
+app.use('/api/sessions', sessionRoutes);
 
 // for follow
 const followRoutes = require('./routes/follows.js')(pool);